@@ -2,6 +2,13 @@ import express from 'express';
 import { corsMiddleware } from './middleware/cors.js';
 import  OracleService  from './services/oracle.service.js';
 import { getPool } from './config/oracle-database.js';
+import { authorize } from './middleware/auth.js';
+import { ROLES } from './config/roles.js';
+import { requestContext } from './middleware/request-context.js';
+import { requestLogger } from './middleware/request-logger.js';
+import { requestMetrics } from './middleware/metrics.js';
+import { notFoundHandler, errorHandler } from './middleware/error-handler.js';
+import { NotFoundError } from './utils/errors.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -9,6 +16,12 @@ import adminRoutes from './routes/admin.js';
 import customerRoutes from './routes/customers.js';
 import orderRoutes from './routes/orders.js';
 import stockRoutes from './routes/stock_item.js';
+import tallySyncRoutes from './routes/tally_sync.js';
+import onboardingRoutes from './routes/onboarding.js';
+import auditRoutes from './routes/audit.js';
+import priceRuleRoutes from './routes/price_rules.js';
+import metricsRoutes from './routes/metrics.js';
+import healthRoutes from './routes/health.js';
 
 export const createApp = () => {
   const app = express();
@@ -18,66 +31,34 @@ export const createApp = () => {
   const oracleService = OracleService;
 
   // Middleware
+  app.use(requestContext);
+  app.use(requestLogger);
+  app.use(requestMetrics);
   app.use(corsMiddleware);
   app.use(express.json());
 
-  // Health check
-  app.get('/health', async (req, res) => {
-    try {
-      let oracleStatus = 'Disconnected';
-      if (pool) {
-        try {
-          const connection = await pool.getConnection();
-          await connection.execute('SELECT 1 FROM dual');
-          oracleStatus = 'Connected';
-          await connection.close();
-        } catch (error) {
-          oracleStatus = 'Connection Error';
-        }
-      }
-
-      res.json({
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        oracle: oracleStatus,
-        pool: pool ? 'Active' : 'Not initialized',
-      });
-    } catch (error) {
-      res.status(500).json({
-        status: 'ERROR',
-        error: error.message,
-      });
-    }
-  });
+  // Liveness / readiness probes
+  app.use(healthRoutes);
 
   // Test endpoint
   app.get('/test-query', async (req, res) => {
-    try {
-      const result = await oracleService.executeQuery(
-        "SELECT 'Hello World' as message, SYSDATE as current_date FROM dual",
-        {},
-      );
+    const result = await oracleService.executeQuery(
+      "SELECT 'Hello World' as message, SYSDATE as current_date FROM dual",
+      {},
+    );
 
-      res.json({
-        success: true,
-        data: result.rows,
-        meta: {
-          rowsAffected: result.rowsAffected,
-          rowsReturned: result.rows?.length || 0,
-        },
-      });
-    } catch (error) {
-      console.error('Test query error:', error);
-      res.status(500).json({
-        success: false,
-        error: error.message,
-        errorCode: error.errorNum || error.code,
-      });
-    }
+    res.json({
+      success: true,
+      data: result.rows,
+      meta: {
+        rowsAffected: result.rowsAffected,
+        rowsReturned: result.rows?.length || 0,
+      },
+    });
   });
 
   // Simple version for debugging (kept from original)
-  app.get('/me-admin-simple', async (req, res) => {
+  app.get('/me-admin-simple', authorize(ROLES.ADMIN), async (req, res) => {
     let connection;
     try {
       connection = await pool.getConnection();
@@ -89,17 +70,10 @@ export const createApp = () => {
       );
 
       if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'Admin not found' });
+        throw new NotFoundError('Admin not found');
       }
 
       res.json(result.rows[0]);
-    } catch (error) {
-      console.error('Admin profile error (direct):', error);
-      res.status(500).json({
-        error: 'Database error',
-        details: error.message,
-        code: error.errorNum,
-      });
     } finally {
       if (connection) {
         await connection.close();
@@ -118,51 +92,77 @@ export const createApp = () => {
   app.use(customerRoutes);
   app.use(orderRoutes);
   app.use(stockRoutes);
+  app.use(tallySyncRoutes);
+  app.use(onboardingRoutes);
+  app.use(auditRoutes);
+  app.use(priceRuleRoutes);
+  app.use(metricsRoutes);
 
   // 404 handler
-  app.use((req, res) => {
-    res.status(404).json({
-      error: 'Route not found',
-      availableRoutes: [
-        'GET    /health',
-        'GET    /test-query',
-        'POST   /signup-admin (requires auth)',
-        'POST   /login-admin (requires auth)',
-        'GET    /me-admin (requires auth)',
-        'GET    /me-admin-alt (requires auth)',
-        'GET    /me-admin-simple',
-        'GET    /me-distributor (requires auth)',
-        'GET    /me-corporate (requires auth)',
-        'GET    /admins',
-        'GET    /admins/:id',
-        'GET    /customer',
-        'GET    /customer/:customer_code',
-        'GET    /distributors',
-        'GET    /distributors/:customer_code',
-        'PUT    /distributors/:customer_code',
-        'GET    /corporates',
-        'GET    /corporates/:customer_code',
-        'PUT    /corporates/:customer_code',
-        'GET    /stock_item',
-        'GET    /stock_item/:item_code',
-        'GET    /orders',
-        'GET    /orders/:id',
-        'GET    /orders-by-number/:order_no',
-        'GET    /api/orders/next-order-number',
-        'POST   /orders',
-        'PUT    /orders-by-number/:order_no'
-      ]
-    });
-  });
+  app.use(
+    notFoundHandler([
+      'GET    /health',
+      'GET    /health/live',
+      'GET    /health/ready',
+      'GET    /metrics',
+      'GET    /test-query',
+      'POST   /signup-admin (admin)',
+      'POST   /login-admin (requires auth)',
+      'GET    /me-admin (requires auth)',
+      'GET    /me-admin-alt (requires auth)',
+      'GET    /me-admin-simple (admin)',
+      'GET    /me-distributor (requires auth)',
+      'GET    /me-corporate (requires auth)',
+      'GET    /admins (admin)',
+      'GET    /admins/:id (admin)',
+      'GET    /customer (admin)',
+      'GET    /customer/search?q= (admin)',
+      'GET    /customer/:customer_code (requires auth)',
+      'GET    /distributors (admin)',
+      'GET    /distributors/:customer_code (requires auth)',
+      'PUT    /distributors/:customer_code (requires auth)',
+      'GET    /corporates (admin)',
+      'GET    /corporates/:customer_code (requires auth)',
+      'PUT    /corporates/:customer_code (requires auth)',
+      'POST   /customer/:customer_code/password/verify (requires auth)',
+      'PUT    /customer/:customer_code/password (requires auth)',
+      'POST   /customer/:customer_code/invites (admin)',
+      'POST   /activate (requires auth)',
+      'GET    /stock_item (requires auth)',
+      'GET    /stock_item/search?q= (requires auth)',
+      'GET    /stock_item/low-stock (admin)',
+      'GET    /stock_item/:item_code (requires auth)',
+      'GET    /stock_item/:item_code/movements (admin)',
+      'POST   /stock_item/:item_code/movements (admin)',
+      'PUT    /stock_item/:item_code/stock-levels (admin)',
+      'POST   /stock_item/import?dry_run= (admin)',
+      'GET    /orders (requires auth)',
+      'GET    /orders/:id',
+      'GET    /orders-by-number/:order_no (requires auth)',
+      'GET    /api/orders/next-order-number (requires auth)',
+      'DELETE /api/orders/next-order-number/:order_no (requires auth)',
+      'POST   /orders (requires auth)',
+      'PUT    /orders-by-number/:order_no (requires auth)',
+      'POST   /orders-by-number/:order_no/transitions/:action (requires auth)',
+      'GET    /orders-by-number/:order_no/history (requires auth)',
+      'GET    /orders-by-number/:order_no/deleted-lines (requires auth)',
+      'POST   /orders-by-number/:order_no/deleted-lines/restore (requires auth)',
+      'POST   /orders-by-number/:order_no/tally-push (admin)',
+      'GET    /tally-sync/runs (admin)',
+      'GET    /tally-sync/runs/:id (admin)',
+      'GET    /tally-sync/runs/:id/changes (admin)',
+      'POST   /tally-sync/runs (admin)',
+      'GET    /audit-log (admin)',
+      'GET    /price-rules (admin)',
+      'POST   /price-rules (admin)',
+      'PUT    /price-rules/:id (admin)',
+      'DELETE /price-rules/:id (admin)',
+      'GET    /effective-price?item_code=&quantity= (requires auth)'
+    ]),
+  );
 
-  // Error handler
-  app.use((error, req, res, next) => {
-    console.error('Server error:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message,
-    });
-  });
+  // Error handler: one JSON error shape with the request's correlation id
+  app.use(errorHandler);
 
   return app;
 };
\ No newline at end of file
@@ -1,13 +1,17 @@
 import admin from 'firebase-admin';
 import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
 
 dotenv.config();
 
+// True once initFirebase has set up the Admin SDK, i.e. tokens can be verified
+export const isFirebaseInitialized = () => admin.apps.length > 0;
+
 export const initFirebase = () => { 
   try {
     const base64 = process.env.FIREBASE_SERVICE_ACCOUNT_BASE64;
     if (!base64) {
-      console.warn('⚠️ Firebase service account missing');
+      logger.warn('Firebase service account missing; Firebase features are disabled');
       return null;
     }
 
@@ -19,10 +23,10 @@ export const initFirebase = () => {
       });
     }
 
-    console.log('✅ Firebase initialized');
+    logger.info('Firebase initialized');
     return admin;
   } catch (error) {
-    console.warn('⚠️ Firebase initialization failed:', error.message);
+    logger.warn('Firebase initialization failed', { error });
     return null;
   }
 };
\ No newline at end of file
@@ -0,0 +1,12 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Each readiness check fails after this long
+export const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 3000;
+
+// Tally in GET /health/ready: 'off' (not checked), 'optional' (reported but
+// never makes the instance unready) or 'required'
+export const HEALTH_CHECK_TALLY = ['off', 'optional', 'required'].includes(process.env.HEALTH_CHECK_TALLY)
+  ? process.env.HEALTH_CHECK_TALLY
+  : 'off';
@@ -0,0 +1,9 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// How long a stored response is replayed for repeats of the same Idempotency-Key
+export const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// A key still marked in progress after this long is treated as abandoned
+export const IDEMPOTENCY_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 120;
@@ -0,0 +1,6 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Godown that dispatched orders are issued from and that movements without one go to
+export const STOCK_DEFAULT_GODOWN = process.env.STOCK_DEFAULT_GODOWN || 'Main Location';
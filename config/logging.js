@@ -0,0 +1,9 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// debug | info | warn | error | silent
+export const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+
+// Requests slower than this are logged at warn level
+export const SLOW_REQUEST_MS = parseInt(process.env.SLOW_REQUEST_MS) || 2000;
@@ -0,0 +1,6 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// When set, GET /metrics requires "Authorization: Bearer <METRICS_TOKEN>"
+export const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
@@ -0,0 +1,14 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Customer invites: how long an activation link stays valid and how it is sent
+export const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS) || 72;
+
+// console | file; the file sender writes one JSON message per invite
+export const INVITE_SENDER = process.env.INVITE_SENDER || 'console';
+export const INVITE_OUTBOX_DIR = process.env.INVITE_OUTBOX_DIR || 'outbox';
+
+// The client page that reads ?token= and calls POST /activate
+export const ACTIVATION_URL =
+  process.env.ACTIVATION_URL || `${process.env.CLIENT_URL || 'http://localhost:5173'}/activate`;
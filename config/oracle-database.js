@@ -1,5 +1,7 @@
 import oracledb from 'oracledb';
 import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
+import metrics from '../utils/metrics.js';
 
 dotenv.config();
 
@@ -7,7 +9,7 @@ let pool;
 
 export const initOracle = async () => {
   try {
-    console.log('🔄 Initializing Oracle connection pool...');
+    logger.info('Initializing Oracle connection pool');
 
     oracledb.initOracleClient({
       libDir:
@@ -40,6 +42,8 @@ export const initOracle = async () => {
       poolMax: parseInt(process.env.DB_POOL_MAX) || 10,
       poolIncrement: parseInt(process.env.DB_POOL_INCREMENT) || 2,
       poolTimeout: parseInt(process.env.DB_POOL_TIMEOUT) || 600,
+      // Needed for the queue length reported on /metrics
+      enableStatistics: true,
     });
 
     // Test connection
@@ -49,33 +53,44 @@ export const initOracle = async () => {
       const result = await connection.execute(
         `SELECT USER AS CURRENT_USER, SYSDATE AS SERVER_TIME FROM dual`,
       );
-      console.log('✅ Oracle connected successfully');
-      console.log('   User:', result.rows[0].CURRENT_USER);
-      console.log('   Server Time:', result.rows[0].SERVER_TIME);
+      logger.info('Oracle connected', {
+        user: result.rows[0].CURRENT_USER,
+        server_time: result.rows[0].SERVER_TIME,
+      });
     } finally {
       if (connection) {
         await connection.close();
       }
     }
 
-    console.log('✅ Oracle connection pool created successfully');
+    logger.info('Oracle connection pool created');
     return pool;
   } catch (error) {
-    console.error('❌ Error creating Oracle connection pool:', error);
+    logger.error('Creating the Oracle connection pool failed', { error });
     throw error;
   }
 };
 
 export const getPool = () => pool;
 
+// Read from the pool on each scrape; nothing is reported before initOracle
+metrics.gauge('oracle_pool_connections_open', 'Connections open in the Oracle pool', () => pool?.connectionsOpen);
+metrics.gauge('oracle_pool_connections_in_use', 'Pooled connections checked out', () => pool?.connectionsInUse);
+metrics.gauge('oracle_pool_connections_max', 'Oracle pool size limit', () => pool?.poolMax);
+metrics.gauge(
+  'oracle_pool_queue_length',
+  'Requests waiting for a pooled connection',
+  () => pool?.getStatistics()?.currentQueueLength,
+);
+
 export const closePool = async () => {
   try {
     if (pool) {
       await pool.close();
-      console.log('✅ Connection pool closed successfully');
+      logger.info('Oracle connection pool closed');
     }
   } catch (error) {
-    console.error('Error closing pool', error);
+    logger.error('Closing the Oracle connection pool failed', { error });
     throw error;
   }
 };
\ No newline at end of file
@@ -0,0 +1,20 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// reset: 'daily' gives SQ-DD-MM-YY-NNNN, 'financial_year' gives SQ-FY2627-NNNNN
+export const ORDER_NUMBER_SERIES = {
+  distributor: {
+    name: 'distributor',
+    prefix: process.env.ORDER_PREFIX_DISTRIBUTOR || 'SQ',
+    reset: process.env.ORDER_RESET_DISTRIBUTOR || 'daily',
+  },
+  corporate: {
+    name: 'corporate',
+    prefix: process.env.ORDER_PREFIX_CORPORATE || 'CQ',
+    reset: process.env.ORDER_RESET_CORPORATE || 'daily',
+  },
+};
+
+// Minutes a number handed out to an open order form stays reserved
+export const RESERVATION_MINUTES = parseInt(process.env.ORDER_NUMBER_RESERVATION_MINUTES) || 30;
@@ -0,0 +1,10 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Soft-deleted order lines can be restored for this many days, then are purged
+export const ORDER_LINE_RETENTION_DAYS = parseInt(process.env.ORDER_LINE_RETENTION_DAYS) || 30;
+
+// Hours between purge runs; 0 disables the schedule
+const purgeInterval = parseInt(process.env.ORDER_LINE_PURGE_INTERVAL_HOURS);
+export const ORDER_LINE_PURGE_INTERVAL_HOURS = Number.isNaN(purgeInterval) ? 24 : purgeInterval;
@@ -0,0 +1,7 @@
+// Principal roles, shared by the auth middleware and the services that decide
+// what each role may do
+export const ROLES = Object.freeze({
+  ADMIN: 'admin',
+  DISTRIBUTOR: 'distributor',
+  CORPORATE: 'corporate',
+});
@@ -0,0 +1,29 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const TALLY_URL = process.env.TALLY_URL || 'http://localhost:9000';
+export const TALLY_COMPANY = process.env.TALLY_COMPANY || 'CASTOLIN EUTECTIC INDIA';
+export const TALLY_TIMEOUT_MS = parseInt(process.env.TALLY_TIMEOUT_MS) || 30000;
+
+// Minutes between scheduled Tally -> Oracle syncs; 0 disables the schedule
+export const TALLY_SYNC_INTERVAL_MINUTES = parseInt(process.env.TALLY_SYNC_INTERVAL_MINUTES) || 0;
+export const TALLY_SYNC_ON_START = process.env.TALLY_SYNC_ON_START === 'true';
+
+// A run still 'running' after this long is taken to be abandoned by a dead
+// process and no longer blocks new runs
+export const TALLY_SYNC_LOCK_MINUTES = parseInt(process.env.TALLY_SYNC_LOCK_MINUTES) || 60;
+
+// Sync runs also pull closing stock and align the stock ledger with it
+export const TALLY_SYNC_STOCK = process.env.TALLY_SYNC_STOCK !== 'false';
+
+// Approved orders are pushed to Tally as Sales Order vouchers
+export const TALLY_PUSH_ON_APPROVE = process.env.TALLY_PUSH_ON_APPROVE !== 'false';
+
+// A push still 'pending' after this long is taken to be abandoned by a dead
+// process and the order can be pushed again
+export const TALLY_PUSH_CLAIM_MINUTES = parseInt(process.env.TALLY_PUSH_CLAIM_MINUTES) || 10;
+export const TALLY_SALES_LEDGER = process.env.TALLY_SALES_LEDGER || 'Sales';
+export const TALLY_CGST_LEDGER = process.env.TALLY_CGST_LEDGER || 'Output CGST';
+export const TALLY_SGST_LEDGER = process.env.TALLY_SGST_LEDGER || 'Output SGST';
+export const TALLY_IGST_LEDGER = process.env.TALLY_IGST_LEDGER || 'Output IGST';
@@ -1,18 +1,82 @@
 import admin from 'firebase-admin';
+import authService from '../services/auth.service.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+import { ROLES } from '../config/roles.js';
+import { setRequestContext } from './request-context.js';
+import logger from '../utils/logger.js';
+import metrics from '../utils/metrics.js';
+
+const tokenFailures = metrics.counter(
+  'firebase_token_verification_failures_total',
+  'Firebase ID tokens that failed verification, by Firebase error code',
+  ['code'],
+);
 
 export const verifyToken = async (req, res, next) => {
   const auth = req.headers.authorization;
   if (!auth?.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'No token provided' });
+    return next(new UnauthorizedError('No token provided'));
   }
 
   try {
     const token = auth.split(' ')[1];
     const decoded = await admin.auth().verifyIdToken(token);
     req.uid = decoded.uid;
+    req.tokenClaims = decoded;
+    setRequestContext({ uid: decoded.uid });
+    next();
+  } catch (error) {
+    tokenFailures.inc({ code: error.code || 'unknown' });
+    logger.warn('Token verification failed', { code: error.code, reason: error.message });
+    next(new UnauthorizedError('Invalid or expired token', { cause: error }));
+  }
+};
+
+// Attach req.principal from the admins / customer record linked to req.uid
+export const loadPrincipal = async (req, res, next) => {
+  try {
+    const principal = await authService.getPrincipal(req.uid);
+
+    if (!principal) {
+      return next(new ForbiddenError('No account is linked to this user'));
+    }
+
+    if (principal.status !== 'active') {
+      return next(new ForbiddenError('Account is not active'));
+    }
+
+    req.principal = principal;
+    setRequestContext({ role: principal.role });
     next();
   } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(401).json({ error: 'Invalid or expired token' });
+    next(error);
   }
-};
\ No newline at end of file
+};
+
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.principal) {
+    return next(new UnauthorizedError());
+  }
+
+  if (roles.length > 0 && !roles.includes(req.principal.role)) {
+    return next(new ForbiddenError());
+  }
+
+  next();
+};
+
+// Route guard: authorize() allows any active user, authorize(ROLES.ADMIN) admins only
+export const authorize = (...roles) => [verifyToken, loadPrincipal, requireRole(...roles)];
+
+export const canAccessCustomer = (principal, customerCode) =>
+  principal?.role === ROLES.ADMIN ||
+  (principal?.customer_code != null && String(principal.customer_code) === String(customerCode));
+
+// Distributors and corporates may only touch their own customer_code
+export const ownCustomerOnly = (param = 'customer_code') => (req, res, next) => {
+  if (!canAccessCustomer(req.principal, req.params[param])) {
+    return next(new ForbiddenError('You can only access your own account'));
+  }
+
+  next();
+};
@@ -1,5 +1,6 @@
 import cors from 'cors';
 import dotenv from 'dotenv';
+import { ForbiddenError } from '../utils/errors.js';
 
 dotenv.config();
 
@@ -14,8 +15,9 @@ export const corsMiddleware = cors({
     if (!origin || allowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
-      callback(new Error('CORS blocked'));
+      callback(new ForbiddenError('CORS blocked', { code: 'CORS_BLOCKED' }));
     }
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Request-Id', 'ETag', 'Idempotent-Replayed']
 });
\ No newline at end of file
@@ -0,0 +1,38 @@
+import { toAppError, NotFoundError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// The one error shape every endpoint returns:
+// { success: false, error, code, details?, correlationId }
+export const renderError = (error, correlationId) => ({
+  success: false,
+  error: error.message,
+  code: error.code,
+  ...(error.details !== undefined ? { details: error.details } : {}),
+  correlationId: correlationId ?? null,
+});
+
+export const notFoundHandler = availableRoutes => (req, res, next) => {
+  next(new NotFoundError('Route not found', { code: 'ROUTE_NOT_FOUND', details: { availableRoutes } }));
+};
+
+// Last middleware in app.js. Server-side failures are logged with the
+// correlation id; the client only sees the translated message.
+export const errorHandler = (error, req, res, next) => {
+  const appError = toAppError(error);
+
+  if (appError.status >= 500) {
+    logger.error('request failed', {
+      correlation_id: req.correlationId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: appError.status,
+      error,
+    });
+  }
+
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  res.status(appError.status).json(renderError(appError, req.correlationId));
+};
@@ -0,0 +1,90 @@
+import idempotencyService, { requestFingerprint, REPLAYED_HEADERS } from '../services/idempotency.service.js';
+import { BadRequestError, ConflictError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// A repeat of the request must carry the same body and If-Match
+const fingerprintOf = req => requestFingerprint({ body: req.body ?? null, ifMatch: req.get('If-Match') || null });
+
+const replay = (res, record) => {
+  const headers = JSON.parse(record.RESPONSE_HEADERS || '{}');
+  res.set({ ...headers, [REPLAYED_HEADER]: 'true' });
+  res.status(record.RESPONSE_STATUS).json(JSON.parse(record.RESPONSE_BODY));
+};
+
+// Wraps a route handler so requests sent with an Idempotency-Key run it once
+// per key, caller and route; repeats get the stored response back. Responses
+// below 500 are stored. The key is freed for a retry only when the handler is
+// done without a stored response: a server error (a rejected handler reaches
+// the error handler's 500) or returning without responding. A client that
+// disconnects does not free it, since the handler may still commit; the key
+// stays in progress until the handler finishes or the lock expires. Requests
+// without the header just run the handler. Goes after authorize().
+export const idempotent = handler => async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (key === undefined) return handler(req, res, next);
+
+  if (!KEY_PATTERN.test(key)) {
+    return next(new BadRequestError(`${IDEMPOTENCY_HEADER} must be 1-255 printable characters`, {
+      code: 'INVALID_IDEMPOTENCY_KEY',
+    }));
+  }
+
+  const entry = { key, uid: req.uid, scope: `${req.method} ${req.originalUrl.split('?')[0]}`.slice(0, 500) };
+  const { decision, record } = await idempotencyService.begin(entry, fingerprintOf(req));
+
+  if (decision === 'replay') return replay(res, record);
+
+  if (decision === 'mismatch') {
+    return next(new ValidationError(`${IDEMPOTENCY_HEADER} was already used for a different request`, {
+      code: 'IDEMPOTENCY_KEY_REUSED',
+    }));
+  }
+
+  if (decision === 'in_progress') {
+    return next(new ConflictError('A request with this Idempotency-Key is still being processed', {
+      code: 'IDEMPOTENCY_IN_PROGRESS',
+    }));
+  }
+
+  // Store the response before it is sent, so a retry after the client saw
+  // it always finds it
+  let settled = false;
+  const release = () =>
+    idempotencyService
+      .release(entry)
+      .catch(error => logger.error('Releasing the idempotency key failed', { idempotency_key: key, error }));
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    res.json = json;
+    settled = true;
+
+    const stored =
+      res.statusCode < 500
+        ? idempotencyService.complete(entry, {
+            status: res.statusCode,
+            headers: Object.fromEntries(REPLAYED_HEADERS.filter(name => res.get(name)).map(name => [name, res.get(name)])),
+            body,
+          })
+        : release();
+
+    stored
+      .catch(error => logger.error('Storing the idempotent response failed', { idempotency_key: key, error }))
+      .finally(() => json(body));
+    return res;
+  };
+
+  // A rejection propagates to the error handler, whose response is caught above
+  await handler(req, res, next);
+
+  // Finished without responding: free the key so the caller can retry
+  if (!settled && !res.headersSent) {
+    settled = true;
+    await release();
+  }
+};
@@ -0,0 +1,30 @@
+import metrics from '../utils/metrics.js';
+import { routePath } from './request-logger.js';
+
+const HTTP_LABELS = ['method', 'route', 'status'];
+
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status', HTTP_LABELS);
+
+const httpDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency by route and status',
+  HTTP_LABELS,
+);
+
+// Requests that matched no route share one label, so probes for random
+// URLs cannot grow the number of series
+export const requestMetrics = (req, res, next) => {
+  const started = process.hrtime.bigint();
+
+  res.on('close', () => {
+    const labels = {
+      method: req.method,
+      route: routePath(req) ?? 'unmatched',
+      status: res.writableFinished ? res.statusCode : 'aborted',
+    };
+    httpRequests.inc(labels);
+    httpDuration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+  });
+
+  next();
+};
@@ -0,0 +1,29 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+const storage = new AsyncLocalStorage();
+
+// Accept a caller's id only if it looks like one, so it is safe to log and echo
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+// Gives every request a correlation id (X-Request-Id in and out) and a
+// context store that services can read without threading req through
+export const requestContext = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const correlationId = incoming && CORRELATION_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+
+  req.correlationId = correlationId;
+  res.set('X-Request-Id', correlationId);
+
+  storage.run({ correlationId, method: req.method, path: req.originalUrl }, next);
+};
+
+export const getRequestContext = () => storage.getStore() || null;
+
+export const getCorrelationId = () => storage.getStore()?.correlationId ?? null;
+
+// Adds to the current request's context, e.g. the caller once authenticated
+export const setRequestContext = values => {
+  const store = storage.getStore();
+  if (store) Object.assign(store, values);
+};
@@ -0,0 +1,41 @@
+import logger from '../utils/logger.js';
+import { SLOW_REQUEST_MS } from '../config/logging.js';
+
+// The matched route pattern ('/orders-by-number/:order_no'), so latency can
+// be compared per route rather than per URL; null when no route matched
+export const routePath = req => (req.route ? `${req.baseUrl || ''}${req.route.path}` : null);
+
+export const routeLabel = req => (req.route ? `${req.method} ${routePath(req)}` : null);
+
+// Load balancer probes and metric scrapes arrive every few seconds; when
+// they succeed they are only logged at debug level
+const PROBE_ROUTES = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+export const requestLogLevel = (status, durationMs, route = null) => {
+  if (status >= 500) return 'error';
+  if (status >= 400 || durationMs >= SLOW_REQUEST_MS) return 'warn';
+  return PROBE_ROUTES.includes(route) ? 'debug' : 'info';
+};
+
+// One line per request once the response is sent or the client goes away
+export const requestLogger = (req, res, next) => {
+  const started = process.hrtime.bigint();
+
+  res.on('close', () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100;
+    const completed = res.writableFinished;
+    const level = completed ? requestLogLevel(res.statusCode, durationMs, routePath(req)) : 'warn';
+
+    logger[level](completed ? 'request completed' : 'request aborted', {
+      correlation_id: req.correlationId,
+      method: req.method,
+      route: routeLabel(req),
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      duration_ms: durationMs,
+      uid: req.uid || null,
+    });
+  });
+
+  next();
+};
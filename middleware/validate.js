@@ -0,0 +1,17 @@
+import { validate } from '../utils/schema.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Validates and coerces req.body against a schema from schemas/, or against
+// the schema returned by a (body, req) => schema selector. Failures become a
+// 422 ValidationError with one { field, error } entry per problem.
+export const validateBody = schemaOrSelector => (req, res, next) => {
+  const schema = typeof schemaOrSelector === 'function' ? schemaOrSelector(req.body, req) : schemaOrSelector;
+  const { value, errors } = validate(schema, req.body);
+
+  if (errors.length) {
+    return next(new ValidationError('Validation failed', { details: errors }));
+  }
+
+  req.body = value;
+  next();
+};
@@ -0,0 +1,157 @@
+-- 001_order_header_and_items.sql
+-- Splits the flat ORDERS table (one row per item, header columns repeated on
+-- every row) into an ORDERS header table and ORDER_ITEMS lines.
+-- Run once against the application schema. The flat table is kept as
+-- ORDERS_LEGACY until the new model has been verified.
+-- Legacy rows that reuse an order_no for a different customer or order date
+-- are renumbered first and listed in ORDER_NO_MIGRATION_LOG.
+
+ALTER TABLE orders RENAME TO orders_legacy;
+
+CREATE TABLE orders (
+  id                        NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  order_no                  VARCHAR2(50)   NOT NULL,
+  voucher_type              VARCHAR2(100),
+  order_date                DATE,
+  status                    VARCHAR2(30)   DEFAULT 'pending' NOT NULL,
+  customer_code             VARCHAR2(50),
+  customer_name             VARCHAR2(255),
+  executive                 VARCHAR2(255),
+  role                      VARCHAR2(30),
+  delivery_date             DATE,
+  delivery_mode             VARCHAR2(100),
+  transporter_name          VARCHAR2(255),
+  total_quantity            NUMBER(14, 3)  DEFAULT 0,
+  total_amount_without_tax  NUMBER(14, 2)  DEFAULT 0,
+  total_cgst_amount         NUMBER(14, 2)  DEFAULT 0,
+  total_sgst_amount         NUMBER(14, 2)  DEFAULT 0,
+  total_igst_amount         NUMBER(14, 2)  DEFAULT 0,
+  total_amount              NUMBER(14, 2)  DEFAULT 0,
+  remarks                   VARCHAR2(1000),
+  created_at                TIMESTAMP      DEFAULT SYSTIMESTAMP,
+  updated_at                TIMESTAMP      DEFAULT SYSTIMESTAMP,
+  CONSTRAINT orders_order_no_uk UNIQUE (order_no)
+);
+
+CREATE INDEX orders_customer_code_ix ON orders (customer_code);
+
+CREATE TABLE order_items (
+  id                   NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  order_id             NUMBER         NOT NULL,
+  line_no              NUMBER         NOT NULL,
+  item_code            VARCHAR2(50),
+  item_name            VARCHAR2(255),
+  hsn                  VARCHAR2(20),
+  gst                  NUMBER(5, 2)   DEFAULT 0,
+  sgst                 NUMBER(14, 2)  DEFAULT 0,
+  cgst                 NUMBER(14, 2)  DEFAULT 0,
+  igst                 NUMBER(14, 2)  DEFAULT 0,
+  quantity             NUMBER(14, 3)  DEFAULT 0,
+  uom                  VARCHAR2(30),
+  rate                 NUMBER(14, 2)  DEFAULT 0,
+  amount               NUMBER(14, 2)  DEFAULT 0,
+  net_rate             NUMBER(14, 2)  DEFAULT 0,
+  gross_amount         NUMBER(14, 2)  DEFAULT 0,
+  disc_percentage      NUMBER(5, 2)   DEFAULT 0,
+  disc_amount          NUMBER(14, 2)  DEFAULT 0,
+  spl_disc_percentage  NUMBER(5, 2)   DEFAULT 0,
+  spl_disc_amount      NUMBER(14, 2)  DEFAULT 0,
+  created_at           TIMESTAMP      DEFAULT SYSTIMESTAMP,
+  updated_at           TIMESTAMP      DEFAULT SYSTIMESTAMP,
+  CONSTRAINT order_items_order_fk FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+);
+
+CREATE INDEX order_items_order_id_ix ON order_items (order_id);
+
+-- Rows sharing an order_no are only one order when they also share the
+-- customer and order date. Every other (customer, date) group of a number is
+-- a different order that reused it: it is renumbered <order_no>-D<n>, n
+-- counting groups by their earliest row, so the first group keeps the number.
+CREATE TABLE order_no_migration_log (
+  legacy_id      NUMBER         NOT NULL,
+  old_order_no   VARCHAR2(50)   NOT NULL,
+  new_order_no   VARCHAR2(60)   NOT NULL,
+  customer_code  VARCHAR2(50),
+  order_date     DATE,
+  logged_at      TIMESTAMP      DEFAULT SYSTIMESTAMP
+);
+
+INSERT INTO order_no_migration_log (legacy_id, old_order_no, new_order_no, customer_code, order_date)
+SELECT id, order_no, order_no || '-D' || grp, customer_code, order_date
+FROM (
+  SELECT l.id, l.order_no, l.customer_code, l.order_date,
+         DENSE_RANK() OVER (PARTITION BY l.order_no ORDER BY g.first_id) AS grp
+  FROM orders_legacy l
+  JOIN (
+    SELECT order_no, NVL(customer_code, CHR(0)) AS customer_key, TRUNC(order_date) AS order_day, MIN(id) AS first_id
+    FROM orders_legacy
+    GROUP BY order_no, NVL(customer_code, CHR(0)), TRUNC(order_date)
+  ) g
+    ON g.order_no = l.order_no
+   AND g.customer_key = NVL(l.customer_code, CHR(0))
+   AND DECODE(g.order_day, TRUNC(l.order_date), 1, 0) = 1
+)
+WHERE grp > 1;
+
+UPDATE orders_legacy l
+SET order_no = (SELECT m.new_order_no FROM order_no_migration_log m WHERE m.legacy_id = l.id)
+WHERE l.id IN (SELECT legacy_id FROM order_no_migration_log);
+
+-- Fold flat rows into one header per order_no, taking header values from the
+-- earliest row of each order.
+INSERT INTO orders (
+  order_no, voucher_type, order_date, status, customer_code, customer_name,
+  executive, role, delivery_date, delivery_mode, transporter_name, remarks, created_at
+)
+SELECT
+  order_no,
+  MIN(voucher_type)     KEEP (DENSE_RANK FIRST ORDER BY id),
+  MIN(order_date)       KEEP (DENSE_RANK FIRST ORDER BY id),
+  NVL(MIN(status) KEEP (DENSE_RANK FIRST ORDER BY id), 'pending'),
+  MIN(customer_code)    KEEP (DENSE_RANK FIRST ORDER BY id),
+  MIN(customer_name)    KEEP (DENSE_RANK FIRST ORDER BY id),
+  MIN(executive)        KEEP (DENSE_RANK FIRST ORDER BY id),
+  MIN(role)             KEEP (DENSE_RANK FIRST ORDER BY id),
+  MIN(delivery_date)    KEEP (DENSE_RANK FIRST ORDER BY id),
+  MIN(delivery_mode)    KEEP (DENSE_RANK FIRST ORDER BY id),
+  MIN(transporter_name) KEEP (DENSE_RANK FIRST ORDER BY id),
+  MIN(remarks)          KEEP (DENSE_RANK FIRST ORDER BY id),
+  MIN(created_at)
+FROM orders_legacy
+GROUP BY order_no;
+
+-- Legacy row ids are kept as line ids so existing clients can still address them.
+INSERT INTO order_items (
+  id, order_id, line_no, item_code, item_name, hsn, gst, sgst, cgst, igst,
+  quantity, uom, rate, amount, net_rate, gross_amount, disc_percentage,
+  disc_amount, spl_disc_percentage, spl_disc_amount, created_at
+)
+SELECT
+  l.id, o.id, ROW_NUMBER() OVER (PARTITION BY l.order_no ORDER BY l.id),
+  l.item_code, l.item_name, l.hsn, l.gst, l.sgst, l.cgst, l.igst,
+  l.quantity, l.uom, l.rate, l.amount, l.net_rate, l.gross_amount, l.disc_percentage,
+  l.disc_amount, l.spl_disc_percentage, l.spl_disc_amount, l.created_at
+FROM orders_legacy l
+JOIN orders o ON o.order_no = l.order_no;
+
+ALTER TABLE order_items MODIFY id GENERATED BY DEFAULT AS IDENTITY (START WITH LIMIT VALUE);
+
+-- Header totals are always derived from the lines.
+UPDATE orders o
+SET (total_quantity, total_amount_without_tax, total_cgst_amount,
+     total_sgst_amount, total_igst_amount, total_amount) = (
+  SELECT NVL(SUM(i.quantity), 0), NVL(SUM(i.amount), 0), NVL(SUM(i.cgst), 0),
+         NVL(SUM(i.sgst), 0), NVL(SUM(i.igst), 0),
+         NVL(SUM(NVL(i.amount, 0) + NVL(i.cgst, 0) + NVL(i.sgst, 0) + NVL(i.igst, 0)), 0)
+  FROM order_items i
+  WHERE i.order_id = o.id
+);
+
+COMMIT;
+
+-- Renumbered orders, to pass on to the people who placed them:
+-- SELECT old_order_no, new_order_no, customer_code, order_date, COUNT(*) AS lines
+-- FROM order_no_migration_log GROUP BY old_order_no, new_order_no, customer_code, order_date;
+
+-- After verification:
+-- DROP TABLE orders_legacy;
@@ -0,0 +1,37 @@
+-- 002_order_number_counters.sql
+-- Locked counters for order numbers (one row per series and period) and the
+-- reservations handed out when an order form is opened.
+
+CREATE TABLE order_number_counters (
+  series      VARCHAR2(30)  NOT NULL,
+  period_key  VARCHAR2(20)  NOT NULL,
+  last_value  NUMBER        DEFAULT 0 NOT NULL,
+  updated_at  TIMESTAMP     DEFAULT SYSTIMESTAMP,
+  CONSTRAINT order_number_counters_pk PRIMARY KEY (series, period_key)
+);
+
+-- status: reserved | used | released
+CREATE TABLE order_number_reservations (
+  order_no     VARCHAR2(50)   PRIMARY KEY,
+  series       VARCHAR2(30)   NOT NULL,
+  period_key   VARCHAR2(20)   NOT NULL,
+  status       VARCHAR2(20)   DEFAULT 'reserved' NOT NULL,
+  reserved_by  VARCHAR2(128),
+  reserved_at  TIMESTAMP      DEFAULT SYSTIMESTAMP,
+  expires_at   TIMESTAMP,
+  released_at  TIMESTAMP,
+  used_at      TIMESTAMP,
+  CONSTRAINT order_number_res_status_ck CHECK (status IN ('reserved', 'used', 'released'))
+);
+
+CREATE INDEX order_number_res_lookup_ix
+  ON order_number_reservations (series, period_key, status);
+
+-- Continue existing SQ-DD-MM-YY-NNNN numbering where it left off
+INSERT INTO order_number_counters (series, period_key, last_value)
+SELECT 'distributor', SUBSTR(order_no, 4, 8), MAX(TO_NUMBER(SUBSTR(order_no, 13)))
+FROM orders
+WHERE REGEXP_LIKE(order_no, '^SQ-[0-9]{2}-[0-9]{2}-[0-9]{2}-[0-9]{4}$')
+GROUP BY SUBSTR(order_no, 4, 8);
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- 003_order_status_history.sql
+-- Order lifecycle: draft -> pending -> approved -> dispatched -> invoiced,
+-- with cancelled reachable before dispatch. Every change is recorded.
+
+UPDATE orders SET status = LOWER(TRIM(status));
+
+ALTER TABLE orders ADD CONSTRAINT orders_status_ck
+  CHECK (status IN ('draft', 'pending', 'approved', 'dispatched', 'invoiced', 'cancelled'))
+  ENABLE NOVALIDATE;
+
+CREATE TABLE order_status_history (
+  id             NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  order_id       NUMBER,
+  order_no       VARCHAR2(50)   NOT NULL,
+  from_status    VARCHAR2(30),
+  to_status      VARCHAR2(30)   NOT NULL,
+  action         VARCHAR2(30)   NOT NULL,
+  reason         VARCHAR2(1000),
+  acted_by       VARCHAR2(128),
+  acted_by_role  VARCHAR2(30),
+  acted_at       TIMESTAMP      DEFAULT SYSTIMESTAMP,
+  CONSTRAINT order_status_history_order_fk FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+);
+
+CREATE INDEX order_status_history_order_ix ON order_status_history (order_no, acted_at);
+
+COMMIT;
@@ -0,0 +1,19 @@
+-- 004_search_indexes.sql
+-- Function-based indexes on the normalized search keys used by
+-- services/search.service.js so that prefix matches ('200NB%') stay fast.
+-- The expressions must match searchKey() in that file exactly.
+
+CREATE INDEX stock_item_code_search_ix
+  ON stock_item (REGEXP_REPLACE(UPPER(item_code), '[^A-Z0-9]', ''));
+
+CREATE INDEX stock_item_name_search_ix
+  ON stock_item (REGEXP_REPLACE(UPPER(stock_item_name), '[^A-Z0-9]', ''));
+
+CREATE INDEX stock_item_hsn_search_ix
+  ON stock_item (REGEXP_REPLACE(UPPER(hsn), '[^A-Z0-9]', ''));
+
+CREATE INDEX customer_code_search_ix
+  ON customer (REGEXP_REPLACE(UPPER(customer_code), '[^A-Z0-9]', ''));
+
+CREATE INDEX customer_name_search_ix
+  ON customer (REGEXP_REPLACE(UPPER(customer_name), '[^A-Z0-9]', ''));
@@ -0,0 +1,25 @@
+-- 005_tally_sync_log.sql
+-- One row per Tally -> Oracle master data sync run (scheduled, manual or CLI).
+
+-- status: running | success | partial | failed
+CREATE TABLE tally_sync_log (
+  id                   NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  trigger_source       VARCHAR2(20)   NOT NULL,
+  requested_by         VARCHAR2(128),
+  status               VARCHAR2(20)   DEFAULT 'running' NOT NULL,
+  started_at           TIMESTAMP      DEFAULT SYSTIMESTAMP NOT NULL,
+  finished_at          TIMESTAMP,
+  customers_received   NUMBER         DEFAULT 0,
+  customers_inserted   NUMBER         DEFAULT 0,
+  customers_updated    NUMBER         DEFAULT 0,
+  customers_skipped    NUMBER         DEFAULT 0,
+  customers_failed     NUMBER         DEFAULT 0,
+  items_received       NUMBER         DEFAULT 0,
+  items_inserted       NUMBER         DEFAULT 0,
+  items_updated        NUMBER         DEFAULT 0,
+  items_skipped        NUMBER         DEFAULT 0,
+  items_failed         NUMBER         DEFAULT 0,
+  errors               CLOB           CHECK (errors IS JSON)
+);
+
+CREATE INDEX tally_sync_log_started_ix ON tally_sync_log (started_at);
@@ -0,0 +1,22 @@
+-- 006_tally_sync_changes.sql
+-- Diff-based Tally upserts: unchanged counts per run and a per-record report
+-- of what each run inserted or changed.
+
+ALTER TABLE tally_sync_log ADD (
+  customers_unchanged  NUMBER DEFAULT 0,
+  items_unchanged      NUMBER DEFAULT 0
+);
+
+-- action: insert | update; changes: [{ "field", "from", "to" }]
+CREATE TABLE tally_sync_changes (
+  id          NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  run_id      NUMBER          NOT NULL,
+  master      VARCHAR2(20)    NOT NULL,
+  record_key  VARCHAR2(100)   NOT NULL,
+  action      VARCHAR2(10)    NOT NULL,
+  changes     VARCHAR2(4000)  CHECK (changes IS JSON),
+  CONSTRAINT tally_sync_changes_run_fk FOREIGN KEY (run_id) REFERENCES tally_sync_log (id) ON DELETE CASCADE
+);
+
+CREATE INDEX tally_sync_changes_run_ix ON tally_sync_changes (run_id, master);
+CREATE INDEX tally_sync_changes_key_ix ON tally_sync_changes (record_key);
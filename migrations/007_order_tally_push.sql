@@ -0,0 +1,13 @@
+-- 007_order_tally_push.sql
+-- Tracks pushing approved orders to Tally as Sales Order vouchers.
+
+-- tally_push_status: pending | pushed | failed (NULL = never pushed)
+ALTER TABLE orders ADD (
+  tally_voucher_id     VARCHAR2(50),
+  tally_push_status    VARCHAR2(20),
+  tally_push_attempts  NUMBER DEFAULT 0,
+  tally_pushed_at      TIMESTAMP,
+  tally_push_error     VARCHAR2(4000)
+);
+
+CREATE INDEX orders_tally_push_status_ix ON orders (tally_push_status);
@@ -0,0 +1,5 @@
+-- 008_customer_password_hash.sql
+-- customer.password holds bcrypt hashes (60 characters). Run
+-- `npm run migrate:passwords` after this to hash existing plain-text values.
+
+ALTER TABLE customer MODIFY (password VARCHAR2(100));
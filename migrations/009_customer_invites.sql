@@ -0,0 +1,21 @@
+-- 009_customer_invites.sql
+-- Single-use activation tokens that link a Tally customer to a Firebase account.
+-- Only the SHA-256 of the token is stored; the token itself is only in the invite.
+
+CREATE TABLE customer_invites (
+  id            NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  customer_code VARCHAR2(50)  NOT NULL,
+  token_hash    VARCHAR2(64)  NOT NULL,
+  channel       VARCHAR2(10)  NOT NULL,
+  sent_to       VARCHAR2(255) NOT NULL,
+  created_by    VARCHAR2(128),
+  created_at    TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+  expires_at    TIMESTAMP NOT NULL,
+  used_at       TIMESTAMP,
+  used_by_uid   VARCHAR2(128),
+  revoked_at    TIMESTAMP,
+  CONSTRAINT customer_invites_token_uk UNIQUE (token_hash),
+  CONSTRAINT customer_invites_channel_ck CHECK (channel IN ('email', 'sms'))
+);
+
+CREATE INDEX customer_invites_customer_ix ON customer_invites (customer_code);
@@ -0,0 +1,25 @@
+-- 010_audit_log.sql
+-- Who changed what: one row per record inserted, updated or deleted in an
+-- audited table (see services/audit/tracker.js), written in the same
+-- transaction as the change.
+
+-- action: insert | update | delete
+-- before_values / after_values: column -> value; updates keep only the
+-- changed columns, secrets are stored as "[redacted]"
+CREATE TABLE audit_log (
+  id              NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  changed_at      TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+  actor_uid       VARCHAR2(128),
+  actor_role      VARCHAR2(30),
+  route           VARCHAR2(500),
+  correlation_id  VARCHAR2(128),
+  entity          VARCHAR2(50)   NOT NULL,
+  entity_key      VARCHAR2(100)  NOT NULL,
+  action          VARCHAR2(10)   NOT NULL,
+  before_values   VARCHAR2(4000) CHECK (before_values IS JSON),
+  after_values    VARCHAR2(4000) CHECK (after_values IS JSON)
+);
+
+CREATE INDEX audit_log_entity_ix ON audit_log (entity, entity_key, changed_at);
+CREATE INDEX audit_log_actor_ix ON audit_log (actor_uid, changed_at);
+CREATE INDEX audit_log_changed_at_ix ON audit_log (changed_at);
@@ -0,0 +1,11 @@
+-- 011_order_items_soft_delete.sql
+-- Order lines removed through PUT /orders-by-number/:order_no are marked
+-- deleted instead of being dropped; they can be restored until the
+-- retention job purges them (ORDER_LINE_RETENTION_DAYS).
+
+ALTER TABLE order_items ADD (
+  deleted_at  TIMESTAMP,
+  deleted_by  VARCHAR2(128)
+);
+
+CREATE INDEX order_items_deleted_at_ix ON order_items (deleted_at);
@@ -0,0 +1,6 @@
+-- 012_order_version.sql
+-- Optimistic concurrency for order edits: every edit, restore and status
+-- transition increments version, and PUT /orders-by-number/:order_no must
+-- name the version it was based on (If-Match or body.version).
+
+ALTER TABLE orders ADD (version NUMBER DEFAULT 1 NOT NULL);
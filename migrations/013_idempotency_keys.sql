@@ -0,0 +1,27 @@
+-- 013_idempotency_keys.sql
+-- Idempotency-Key support for order writes: the first request with a key
+-- stores its response, repeats within the TTL get the stored response back.
+
+-- status: processing | completed
+CREATE TABLE idempotency_keys (
+  id               NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  idempotency_key  VARCHAR2(255)  NOT NULL,
+  principal_uid    VARCHAR2(128)  NOT NULL,
+  scope            VARCHAR2(500)  NOT NULL,
+  request_hash     VARCHAR2(64)   NOT NULL,
+  status           VARCHAR2(20)   DEFAULT 'processing' NOT NULL,
+  response_status  NUMBER,
+  response_headers VARCHAR2(1000),
+  response_body    CLOB,
+  created_at       TIMESTAMP      DEFAULT SYSTIMESTAMP NOT NULL,
+  completed_at     TIMESTAMP,
+  expires_at       TIMESTAMP      NOT NULL,
+  CONSTRAINT idempotency_keys_uk UNIQUE (idempotency_key, principal_uid, scope)
+);
+
+CREATE INDEX idempotency_keys_expires_ix ON idempotency_keys (expires_at);
+
+-- Line numbers are unique within an order, so a replayed insert of the same
+-- lines fails instead of duplicating them. Order numbers are already unique
+-- (orders_order_no_uk).
+ALTER TABLE order_items ADD CONSTRAINT order_items_line_uk UNIQUE (order_id, line_no);
@@ -0,0 +1,33 @@
+-- 014_price_rules.sql
+-- Customer-specific prices and discounts. A rule targets a customer
+-- (customer_code), a customer type, or everyone, and an item, a stock
+-- parent_group, or every item. The most specific rule that is valid on the
+-- order date and whose min_quantity the line reaches prices the line (see
+-- services/price-list.service.js); stock_item.rate is the fallback.
+
+CREATE TABLE price_rules (
+  id                   NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  customer_code        VARCHAR2(50),
+  customer_type        VARCHAR2(30),
+  item_code            VARCHAR2(50),
+  parent_group         VARCHAR2(255),
+  min_quantity         NUMBER(14, 3)  DEFAULT 0 NOT NULL,
+  rate                 NUMBER(14, 2),
+  disc_percentage      NUMBER(5, 2),
+  spl_disc_percentage  NUMBER(5, 2),
+  valid_from           DATE,
+  valid_to             DATE,
+  remarks              VARCHAR2(1000),
+  created_by           VARCHAR2(128),
+  created_at           TIMESTAMP      DEFAULT SYSTIMESTAMP,
+  updated_at           TIMESTAMP      DEFAULT SYSTIMESTAMP,
+  CONSTRAINT price_rules_customer_ck CHECK (customer_code IS NULL OR customer_type IS NULL),
+  CONSTRAINT price_rules_item_ck CHECK (item_code IS NULL OR parent_group IS NULL),
+  CONSTRAINT price_rules_validity_ck CHECK (valid_to IS NULL OR valid_from IS NULL OR valid_to >= valid_from)
+);
+
+CREATE INDEX price_rules_customer_code_ix ON price_rules (customer_code);
+CREATE INDEX price_rules_item_code_ix ON price_rules (item_code);
+
+-- The rule that priced each order line
+ALTER TABLE order_items ADD price_rule_id NUMBER;
@@ -0,0 +1,60 @@
+-- 015_stock_ledger.sql
+-- Stock on hand per item and godown, kept as a ledger of signed movements,
+-- plus soft reservations for approved orders. Approving an order reserves
+-- its lines, cancelling releases them and dispatching turns them into
+-- issues from the default godown (STOCK_DEFAULT_GODOWN).
+
+ALTER TABLE stock_item ADD (
+  min_stock_level  NUMBER(14, 3),
+  max_stock_level  NUMBER(14, 3)
+);
+
+-- movement_type: opening | receipt | issue | adjustment; issues are negative
+CREATE TABLE stock_ledger (
+  id             NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  item_code      VARCHAR2(50)   NOT NULL,
+  godown         VARCHAR2(100)  NOT NULL,
+  movement_type  VARCHAR2(20)   NOT NULL,
+  quantity       NUMBER(14, 3)  NOT NULL,
+  reference      VARCHAR2(100),
+  remarks        VARCHAR2(1000),
+  created_by     VARCHAR2(128),
+  created_at     TIMESTAMP      DEFAULT SYSTIMESTAMP NOT NULL
+);
+
+CREATE INDEX stock_ledger_item_ix ON stock_ledger (item_code, godown);
+
+-- status: reserved | released | consumed
+CREATE TABLE stock_reservations (
+  id             NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  order_no       VARCHAR2(50)   NOT NULL,
+  order_item_id  NUMBER         NOT NULL,
+  item_code      VARCHAR2(50)   NOT NULL,
+  quantity       NUMBER(14, 3)  NOT NULL,
+  status         VARCHAR2(20)   DEFAULT 'reserved' NOT NULL,
+  created_at     TIMESTAMP      DEFAULT SYSTIMESTAMP NOT NULL,
+  closed_at      TIMESTAMP
+);
+
+CREATE INDEX stock_reservations_order_ix ON stock_reservations (order_no, status);
+CREATE INDEX stock_reservations_item_ix ON stock_reservations (item_code, status);
+
+-- Availability per item: on hand across godowns less open reservations
+CREATE OR REPLACE VIEW stock_availability AS
+SELECT
+  s.item_code,
+  s.stock_item_name,
+  s.parent_group,
+  s.uom,
+  s.min_stock_level,
+  s.max_stock_level,
+  NVL(l.on_hand, 0) AS on_hand,
+  NVL(r.reserved, 0) AS reserved,
+  NVL(l.on_hand, 0) - NVL(r.reserved, 0) AS available
+FROM stock_item s
+LEFT JOIN (
+  SELECT item_code, SUM(quantity) AS on_hand FROM stock_ledger GROUP BY item_code
+) l ON l.item_code = s.item_code
+LEFT JOIN (
+  SELECT item_code, SUM(quantity) AS reserved FROM stock_reservations WHERE status = 'reserved' GROUP BY item_code
+) r ON r.item_code = s.item_code;
@@ -0,0 +1,50 @@
+-- 016_stock_balances.sql
+-- Closing stock per item, godown and batch as last reported by Tally's stock
+-- summary. Each Tally sync replaces the snapshot and posts ledger
+-- adjustments (reference 'tally-sync:<run id>') so stock on hand in
+-- stock_ledger matches Tally per godown.
+
+CREATE TABLE stock_balances (
+  id              NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  item_code       VARCHAR2(50)   NOT NULL,
+  godown          VARCHAR2(100)  NOT NULL,
+  batch_name      VARCHAR2(100),
+  uom             VARCHAR2(30),
+  opening_qty     NUMBER(14, 3),
+  opening_value   NUMBER(16, 2),
+  closing_qty     NUMBER(14, 3),
+  closing_value   NUMBER(16, 2),
+  closing_rate    NUMBER(14, 2),
+  run_id          NUMBER,
+  synced_at       TIMESTAMP      DEFAULT SYSTIMESTAMP NOT NULL
+);
+
+CREATE INDEX stock_balances_item_ix ON stock_balances (item_code, godown);
+
+ALTER TABLE tally_sync_log ADD (
+  stock_received  NUMBER DEFAULT 0,
+  stock_updated   NUMBER DEFAULT 0,
+  stock_adjusted  NUMBER DEFAULT 0,
+  stock_skipped   NUMBER DEFAULT 0,
+  stock_failed    NUMBER DEFAULT 0
+);
+
+-- Every stock_item column next to its availability, and when Tally last
+-- reported its balance
+CREATE OR REPLACE VIEW stock_availability AS
+SELECT
+  s.*,
+  NVL(l.on_hand, 0) AS on_hand,
+  NVL(r.reserved, 0) AS reserved,
+  NVL(l.on_hand, 0) - NVL(r.reserved, 0) AS available,
+  b.balance_synced_at
+FROM stock_item s
+LEFT JOIN (
+  SELECT item_code, SUM(quantity) AS on_hand FROM stock_ledger GROUP BY item_code
+) l ON l.item_code = s.item_code
+LEFT JOIN (
+  SELECT item_code, SUM(quantity) AS reserved FROM stock_reservations WHERE status = 'reserved' GROUP BY item_code
+) r ON r.item_code = s.item_code
+LEFT JOIN (
+  SELECT item_code, MAX(synced_at) AS balance_synced_at FROM stock_balances GROUP BY item_code
+) b ON b.item_code = s.item_code;
@@ -0,0 +1,6 @@
+-- 017_customer_mobile_search_index.sql
+-- Customer search also matches mobile number prefixes (CUSTOMER_SEARCH.extra
+-- in services/search.service.js); index the same normalized key as 004.
+
+CREATE INDEX customer_mobile_search_ix
+  ON customer (REGEXP_REPLACE(UPPER(mobile_number), '[^A-Z0-9]', ''));
@@ -0,0 +1,15 @@
+-- 018_tally_sync_single_run.sql
+-- At most one Tally sync runs at a time across every app instance: the
+-- 'running' rows of tally_sync_log share one key in this unique index, so a
+-- second instance's INSERT ... 'running' fails with ORA-00001. Runs left
+-- 'running' by a crashed process are closed by the service after
+-- TALLY_SYNC_LOCK_MINUTES.
+
+UPDATE tally_sync_log
+SET status = 'failed', finished_at = SYSTIMESTAMP
+WHERE status = 'running';
+
+COMMIT;
+
+CREATE UNIQUE INDEX tally_sync_log_running_ux
+  ON tally_sync_log (CASE WHEN status = 'running' THEN 'running' END);
@@ -0,0 +1,8 @@
+-- 019_order_tally_push_claim.sql
+-- When a push claimed the order ('pending'). A claim older than
+-- TALLY_PUSH_CLAIM_MINUTES belongs to a process that died mid-push, so the
+-- order can be claimed again.
+
+ALTER TABLE orders ADD (
+  tally_push_claimed_at TIMESTAMP
+);
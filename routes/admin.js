@@ -1,118 +1,87 @@
 import express from 'express';
-import { verifyToken } from '../middleware/auth.js';
+import { verifyToken, authorize } from '../middleware/auth.js';
+import { ROLES } from '../config/roles.js';
 import  OracleService  from '../services/oracle.service.js';
+import { runListQuery } from '../utils/query-builder.js';
+import { NotFoundError } from '../utils/errors.js';
+import { stripSecrets, stripSecretsAll } from '../services/credential.service.js';
 
 const router = express.Router();
 const oracleService = OracleService;
 
+const ADMIN_LIST_SPEC = {
+  table: 'admins',
+  filters: {
+    role: { column: 'role' },
+    email: { column: 'email', op: 'like' },
+  },
+  sortable: ['id', 'username', 'email', 'role'],
+  defaultSort: 'id',
+  tiebreaker: 'id',
+};
+
 // Admin profile
 router.get('/me-admin', verifyToken, async (req, res) => {
-  try {
-    const result = await oracleService.executeQuery(
-      `SELECT id, username, email, role, mobile_number
-       FROM admins
-       WHERE firebase_uid = :1`,
-      [req.uid],
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Admin not found' });
-    }
+  const result = await oracleService.executeQuery(
+    `SELECT id, username, email, role, mobile_number
+     FROM admins
+     WHERE firebase_uid = :1`,
+    [req.uid],
+  );
 
-    res.json({
-      success: true,
-      data: result.rows[0],
-    });
-  } catch (error) {
-    console.error('Admin profile error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Database error',
-      details: error.message,
-    });
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Admin not found');
   }
+
+  res.json({
+    success: true,
+    data: result.rows[0],
+  });
 });
 
 // Alternative version
 router.get('/me-admin-alt', verifyToken, async (req, res) => {
-  try {
-    const result = await oracleService.executeQuery(
-      `SELECT id, username, email, role, mobile_number
-       FROM admins
-       WHERE firebase_uid = :uid`,
-      { uid: req.uid },
-    );
+  const result = await oracleService.executeQuery(
+    `SELECT id, username, email, role, mobile_number
+     FROM admins
+     WHERE firebase_uid = :uid`,
+    { uid: req.uid },
+  );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Admin not found' });
-    }
-
-    res.json({
-      success: true,
-      data: result.rows[0],
-    });
-  } catch (error) {
-    console.error('Admin profile error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Database error',
-      details: error.message,
-    });
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Admin not found');
   }
+
+  res.json({
+    success: true,
+    data: result.rows[0],
+  });
 });
 
 // Get all admins
-router.get('/admins', async (req, res) => {
-  try {
-    const result = await oracleService.executeQuery('SELECT * FROM admins');
+router.get('/admins', authorize(ROLES.ADMIN), async (req, res) => {
+  const { rows, pagination } = await runListQuery(ADMIN_LIST_SPEC, req.query);
 
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows?.length || 0,
-    });
-  } catch (error) {
-    console.error('Admins fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch admins',
-      details: error.message,
-    });
-  }
+  res.json({
+    success: true,
+    data: stripSecretsAll(rows),
+    count: rows.length,
+    pagination,
+  });
 });
 
 // Get specific admin
-router.get('/admins/:id', async (req, res) => {
-  const userId = req.params.id;
+router.get('/admins/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  const result = await oracleService.executeQuery(`SELECT * FROM admins WHERE id = :1`, [req.params.id]);
 
-  if (!userId) {
-    return res.status(400).json({
-      success: false,
-      error: 'Admin ID is required',
-    });
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Admin not found');
   }
 
-  try {
-    const result = await oracleService.executeQuery(`SELECT * FROM admins WHERE id = :1`, [userId]);
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Admin not found',
-      });
-    }
-
-    res.json({
-      success: true,
-      data: result.rows[0],
-    });
-  } catch (error) {
-    console.error('Database query error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-    });
-  }
+  res.json({
+    success: true,
+    data: stripSecrets(result.rows[0]),
+  });
 });
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,42 @@
+import express from 'express';
+import { authorize } from '../middleware/auth.js';
+import { ROLES } from '../config/roles.js';
+import { runListQuery } from '../utils/query-builder.js';
+
+const router = express.Router();
+
+const AUDIT_LIST_SPEC = {
+  table: 'audit_log',
+  filters: {
+    entity: { column: 'entity', op: 'in' },
+    entity_key: { column: 'entity_key' },
+    action: { column: 'action', op: 'in' },
+    actor_uid: { column: 'actor_uid' },
+    correlation_id: { column: 'correlation_id' },
+    from: { column: 'changed_at', op: 'gte', type: 'date' },
+    to: { column: 'changed_at', op: 'lte', type: 'date' },
+  },
+  sortable: ['id', 'changed_at', 'entity', 'actor_uid'],
+  defaultSort: '-changed_at',
+  tiebreaker: 'id',
+};
+
+const parseValues = value => (value ? JSON.parse(value) : null);
+
+// Audit trail, newest first, e.g. ?entity=customer&entity_key=1106&from=2026-01-01
+router.get('/audit-log', authorize(ROLES.ADMIN), async (req, res) => {
+  const { rows, pagination } = await runListQuery(AUDIT_LIST_SPEC, req.query);
+
+  res.json({
+    success: true,
+    data: rows.map(row => ({
+      ...row,
+      BEFORE_VALUES: parseValues(row.BEFORE_VALUES),
+      AFTER_VALUES: parseValues(row.AFTER_VALUES),
+    })),
+    count: rows.length,
+    pagination,
+  });
+});
+
+export default router;
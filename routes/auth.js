@@ -1,108 +1,68 @@
 import express from 'express';
-import { verifyToken } from '../middleware/auth.js';
+import { verifyToken, authorize } from '../middleware/auth.js';
+import { ROLES } from '../config/roles.js';
+import authService from '../services/auth.service.js';
 import OracleService from '../services/oracle.service.js';
-import { validateEmail } from '../utils/helpers.js';
+import { validateBody } from '../middleware/validate.js';
+import { adminSignupSchema } from '../schemas/admin.schema.js';
+import { NotFoundError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 const oracleService = OracleService;
 
-// Admin signup
-router.post('/signup-admin', verifyToken, async (req, res) => {
-  const { username, email, mobile_number } = req.body;
-  const firebaseUid = req.uid;
-
-  console.log('Admin signup request:', { username, email, firebaseUid });
-
-  if (!username || !email) {
-    return res.status(400).json({
-      success: false,
-      error: 'Username and email are required',
-    });
-  }
-
-  if (!validateEmail(email)) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid email format',
-    });
-  }
-
-  try {
-    // Check if admin already exists
-    const checkResult = await oracleService.executeQuery(
-      `SELECT * FROM admins WHERE firebase_uid = :1 OR email = :2`,
-      [firebaseUid, email],
-    );
+// Admin signup: an existing admin registers another Firebase user as an
+// admin. The first admin is created with `npm run seed:admin`.
+router.post('/signup-admin', authorize(ROLES.ADMIN), validateBody(adminSignupSchema), async (req, res) => {
+  const { username, email, mobile_number, firebase_uid } = req.body;
 
-    if (checkResult.rows.length > 0) {
-      const existingAdmin = checkResult.rows[0];
-      return res.status(200).json({
-        success: true,
-        message: 'Admin already exists',
-        role: existingAdmin.role,
-        userType: 'admin',
-      });
-    }
+  logger.info('Admin signup request', { username, firebase_uid, created_by: req.uid });
 
-    // Insert new admin
-    const insertSql = `
-      INSERT INTO admins (username, email, firebase_uid, role, mobile_number)
-      VALUES (:1, :2, :3, :4, :5)
-    `;
+  const result = await authService.createAdmin({
+    username,
+    email,
+    firebaseUid: firebase_uid,
+    mobileNumber: mobile_number || null,
+  });
 
-    await oracleService.executeQuery(
-      insertSql,
-      [username, email, firebaseUid, 'admin', mobile_number || null],
-      { autoCommit: true },
-    );
-
-    res.status(201).json({
+  if (!result.created) {
+    return res.status(200).json({
       success: true,
-      message: 'Admin signup successful',
+      message: 'Admin already exists',
+      role: result.admin.ROLE,
       userType: 'admin',
     });
-  } catch (error) {
-    console.error('Database error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
   }
+
+  res.status(201).json({
+    success: true,
+    message: 'Admin signup successful',
+    userType: 'admin',
+  });
 });
 
 // Admin login
 router.post('/login-admin', verifyToken, async (req, res) => {
   const firebaseUid = req.uid;
 
-  try {
-    const result = await oracleService.executeQuery(
-      `SELECT id, username, mobile_number, email, role, firebase_uid 
-       FROM admins 
-       WHERE firebase_uid = :1`,
-      [firebaseUid],
-    );
+  const result = await oracleService.executeQuery(
+    `SELECT id, username, mobile_number, email, role, firebase_uid 
+     FROM admins 
+     WHERE firebase_uid = :1`,
+    [firebaseUid],
+  );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Admin not found. Please sign up first.',
-      });
-    }
-
-    const admin = result.rows[0];
-    res.json({
-      success: true,
-      message: 'Admin login successful',
-      user: admin,
-      userType: 'admin',
-    });
-  } catch (error) {
-    console.error('Admin login error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-    });
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Admin not found. Please sign up first.');
   }
+
+  const admin = result.rows[0];
+  res.json({
+    success: true,
+    message: 'Admin login successful',
+    user: admin,
+    userType: 'admin',
+  });
 });
 
 export default router;
\ No newline at end of file
@@ -1,202 +1,191 @@
 import express from 'express';
-import { verifyToken } from '../middleware/auth.js';
+import { verifyToken, authorize, ownCustomerOnly } from '../middleware/auth.js';
+import { ROLES } from '../config/roles.js';
 import  OracleService  from '../services/oracle.service.js';
+import { runListQuery } from '../utils/query-builder.js';
+import { validateBody } from '../middleware/validate.js';
+import {
+  updateCustomerSchema,
+  verifyPasswordSchema,
+  changePasswordSchema,
+} from '../schemas/customer.schema.js';
+import searchService, { parseSearchLimit, tokenizeQuery } from '../services/search.service.js';
+import credentialService, { stripSecrets, stripSecretsAll } from '../services/credential.service.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
 
 const router = express.Router();
 const oracleService = OracleService;
 
+const adminEditableFields = [
+  'customer_name',
+  'mobile_number',
+  'email',
+  'customer_type',
+  'password',
+  'role',
+  'status',
+  'firebase_uid',
+];
+
+// Customers editing their own record cannot change type, role, status or
+// linkage; they change their password through /customer/:customer_code/password
+const selfEditableFields = ['mobile_number', 'email'];
+
+const customerListSpec = (where = [], binds = {}) => ({
+  table: 'customer',
+  where,
+  binds,
+  filters: {
+    customer_type: { column: 'customer_type' },
+    status: { column: 'status', op: 'in' },
+    state: { column: 'state' },
+    parent_group: { column: 'parent_group' },
+    customer_name: { column: 'customer_name', op: 'like' },
+  },
+  sortable: ['customer_name', 'customer_code', 'state', 'status', 'customer_type'],
+  defaultSort: 'customer_name',
+  tiebreaker: 'customer_code',
+});
+
+const distributorAccess = [authorize(ROLES.ADMIN, ROLES.DISTRIBUTOR), ownCustomerOnly()];
+const corporateAccess = [authorize(ROLES.ADMIN, ROLES.CORPORATE), ownCustomerOnly()];
+
 // Get all customers
-router.get('/customer', async (req, res) => {
-  try {
-    const result = await oracleService.executeQuery(
-      `SELECT * FROM customer ORDER BY customer_name`,
-    );
+router.get('/customer', authorize(ROLES.ADMIN), async (req, res) => {
+  const { rows, pagination } = await runListQuery(customerListSpec(), req.query);
+
+  res.json({
+    success: true,
+    data: stripSecretsAll(rows),
+    count: rows.length,
+    pagination,
+  });
+});
 
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows?.length || 0,
-    });
-  } catch (error) {
-    console.error('Customer fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch customers',
-      details: error.message,
-    });
+// Type-ahead search across code, name and mobile; registered before /:customer_code
+router.get('/customer/search', authorize(ROLES.ADMIN), async (req, res) => {
+  const limit = parseSearchLimit(req.query.limit);
+
+  if (!tokenizeQuery(req.query.q).length || !limit) {
+    throw new BadRequestError('A search term (q) and a positive limit are required');
   }
+
+  const rows = await searchService.searchCustomers(req.query.q, limit);
+
+  res.json({
+    success: true,
+    data: rows,
+    count: rows.length,
+  });
 });
 
 // Get specific customer
-router.get('/customer/:customer_code', async (req, res) => {
+router.get('/customer/:customer_code', authorize(), ownCustomerOnly(), async (req, res) => {
   const { customer_code } = req.params;
 
   if (!customer_code) {
-    return res.status(400).json({
-      success: false,
-      error: 'Customer code is required',
-    });
+    throw new BadRequestError('Customer code is required');
   }
 
-  try {
-    const result = await oracleService.executeQuery(`SELECT * FROM customer WHERE customer_code = :1`, [
-      customer_code,
-    ]);
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Customer not found',
-      });
-    }
+  const result = await oracleService.executeQuery(`SELECT * FROM customer WHERE customer_code = :1`, [
+    customer_code,
+  ]);
 
-    res.json({
-      success: true,
-      data: result.rows[0],
-    });
-  } catch (error) {
-    console.error('Database query error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-    });
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Customer not found');
   }
+
+  res.json({
+    success: true,
+    data: stripSecrets(result.rows[0]),
+  });
 });
 
 // Get distributors
-router.get('/distributors', async (req, res) => {
-  try {
-    const result = await oracleService.executeQuery(`SELECT * FROM customer WHERE customer_type = 'distributor'`);
-
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows?.length || 0,
-    });
-  } catch (error) {
-    console.error('Distributors fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch distributors',
-      details: error.message,
-    });
-  }
+router.get('/distributors', authorize(ROLES.ADMIN), async (req, res) => {
+  const { rows, pagination } = await runListQuery(
+    customerListSpec(['customer_type = :customer_type_scope'], { customer_type_scope: 'distributor' }),
+    req.query,
+  );
+
+  res.json({
+    success: true,
+    data: stripSecretsAll(rows),
+    count: rows.length,
+    pagination,
+  });
 });
 
 // Get specific distributor
-router.get('/distributors/:customer_code', async (req, res) => {
+router.get('/distributors/:customer_code', distributorAccess, async (req, res) => {
   const { customer_code } = req.params;
 
   if (!customer_code) {
-    return res.status(400).json({
-      success: false,
-      error: 'Distributor usercode is required',
-    });
+    throw new BadRequestError('Distributor usercode is required');
   }
 
-  try {
-    const result = await oracleService.executeQuery(`SELECT * FROM customer WHERE customer_code = :1`, [
-      customer_code,
-    ]);
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Distributor not found',
-      });
-    }
+  const result = await oracleService.executeQuery(`SELECT * FROM customer WHERE customer_code = :1`, [
+    customer_code,
+  ]);
 
-    res.json({
-      success: true,
-      data: result.rows[0],
-    });
-  } catch (error) {
-    console.error('Database query error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-    });
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Distributor not found');
   }
+
+  res.json({
+    success: true,
+    data: stripSecrets(result.rows[0]),
+  });
 });
 
 // Get corporates
-router.get('/corporates', async (req, res) => {
-  try {
-    const result = await oracleService.executeQuery(`SELECT * FROM customer WHERE customer_type = 'direct'`);
-
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows?.length || 0,
-    });
-  } catch (error) {
-    console.error('Corporates fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch corporates',
-      details: error.message,
-    });
-  }
+router.get('/corporates', authorize(ROLES.ADMIN), async (req, res) => {
+  const { rows, pagination } = await runListQuery(
+    customerListSpec(['customer_type = :customer_type_scope'], { customer_type_scope: 'direct' }),
+    req.query,
+  );
+
+  res.json({
+    success: true,
+    data: stripSecretsAll(rows),
+    count: rows.length,
+    pagination,
+  });
 });
 
 // Get specific corporate
-router.get('/corporates/:customer_code', async (req, res) => {
+router.get('/corporates/:customer_code', corporateAccess, async (req, res) => {
   const { customer_code } = req.params;
 
   if (!customer_code) {
-    return res.status(400).json({
-      success: false,
-      error: 'Customer Code is required!',
-    });
+    throw new BadRequestError('Customer Code is required!');
   }
 
-  try {
-    const result = await oracleService.executeQuery(`SELECT * FROM customer WHERE customer_code = :1`, [
-      customer_code,
-    ]);
+  const result = await oracleService.executeQuery(`SELECT * FROM customer WHERE customer_code = :1`, [
+    customer_code,
+  ]);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Corporate not found',
-      });
-    }
-
-    res.json({
-      success: true,
-      data: result.rows[0],
-    });
-  } catch (error) {
-    console.error('Database query error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-    });
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Corporate not found');
   }
+
+  res.json({
+    success: true,
+    data: stripSecrets(result.rows[0]),
+  });
 });
 
 // Update distributor
-router.put('/distributors/:customer_code', async (req, res) => {
+router.put('/distributors/:customer_code', distributorAccess, validateBody(updateCustomerSchema), async (req, res) => {
   const customerCode = req.params.customer_code;
   const updates = req.body;
 
   if (!updates || Object.keys(updates).length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'No update data provided',
-    });
+    throw new BadRequestError('No update data provided');
   }
 
-  const allowedFields = [
-    'customer_name',
-    'mobile_number',
-    'email',
-    'customer_type',
-    'password',
-    'role',
-    'status',
-    'firebase_uid',
-  ];
+  const allowedFields =
+    req.principal.role === ROLES.ADMIN ? adminEditableFields : selfEditableFields;
 
   const filteredUpdates = {};
   Object.keys(updates).forEach(key => {
@@ -206,10 +195,11 @@ router.put('/distributors/:customer_code', async (req, res) => {
   });
 
   if (Object.keys(filteredUpdates).length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'No valid fields to update',
-    });
+    throw new BadRequestError('No valid fields to update');
+  }
+
+  if (filteredUpdates.password) {
+    filteredUpdates.password = await credentialService.hash(filteredUpdates.password);
   }
 
   const setClause = Object.keys(filteredUpdates)
@@ -221,53 +211,30 @@ router.put('/distributors/:customer_code', async (req, res) => {
 
   const sql = `UPDATE customer SET ${setClause} WHERE customer_code = :${values.length}`;
 
-  try {
-    const result = await oracleService.executeQuery(sql, values, { autoCommit: true });
-
-    if (result.rowsAffected === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Distributor not found',
-      });
-    }
+  const result = await oracleService.executeQuery(sql, values, { autoCommit: true });
 
-    res.json({
-      success: true,
-      message: 'Distributor updated successfully',
-      affectedRows: result.rowsAffected,
-    });
-  } catch (error) {
-    console.error('Update distributor error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Database error',
-      details: error.message,
-    });
+  if (result.rowsAffected === 0) {
+    throw new NotFoundError('Distributor not found');
   }
+
+  res.json({
+    success: true,
+    message: 'Distributor updated successfully',
+    affectedRows: result.rowsAffected,
+  });
 });
 
 // Update corporate
-router.put('/corporates/:customer_code', async (req, res) => {
+router.put('/corporates/:customer_code', corporateAccess, validateBody(updateCustomerSchema), async (req, res) => {
   const customerCode = req.params.customer_code;
   const updates = req.body;
 
   if (!updates || Object.keys(updates).length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'No update data provided',
-    });
+    throw new BadRequestError('No update data provided');
   }
 
-  const allowedFields = [
-    'customer_name',
-    'mobile_number',
-    'email',
-    'customer_type',
-    'password',
-    'role',
-    'status',
-    'firebase_uid',
-  ];
+  const allowedFields =
+    req.principal.role === ROLES.ADMIN ? adminEditableFields : selfEditableFields;
 
   const filteredUpdates = {};
   Object.keys(updates).forEach(key => {
@@ -277,10 +244,11 @@ router.put('/corporates/:customer_code', async (req, res) => {
   });
 
   if (Object.keys(filteredUpdates).length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'No valid fields to update',
-    });
+    throw new BadRequestError('No valid fields to update');
+  }
+
+  if (filteredUpdates.password) {
+    filteredUpdates.password = await credentialService.hash(filteredUpdates.password);
   }
 
   const setClause = Object.keys(filteredUpdates)
@@ -292,90 +260,96 @@ router.put('/corporates/:customer_code', async (req, res) => {
 
   const sql = `UPDATE customer SET ${setClause} WHERE customer_code = :${values.length}`;
 
-  try {
-    const result = await oracleService.executeQuery(sql, values, { autoCommit: true });
+  const result = await oracleService.executeQuery(sql, values, { autoCommit: true });
 
-    if (result.rowsAffected === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Corporate not found',
-      });
-    }
+  if (result.rowsAffected === 0) {
+    throw new NotFoundError('Corporate not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Corporate updated successfully',
+    affectedRows: result.rowsAffected,
+  });
+});
+
+// Check a customer's password, e.g. before a sensitive action
+router.post(
+  '/customer/:customer_code/password/verify',
+  authorize(),
+  ownCustomerOnly(),
+  validateBody(verifyPasswordSchema),
+  async (req, res) => {
+    const valid = await credentialService.verify(req.params.customer_code, req.body.password);
 
     res.json({
       success: true,
-      message: 'Corporate updated successfully',
-      affectedRows: result.rowsAffected,
-    });
-  } catch (error) {
-    console.error('Update corporate error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Database error',
-      details: error.message,
+      data: { valid },
     });
-  }
-});
-
-// User profiles
-router.get('/me-distributor', verifyToken, async (req, res) => {
-  try {
-    const result = await oracleService.executeQuery(
-      `SELECT customer_code, customer_name, role, state 
-       FROM customer 
-       WHERE firebase_uid = :1`,
-      [req.uid],
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Distributor not found',
-      });
+  },
+);
+
+// Change a customer's password; admins may reset it without the current one
+router.put(
+  '/customer/:customer_code/password',
+  authorize(),
+  ownCustomerOnly(),
+  validateBody(changePasswordSchema),
+  async (req, res) => {
+    const requireCurrent = req.principal.role !== ROLES.ADMIN;
+
+    if (requireCurrent && !req.body.current_password) {
+      throw new BadRequestError('current_password is required');
     }
 
+    await credentialService.changePassword(req.params.customer_code, {
+      currentPassword: req.body.current_password,
+      newPassword: req.body.new_password,
+      requireCurrent,
+    });
+
     res.json({
       success: true,
-      data: result.rows[0],
-    });
-  } catch (error) {
-    console.error('Distributor profile error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Database error',
-      details: error.message,
+      message: 'Password changed successfully',
     });
+  },
+);
+
+// User profiles
+router.get('/me-distributor', verifyToken, async (req, res) => {
+  const result = await oracleService.executeQuery(
+    `SELECT customer_code, customer_name, role, state 
+     FROM customer 
+     WHERE firebase_uid = :1`,
+    [req.uid],
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Distributor not found');
   }
+
+  res.json({
+    success: true,
+    data: result.rows[0],
+  });
 });
 
 router.get('/me-corporate', verifyToken, async (req, res) => {
-  try {
-    const result = await oracleService.executeQuery(
-      `SELECT customer_code, customer_name, role, state 
-       FROM customer 
-       WHERE firebase_uid = :1`,
-      [req.uid],
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Corporate not found',
-      });
-    }
-
-    res.json({
-      success: true,
-      data: result.rows[0],
-    });
-  } catch (error) {
-    console.error('Corporate profile error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Database error',
-      details: error.message,
-    });
+  const result = await oracleService.executeQuery(
+    `SELECT customer_code, customer_name, role, state 
+     FROM customer 
+     WHERE firebase_uid = :1`,
+    [req.uid],
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Corporate not found');
   }
+
+  res.json({
+    success: true,
+    data: result.rows[0],
+  });
 });
 
 export default router;
\ No newline at end of file
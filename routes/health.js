@@ -0,0 +1,24 @@
+import express from 'express';
+import healthService from '../services/health.service.js';
+
+const router = express.Router();
+
+// Liveness: always 200 while the process can answer
+router.get('/health/live', (req, res) => {
+  res.json(healthService.liveness());
+});
+
+// Readiness: 503 while a required dependency (Oracle, Firebase, optionally
+// Tally) is down, so the load balancer stops routing to this instance
+const readiness = async (req, res) => {
+  const report = await healthService.readiness();
+  res.set('Cache-Control', 'no-store');
+  res.status(report.status === 'ready' ? 200 : 503).json(report);
+};
+
+router.get('/health/ready', readiness);
+
+// Kept for existing monitors; same answer as /health/ready
+router.get('/health', readiness);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import metrics, { PROMETHEUS_CONTENT_TYPE } from '../utils/metrics.js';
+import { UnauthorizedError } from '../utils/errors.js';
+import { METRICS_TOKEN } from '../config/metrics.js';
+
+const router = express.Router();
+
+const digest = value => createHash('sha256').update(String(value)).digest();
+
+// Scrapers authenticate with METRICS_TOKEN rather than a Firebase user
+const metricsAccess = (req, res, next) => {
+  if (!METRICS_TOKEN) return next();
+
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice('Bearer '.length) : '';
+  if (!token || !timingSafeEqual(digest(token), digest(METRICS_TOKEN))) {
+    return next(new UnauthorizedError('Invalid metrics token'));
+  }
+  next();
+};
+
+// Prometheus scrape endpoint
+router.get('/metrics', metricsAccess, (req, res) => {
+  res.set('Content-Type', PROMETHEUS_CONTENT_TYPE).send(metrics.render());
+});
+
+export default router;
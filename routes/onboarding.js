@@ -0,0 +1,49 @@
+import express from 'express';
+import { verifyToken, authorize } from '../middleware/auth.js';
+import { ROLES } from '../config/roles.js';
+import { validateBody } from '../middleware/validate.js';
+import { inviteSchema, activateSchema } from '../schemas/onboarding.schema.js';
+import inviteService from '../services/invite.service.js';
+
+const router = express.Router();
+
+// Contacts the caller proved to Firebase: a verified email and the phone
+// number of a phone sign-in. Nothing from the request body counts.
+const callerContacts = req => {
+  const claims = req.tokenClaims || {};
+  return {
+    emails: [claims.email_verified ? claims.email : null].filter(Boolean),
+    mobiles: [claims.phone_number].filter(Boolean),
+  };
+};
+
+// Send a customer an activation link; replaces any earlier open invite
+router.post('/customer/:customer_code/invites', authorize(ROLES.ADMIN), validateBody(inviteSchema), async (req, res) => {
+  const invite = await inviteService.createInvite(req.params.customer_code, {
+    channel: req.body?.channel,
+    createdBy: req.principal.uid,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent',
+    data: invite,
+  });
+});
+
+// Link the signed-in Firebase user to the invited customer and activate it.
+// Only verifyToken: the caller has no principal until this succeeds.
+router.post('/activate', verifyToken, validateBody(activateSchema), async (req, res) => {
+  const customer = await inviteService.activate(req.body.token, {
+    uid: req.uid,
+    contacts: callerContacts(req),
+  });
+
+  res.json({
+    success: true,
+    message: 'Account activated',
+    data: customer,
+  });
+});
+
+export default router;
@@ -1,386 +1,405 @@
 import express from 'express';
-import OracleService from '../services/oracle.service.js';
-import { toOracleDate } from '../utils/helpers.js';
-import oracledb from 'oracledb';
+import orderService, { normalizeOrderDocument, mergeWithStoredLines } from '../services/order.service.js';
+import pricingService from '../services/pricing.service.js';
+import orderNumberService from '../services/order-number.service.js';
+import orderStatusService, {
+  checkTransition,
+  INITIAL_STATUSES,
+  EDITABLE_STATUSES,
+} from '../services/order-status.service.js';
+import tallyPushService from '../services/tally-push.service.js';
+import inventoryService from '../services/inventory.service.js';
+import { authorize, canAccessCustomer } from '../middleware/auth.js';
+import { ROLES } from '../config/roles.js';
+import { validateBody } from '../middleware/validate.js';
+import { idempotent } from '../middleware/idempotency.js';
+import {
+  createOrderBody,
+  updateOrderBody,
+  transitionSchema,
+  restoreLinesSchema,
+} from '../schemas/order.schema.js';
+import { TALLY_PUSH_ON_APPROVE } from '../config/tally.js';
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  PreconditionRequiredError,
+  UpstreamError,
+  ValidationError,
+} from '../utils/errors.js';
+import { versionTag, parseVersionTag } from '../utils/etag.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
-const oracleService = OracleService;
 
-// Get all orders
-router.get('/orders', async (req, res) => {
-  try {
-    const result = await oracleService.executeQuery('SELECT * FROM orders');
+// Order writes accept an Idempotency-Key (their handlers are wrapped in
+// idempotent()) so a retried request is not applied twice
+const createGuards = [authorize(), validateBody(createOrderBody)];
+const updateGuards = [authorize(), validateBody(updateOrderBody)];
+const transitionGuards = [authorize(), validateBody(transitionSchema)];
+const restoreGuards = [authorize(), validateBody(restoreLinesSchema)];
 
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows?.length || 0,
-    });
-  } catch (error) {
-    console.error('Orders fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch orders',
-      details: error.message,
+// checkTransition() status -> error class
+const TRANSITION_ERRORS = { 400: BadRequestError, 403: ForbiddenError, 409: ConflictError };
+
+const assertPriced = pricing => {
+  if (pricing.errors.length) {
+    throw new ValidationError('Some order lines could not be priced', { details: pricing.errors });
+  }
+
+  if (pricing.mismatches.length && pricingService.mismatchPolicy === 'reject') {
+    throw new ValidationError('Order values do not match server pricing', {
+      code: 'PRICE_MISMATCH',
+      details: pricing.mismatches,
     });
   }
+};
+
+// Get orders (headers only), paged and filterable
+router.get('/orders', authorize(), async (req, res) => {
+  // Distributors and corporates only see their own orders
+  const { rows, pagination } = await orderService.listOrders(
+    req.query,
+    req.principal.role === ROLES.ADMIN ? {} : { customerCode: req.principal.customer_code },
+  );
+
+  res.json({
+    success: true,
+    data: rows,
+    count: rows.length,
+    pagination,
+  });
 });
 
-// Get Orders by Order Number
-router.get('/orders-by-number/:order_no', async (req, res) => {
+// Get order by order number as { header, lines }
+router.get('/orders-by-number/:order_no', authorize(), async (req, res) => {
   const { order_no } = req.params;
-  const { created_at } = req.query; // optional filter
 
   if (!order_no) {
-    return res.status(400).json({
-      success: false,
-      error: 'Order Number is required',
-    });
+    throw new BadRequestError('Order Number is required');
   }
 
-  let sql = 'SELECT * FROM orders WHERE order_no = :1';
-  const params = [order_no];
+  const order = await orderService.getOrderByNumber(order_no);
 
-  // Optional created_at filter
-  if (created_at) {
-    sql += ' AND created_at = :2';
-    params.push(created_at);
+  if (!order) {
+    throw new NotFoundError('Order not found');
   }
 
-  try {
-    const result = await oracleService.executeQuery(sql, params);
+  if (!canAccessCustomer(req.principal, order.header.CUSTOMER_CODE)) {
+    throw new ForbiddenError('You can only access your own orders');
+  }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Order not found',
-      });
-    }
+  // Sent back as If-Match (or body.version) when editing the order
+  res.set('ETag', versionTag(order.header.VERSION));
+  res.json({
+    success: true,
+    data: order,
+    count: order.lines.length,
+  });
+});
 
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length,
-    });
-  } catch (error) {
-    console.error('Database query error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-    });
+// Reserve the next order number for an open order form
+router.get('/api/orders/next-order-number', authorize(), async (req, res) => {
+  const { orderNumber, expiresAt } = await orderNumberService.reserve({
+    voucherType: req.query.voucher_type,
+    uid: req.uid,
+  });
+
+  res.json({
+    success: true,
+    orderNumber,
+    expiresAt,
+  });
+});
+
+// Release a reserved order number when the form is abandoned
+router.delete('/api/orders/next-order-number/:order_no', authorize(), async (req, res) => {
+  const released = await orderNumberService.release(req.params.order_no, req.uid);
+
+  if (!released) {
+    throw new NotFoundError('No active reservation for this order number');
   }
+
+  res.json({
+    success: true,
+    message: 'Order number released',
+  });
 });
 
-// Get next order number
-router.get('api/orders/next-order-number', async (req, res) => {
-  try {
-    const result = await oracleService.executeQuery(
-      `SELECT order_no FROM orders 
-       WHERE order_no LIKE 'SQ-%' 
-       ORDER BY created_at DESC FETCH FIRST 1 ROWS ONLY`,
-    );
-
-    let nextSequence = '0001';
-    const today = new Date();
-    const day = String(today.getDate()).padStart(2, '0');
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const year = today.getFullYear().toString().slice(-2);
-
-    if (result.rows.length > 0 && result.rows[0].order_no) {
-      const orderNo = result.rows[0].order_no;
-      const parts = orderNo.split('-');
-
-      if (parts.length >= 5) {
-        const lastDate = `${parts[1]}-${parts[2]}-${parts[3]}`;
-        const currentDate = `${day}-${month}-${year}`;
-
-        if (lastDate === currentDate) {
-          const lastSequence = parseInt(parts[4]) || 0;
-          nextSequence = (lastSequence + 1).toString().padStart(4, '0');
-        }
-      }
-    }
-
-    res.json({
-      success: true,
-      orderNumber: `SQ-${day}-${month}-${year}-${nextSequence}`,
-    });
-  } catch (error) {
-    console.error('Next order number error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
+// Create order from { header, lines } (legacy flat arrays are still accepted)
+router.post('/orders', createGuards, idempotent(async (req, res) => {
+  const { header, lines } = normalizeOrderDocument(req.body);
+
+  if (!canAccessCustomer(req.principal, header.customer_code)) {
+    throw new ForbiddenError('You can only place orders for your own account');
+  }
+
+  if (header.status && !INITIAL_STATUSES.includes(header.status)) {
+    throw new BadRequestError(`New orders must be ${INITIAL_STATUSES.join(' or ')}`);
+  }
+
+  // Line values and totals are recomputed server-side from stock_item
+  const pricing = await pricingService.priceOrder({
+    customerCode: header.customer_code,
+    lines,
+    clientTotals: Array.isArray(req.body) ? req.body[0] : req.body.header,
+    clientDiscounts: req.principal.role === ROLES.ADMIN,
+  });
+  assertPriced(pricing);
+
+  // Only a number the caller reserved (and still holds) is kept; anything
+  // else, including a missing number, is replaced by a fresh allocation
+  const requestedNumber = header.order_no?.trim();
+  if (await orderNumberService.isReservedBy(requestedNumber, req.uid)) {
+    header.order_no = requestedNumber;
+  } else {
+    const { orderNumber } = await orderNumberService.reserve({
+      voucherType: header.voucher_type,
+      uid: req.uid,
     });
+    header.order_no = orderNumber;
   }
+
+  const order = await orderService.createOrder(
+    { header, lines: pricing.lines },
+    { principal: req.principal },
+  );
+
+  res.set('ETag', versionTag(order.header.VERSION));
+  res.json({
+    success: true,
+    message: 'Order created successfully',
+    insertedCount: order.lines.length,
+    data: order,
+    adjustments: pricing.mismatches,
+  });
+}));
+
+// Update order header and lines by order number
+router.put('/orders-by-number/:order_no', updateGuards, idempotent(async (req, res) => {
+  const { order_no } = req.params;
+  const { header, lines } = normalizeOrderDocument(req.body);
+
+  if (!order_no?.trim()) {
+    throw new BadRequestError('Order Number is required');
+  }
+
+  if (!Object.keys(header).length && lines.length === 0) {
+    throw new BadRequestError('No data provided');
+  }
+
+  const expectedVersion = parseVersionTag(req.get('If-Match')) ?? (Array.isArray(req.body) ? null : req.body.version);
+
+  if (expectedVersion == null) {
+    throw new PreconditionRequiredError('Send the order version you edited as If-Match or body.version');
+  }
+
+  const existing = await orderService.getOrderByNumber(order_no);
+
+  if (!existing) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (!canAccessCustomer(req.principal, existing.header.CUSTOMER_CODE)) {
+    throw new ForbiddenError('You can only edit your own orders');
+  }
+
+  if (existing.header.VERSION !== expectedVersion) {
+    throw await orderService.staleVersionError(order_no, existing);
+  }
+
+  if (!EDITABLE_STATUSES.includes(existing.header.STATUS)) {
+    throw new ConflictError(`Order is ${existing.header.STATUS} and can no longer be edited`);
+  }
+
+  if (header.status && header.status !== existing.header.STATUS) {
+    throw new BadRequestError('Order status can only be changed through /orders-by-number/:order_no/transitions/:action');
+  }
+
+  // Re-price every inserted or edited line against its stored values
+  const merged = mergeWithStoredLines(lines, existing.lines);
+  const pricing = await pricingService.priceOrder({
+    customerCode: existing.header.CUSTOMER_CODE,
+    lines: merged.filter(line => !line._deleted),
+    clientDiscounts: req.principal.role === ROLES.ADMIN,
+  });
+  assertPriced(pricing);
+
+  const pricedLines = [...pricing.lines];
+  const linesToSave = merged.map(line => (line._deleted ? line : pricedLines.shift()));
+
+  const result = await orderService.updateOrder(
+    order_no,
+    { header, lines: linesToSave },
+    { principal: req.principal, expectedVersion },
+  );
+
+  res.set('ETag', versionTag(result.order.header.VERSION));
+  res.json({
+    success: true,
+    data: result.order,
+    operations: result.operations,
+    adjustments: pricing.mismatches,
+  });
+}));
+
+// Move an order through its lifecycle (submit, approve, dispatch, invoice, cancel)
+router.post('/orders-by-number/:order_no/transitions/:action', transitionGuards, async (req, res) => {
+  const { order_no, action } = req.params;
+  const reason = req.body?.reason;
+
+  const header = await orderService.getHeader(order_no);
+
+  if (!header) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (!canAccessCustomer(req.principal, header.CUSTOMER_CODE)) {
+    throw new ForbiddenError('You can only change your own orders');
+  }
+
+  const check = checkTransition(action, header.STATUS, req.principal.role);
+  if (!check.ok) {
+    throw new TRANSITION_ERRORS[check.status](check.error);
+  }
+
+  if (check.requiresReason && !reason) {
+    throw new BadRequestError(`A reason is required to ${action} an order`);
+  }
+
+  await orderStatusService.applyTransition({
+    orderNo: order_no,
+    action,
+    from: header.STATUS,
+    to: check.to,
+    reason,
+    principal: req.principal,
+  });
+
+  // Reservations are soft: approval goes through, but items that are now
+  // over-committed are reported
+  const shortages = action === 'approve' ? await inventoryService.getShortages(order_no) : [];
+
+  // The Tally push runs in the background; failures are stored on the
+  // order and can be retried through /tally-push
+  const tallyPush = action === 'approve' && TALLY_PUSH_ON_APPROVE;
+  if (tallyPush) {
+    tallyPushService
+      .pushOrder(order_no)
+      .catch(error => logger.error('Tally push failed', { order_no, error }));
+  }
+
+  res.json({
+    success: true,
+    message: `Order ${check.to}`,
+    data: {
+      order_no,
+      from: header.STATUS,
+      to: check.to,
+      tally_push: tallyPush ? 'started' : null,
+      stock_shortages: shortages,
+    },
+  });
 });
 
-// Create orders (batch insert)
-router.post('/orders', async (req, res) => {
-  const data = req.body;
+// Push an approved order to Tally now, e.g. after a failed automatic push
+router.post('/orders-by-number/:order_no/tally-push', authorize(ROLES.ADMIN), async (req, res) => {
+  const result = await tallyPushService.pushOrder(req.params.order_no);
 
-  // Validate request body
-  if (!Array.isArray(data) || data.length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'No orders provided',
-    });
+  if (result.status !== 'pushed') {
+    throw new UpstreamError('Tally rejected the voucher', { details: result });
   }
 
-  try {
-    const operations = data.map((item, index) => {
-      // Normalize and validate required fields
-      const order_no = item.order_no?.trim();
-      const order_date = toOracleDate(item.date) || new Date();
-      const delivery_date = toOracleDate(item.delivery_date) || order_date; // default to order_date
-      if (!order_no) throw new Error(`Order number is required for item at index ${index}`);
-      if (!delivery_date) throw new Error(`Delivery date is required for order ${order_no}`);
-
-      return {
-        sql: `
-          INSERT INTO orders (
-            voucher_type, order_no, order_date, status, customer_code, executive, role,
-            customer_name, item_code, item_name, hsn, gst, sgst, cgst, igst,
-            delivery_date, delivery_mode, transporter_name, quantity, uom,
-            rate, amount, net_rate, gross_amount, disc_percentage, disc_amount,
-            spl_disc_percentage, spl_disc_amount, total_quantity,
-            total_amount_without_tax, total_cgst_amount, total_sgst_amount,
-            total_igst_amount, total_amount, remarks
-          )
-          VALUES (
-            :voucher_type, :order_no, :order_date, :status,
-            :customer_code, :executive, :role, :customer_name, :item_code,
-            :item_name, :hsn, :gst, :sgst, :cgst, :igst,
-            :delivery_date, :delivery_mode, :transporter_name,
-            :quantity, :uom, :rate, :amount, :net_rate, :gross_amount,
-            :disc_percentage, :disc_amount, :spl_disc_percentage,
-            :spl_disc_amount, :total_quantity, :total_amount_without_tax,
-            :total_cgst_amount, :total_sgst_amount, :total_igst_amount,
-            :total_amount, :remarks
-          )
-          RETURNING id INTO :id
-        `,
-        binds: {
-          voucher_type: item.voucher_type || 'Distributor Order-Web Based',
-          order_no,
-          order_date,
-          status: item.status || 'pending',
-          customer_code: item.customer_code || '',
-          executive: item.executive || '',
-          role: item.role || 'distributor',
-          customer_name: item.customer_name || '',
-          item_code: item.item_code || '',
-          item_name: item.item_name || '',
-          hsn: item.hsn || '',
-          gst: item.gst != null ? String(item.gst).replace(/\s*%/, '') : 0,
-          sgst: item.sgst ?? 0,
-          cgst: item.cgst ?? 0,
-          igst: item.igst ?? 0,
-          delivery_date,
-          delivery_mode: item.delivery_mode || '',
-          transporter_name: item.transporter_name || '',
-          quantity: item.quantity ?? 0,
-          uom: item.uom || '',
-          rate: item.rate ?? 0,
-          amount: item.amount ?? 0,
-          net_rate: item.net_rate ?? 0,
-          gross_amount: item.gross_amount ?? 0,
-          disc_percentage: item.disc_percentage ?? 0,
-          disc_amount: item.disc_amount ?? 0,
-          spl_disc_percentage: item.spl_disc_percentage ?? 0,
-          spl_disc_amount: item.spl_disc_amount ?? 0,
-          total_quantity: item.total_quantity ?? 0,
-          total_amount_without_tax: item.total_amount_without_tax ?? 0,
-          total_cgst_amount: item.total_cgst_amount ?? 0,
-          total_sgst_amount: item.total_sgst_amount ?? 0,
-          total_igst_amount: item.total_igst_amount ?? 0,
-          total_amount: item.total_amount ?? 0,
-          remarks: item.remarks || '',
-          id: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
-        },
-      };
-    });
+  res.json({
+    success: true,
+    data: result,
+  });
+});
 
-    // Execute all inserts in a single transaction
-    const results = await oracleService.executeTransaction(operations);
+// Status history of an order
+router.get('/orders-by-number/:order_no/history', authorize(), async (req, res) => {
+  const { order_no } = req.params;
 
-    // Extract all generated IDs from RETURNING
-    const insertedIds = results.map(r => r.outBinds?.id?.[0]);
+  const header = await orderService.getHeader(order_no);
 
-    res.json({
-      success: true,
-      message: 'Orders inserted successfully',
-      insertedCount: data.length,
-      insertedIds,
-    });
-  } catch (error) {
-    console.error('Insert orders error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+  if (!header) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (!canAccessCustomer(req.principal, header.CUSTOMER_CODE)) {
+    throw new ForbiddenError('You can only access your own orders');
   }
+
+  const history = await orderStatusService.getHistory(order_no);
+
+  res.json({
+    success: true,
+    data: history,
+    count: history.length,
+  });
 });
 
-// Update orders by order number
-router.put('/orders-by-number/:order_no', async (req, res) => {
+// Lines removed from an order that can still be restored
+router.get('/orders-by-number/:order_no/deleted-lines', authorize(), async (req, res) => {
   const { order_no } = req.params;
-  const allItems = [...req.body].sort((a, b) => (a.id || 0) - (b.id || 0));
 
-  if (!order_no?.trim()) {
-    return res.status(400).json({ success: false, error: 'Order Number is required' });
-  }
-
-  if (!Array.isArray(allItems) || allItems.length === 0) {
-    return res.status(400).json({ success: false, error: 'No data provided' });
-  }
-
-  const itemsToInsert = allItems.filter(i => !i.id && !i._deleted);
-  const itemsToUpdate = allItems.filter(i => i.id && !i._deleted);
-  const itemsToDelete = allItems.filter(i => i.id && i._deleted);
-
-  try {
-    const operations = [];
-
-    // Delete operations
-    if (itemsToDelete.length) {
-      const ids = itemsToDelete.map(i => i.id);
-      const binds = ids.map((_, i) => `:${i + 1}`).join(',');
-      operations.push({
-        sql: `DELETE FROM orders WHERE id IN (${binds}) AND order_no = :${ids.length + 1}`,
-        binds: [...ids, order_no],
-      });
-    }
-
-    // Update operations
-    const allowedFields = [
-      'status',
-      'disc_percentage',
-      'disc_amount',
-      'spl_disc_percentage',
-      'spl_disc_amount',
-      'net_rate',
-      'gross_amount',
-      'quantity',
-      'gst',
-      'sgst',
-      'cgst',
-      'igst',
-      'hsn',
-      'rate',
-      'amount',
-      'uom',
-      'item_code',
-      'item_name',
-      'delivery_date',
-      'delivery_mode',
-      'transporter_name',
-      'total_quantity',
-      'total_amount',
-      'total_amount_without_tax',
-      'total_sgst_amount',
-      'total_cgst_amount',
-      'total_igst_amount',
-      'remarks',
-      'order_date',
-    ];
-
-    for (const row of itemsToUpdate) {
-      const { id, _deleted, ...fields } = row;
-      const filtered = Object.fromEntries(
-        Object.entries(fields).filter(([k]) => allowedFields.includes(k)),
-      );
-
-      if (!Object.keys(filtered).length) continue;
-
-      const keys = Object.keys(filtered);
-      const setClause = keys.map((k, i) => `${k} = :${i + 1}`).join(', ');
-      const values = keys.map(k => {
-        if (k === 'order_date' || k === 'delivery_date') {
-          return toOracleDate(filtered[k]);
-        }
-        return filtered[k];
-      });
-      values.push(id, order_no);
-
-      operations.push({
-        sql: `UPDATE orders SET ${setClause} WHERE id = :${values.length - 1} AND order_no = :${
-          values.length
-        }`,
-        binds: values,
-      });
-    }
-
-    // Insert operations
-    for (const item of itemsToInsert) {
-      const insertData = {
-        order_no,
-        voucher_type: item.voucher_type || 'Distributor Order-Web Based',
-        order_date: toOracleDate(item.order_date) || new Date(),
-        customer_code: item.customer_code || '',
-        customer_name: item.customer_name || '',
-        executive: item.executive || '',
-        role: item.role || 'distributor',
-        status: item.status || 'pending',
-        item_code: item.item_code || '',
-        item_name: item.item_name || '',
-        hsn: item.hsn || '',
-        gst: item.gst || 0,
-        sgst: item.sgst || 0,
-        cgst: item.cgst || 0,
-        igst: item.igst || 0,
-        delivery_date: toOracleDate(item.delivery_date),
-        delivery_mode: item.delivery_mode || '',
-        transporter_name: item.transporter_name || '',
-        quantity: item.quantity || 0,
-        uom: item.uom || '',
-        rate: item.rate || 0,
-        amount: item.amount || 0,
-        net_rate: item.net_rate || 0,
-        gross_amount: item.gross_amount || 0,
-        disc_percentage: item.disc_percentage || 0,
-        disc_amount: item.disc_amount || 0,
-        spl_disc_percentage: item.spl_disc_percentage || 0,
-        spl_disc_amount: item.spl_disc_amount || 0,
-        total_quantity: item.total_quantity || 0,
-        total_amount: item.total_amount || 0,
-        total_amount_without_tax: item.total_amount_without_tax || 0,
-        total_sgst_amount: item.total_sgst_amount || 0,
-        total_cgst_amount: item.total_cgst_amount || 0,
-        total_igst_amount: item.total_igst_amount || 0,
-        remarks: item.remarks || '',
-      };
-
-      const cols = Object.keys(insertData);
-      const vals = Object.values(insertData);
-      const binds = cols.map((_, i) => `:${i + 1}`).join(',');
-
-      operations.push({
-        sql: `INSERT INTO orders (${cols.join(',')}) VALUES (${binds})`,
-        binds: vals,
-      });
-    }
-
-    await oracleService.executeTransaction(operations);
-
-    // Get updated orders
-    const result = await oracleService.executeQuery(
-      'SELECT * FROM orders WHERE order_no = :1 ORDER BY id',
-      [order_no],
-    );
-
-    res.json({
-      success: true,
-      data: result.rows,
-      operations: {
-        inserted: itemsToInsert.length,
-        updated: itemsToUpdate.length,
-        deleted: itemsToDelete.length,
-      },
-    });
-  } catch (error) {
-    console.error('❌ Transaction failed:', error);
-    res.status(500).json({ success: false, error: error.message });
+  const header = await orderService.getHeader(order_no);
+
+  if (!header) {
+    throw new NotFoundError('Order not found');
   }
+
+  if (!canAccessCustomer(req.principal, header.CUSTOMER_CODE)) {
+    throw new ForbiddenError('You can only access your own orders');
+  }
+
+  const lines = await orderService.getDeletedLines(order_no);
+
+  res.json({
+    success: true,
+    data: lines,
+    count: lines.length,
+  });
+});
+
+// Restore deleted lines with their stored values; totals are recalculated
+router.post('/orders-by-number/:order_no/deleted-lines/restore', restoreGuards, async (req, res) => {
+  const { order_no } = req.params;
+
+  const expectedVersion = parseVersionTag(req.get('If-Match')) ?? req.body.version;
+
+  if (expectedVersion == null) {
+    throw new PreconditionRequiredError('Send the order version you edited as If-Match or body.version');
+  }
+
+  const header = await orderService.getHeader(order_no);
+
+  if (!header) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (!canAccessCustomer(req.principal, header.CUSTOMER_CODE)) {
+    throw new ForbiddenError('You can only edit your own orders');
+  }
+
+  if (header.VERSION !== expectedVersion) {
+    throw await orderService.staleVersionError(order_no);
+  }
+
+  if (!EDITABLE_STATUSES.includes(header.STATUS)) {
+    throw new ConflictError(`Order is ${header.STATUS} and can no longer be edited`);
+  }
+
+  const order = await orderService.restoreLines(order_no, req.body.ids, { expectedVersion });
+
+  res.set('ETag', versionTag(order.header.VERSION));
+  res.json({
+    success: true,
+    message: `${req.body.ids.length} line(s) restored`,
+    data: order,
+  });
 });
 
 export default router;
@@ -0,0 +1,125 @@
+import express from 'express';
+import { authorize, canAccessCustomer } from '../middleware/auth.js';
+import { ROLES } from '../config/roles.js';
+import { validateBody } from '../middleware/validate.js';
+import { runListQuery } from '../utils/query-builder.js';
+import { priceRuleSchema } from '../schemas/price-rule.schema.js';
+import priceListService from '../services/price-list.service.js';
+import pricingService from '../services/pricing.service.js';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+const ruleGuards = [authorize(ROLES.ADMIN), validateBody(priceRuleSchema)];
+
+const PRICE_RULE_LIST_SPEC = {
+  table: 'price_rules',
+  filters: {
+    customer_code: { column: 'customer_code' },
+    customer_type: { column: 'customer_type', op: 'in' },
+    item_code: { column: 'item_code' },
+    parent_group: { column: 'parent_group', op: 'in' },
+    valid_on_from: { column: 'valid_to', op: 'gte', type: 'date' },
+    valid_on_to: { column: 'valid_from', op: 'lte', type: 'date' },
+  },
+  sortable: ['id', 'customer_code', 'customer_type', 'item_code', 'parent_group', 'valid_from', 'valid_to'],
+  defaultSort: '-id',
+  tiebreaker: 'id',
+};
+
+const ruleId = req => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new BadRequestError('Price rule id must be a positive integer');
+  }
+  return id;
+};
+
+// Price rules, paged and filterable
+router.get('/price-rules', authorize(ROLES.ADMIN), async (req, res) => {
+  const { rows, pagination } = await runListQuery(PRICE_RULE_LIST_SPEC, req.query);
+
+  res.json({
+    success: true,
+    data: rows,
+    count: rows.length,
+    pagination,
+  });
+});
+
+router.post('/price-rules', ruleGuards, async (req, res) => {
+  const rule = await priceListService.createRule(req.body, { createdBy: req.principal.uid });
+
+  res.status(201).json({
+    success: true,
+    message: 'Price rule created',
+    data: rule,
+  });
+});
+
+// Replaces the whole rule
+router.put('/price-rules/:id', ruleGuards, async (req, res) => {
+  const rule = await priceListService.replaceRule(ruleId(req), req.body);
+
+  res.json({
+    success: true,
+    message: 'Price rule updated',
+    data: rule,
+  });
+});
+
+router.delete('/price-rules/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  await priceListService.deleteRule(ruleId(req));
+
+  res.json({
+    success: true,
+    message: 'Price rule deleted',
+  });
+});
+
+// What a customer pays for an item, priced the way order creation prices it:
+// ?item_code=W-1&quantity=10[&customer_code=1106][&date=2026-04-01].
+// Customers get their own prices; admins name the customer.
+router.get('/effective-price', authorize(), async (req, res) => {
+  const customerCode = req.query.customer_code || req.principal.customer_code;
+  const quantity = req.query.quantity === undefined ? 1 : Number(req.query.quantity);
+  const date = req.query.date ? new Date(req.query.date) : new Date();
+
+  if (!customerCode || !req.query.item_code) {
+    throw new BadRequestError('customer_code and item_code are required');
+  }
+
+  if (!Number.isFinite(quantity) || quantity <= 0 || isNaN(date.getTime())) {
+    throw new BadRequestError('quantity must be a positive number and date a valid date');
+  }
+
+  if (!canAccessCustomer(req.principal, customerCode)) {
+    throw new ForbiddenError('You can only see your own prices');
+  }
+
+  if (!(await pricingService.getCustomer(customerCode))) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  const pricing = await pricingService.priceOrder({
+    customerCode,
+    lines: [{ item_code: String(req.query.item_code), quantity }],
+    date,
+  });
+
+  if (pricing.errors.length) {
+    throw new NotFoundError(pricing.errors[0].error);
+  }
+
+  const [line] = pricing.lines;
+  res.json({
+    success: true,
+    data: {
+      customer_code: customerCode,
+      date,
+      ...line,
+    },
+  });
+});
+
+export default router;
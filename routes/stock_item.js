@@ -1,61 +1,200 @@
 import express from 'express';
 import  OracleService  from '../services/oracle.service.js';
+import { authorize } from '../middleware/auth.js';
+import { ROLES } from '../config/roles.js';
+import { validateBody } from '../middleware/validate.js';
+import { runListQuery } from '../utils/query-builder.js';
+import searchService, { parseSearchLimit, tokenizeQuery } from '../services/search.service.js';
+import stockImportService, { IMPORT_FORMATS } from '../services/stock-import.service.js';
+import inventoryService from '../services/inventory.service.js';
+import { stockMovementSchema, stockLevelsSchema } from '../schemas/stock-item.schema.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
 
 const router = express.Router();
 const oracleService = OracleService;
 
-// Get all orders
-router.get('/stock_item', async (req, res) => {
-  try {
-    const result = await oracleService.executeQuery(`SELECT * FROM stock_item ORDER BY stock_item_name`);
-
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows?.length || 0,
-    });
-  } catch (error) {
-    console.error('Stock items fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch stock items',
-      details: error.message,
-    });
+// The file is sent as the request body, e.g. curl --data-binary @stock_item.csv
+const importBody = express.raw({
+  type: [
+    'text/csv',
+    'text/plain',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/octet-stream',
+  ],
+  limit: '10mb',
+});
+
+const movementGuards = [authorize(ROLES.ADMIN), validateBody(stockMovementSchema)];
+const levelGuards = [authorize(ROLES.ADMIN), validateBody(stockLevelsSchema)];
+
+// Items whose available stock (on hand less reservations) is below their minimum
+const LOW_STOCK_LIST_SPEC = {
+  table: 'stock_availability',
+  where: ['min_stock_level IS NOT NULL', 'available < min_stock_level'],
+  filters: {
+    parent_group: { column: 'parent_group', op: 'in' },
+  },
+  sortable: ['item_code', 'stock_item_name', 'parent_group', 'available', 'on_hand', 'reserved'],
+  defaultSort: 'available',
+  tiebreaker: 'item_code',
+};
+
+const movementListSpec = itemCode => ({
+  table: 'stock_ledger',
+  where: ['item_code = :item_code'],
+  binds: { item_code: itemCode },
+  filters: {
+    godown: { column: 'godown', op: 'in' },
+    movement_type: { column: 'movement_type', op: 'in' },
+    reference: { column: 'reference' },
+    from: { column: 'created_at', op: 'gte', type: 'date' },
+    to: { column: 'created_at', op: 'lte', type: 'date' },
+  },
+  sortable: ['id', 'created_at', 'godown', 'movement_type'],
+  defaultSort: '-id',
+  tiebreaker: 'id',
+});
+
+// stock_availability is stock_item with on_hand / reserved / available
+const STOCK_ITEM_LIST_SPEC = {
+  table: 'stock_availability',
+  filters: {
+    parent_group: { column: 'parent_group', op: 'in' },
+    gst: { column: 'gst', op: 'in' },
+    uom: { column: 'uom' },
+    hsn: { column: 'hsn' },
+    rate_min: { column: 'rate', op: 'gte', type: 'number' },
+    rate_max: { column: 'rate', op: 'lte', type: 'number' },
+    available_min: { column: 'available', op: 'gte', type: 'number' },
+  },
+  sortable: ['stock_item_name', 'item_code', 'parent_group', 'rate', 'gst', 'available'],
+  defaultSort: 'stock_item_name',
+  tiebreaker: 'item_code',
+};
+
+// Get stock items, paged and filterable
+router.get('/stock_item', authorize(), async (req, res) => {
+  const { rows, pagination } = await runListQuery(STOCK_ITEM_LIST_SPEC, req.query);
+
+  res.json({
+    success: true,
+    data: rows,
+    count: rows.length,
+    pagination,
+  });
+});
+
+// Type-ahead search across code, name and HSN; registered before /:item_code
+router.get('/stock_item/search', authorize(), async (req, res) => {
+  const limit = parseSearchLimit(req.query.limit);
+
+  if (!tokenizeQuery(req.query.q).length || !limit) {
+    throw new BadRequestError('A search term (q) and a positive limit are required');
+  }
+
+  const rows = await searchService.searchStockItems(req.query.q, limit);
+
+  res.json({
+    success: true,
+    data: rows,
+    count: rows.length,
+  });
+});
+
+// Bulk upsert stock items from a CSV or XLSX sheet (the stock_item.csv
+// layout). Previews by default; ?dry_run=false writes the valid rows.
+router.post('/stock_item/import', authorize(ROLES.ADMIN), importBody, async (req, res) => {
+  const { format } = req.query;
+
+  if (!Buffer.isBuffer(req.body) || !req.body.length) {
+    throw new BadRequestError('Send the CSV or XLSX file as the request body');
+  }
+
+  if (format !== undefined && !IMPORT_FORMATS.includes(format)) {
+    throw new BadRequestError(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
   }
+
+  const result = await stockImportService.importStockItems(req.body, {
+    format,
+    dryRun: req.query.dry_run !== 'false',
+  });
+
+  res.json({
+    success: true,
+    message: result.dry_run ? 'Import preview; nothing was saved' : 'Stock items imported',
+    data: result,
+  });
+});
+
+// Low-stock report; registered before /:item_code
+router.get('/stock_item/low-stock', authorize(ROLES.ADMIN), async (req, res) => {
+  const { rows, pagination } = await runListQuery(LOW_STOCK_LIST_SPEC, req.query);
+
+  res.json({
+    success: true,
+    data: rows,
+    count: rows.length,
+    pagination,
+  });
 });
 
 // Get specific order
-router.get('/stock_item/:item_code', async (req, res) => {
+router.get('/stock_item/:item_code', authorize(), async (req, res) => {
   const { item_code } = req.params;
 
   if (!item_code) {
-    return res.status(400).json({
-      success: false,
-      error: 'Stock Item Code is required',
-    });
+    throw new BadRequestError('Stock Item Code is required');
   }
 
-  try {
-    const result = await oracleService.executeQuery(`SELECT * FROM stock_item WHERE item_code = :1`, [item_code]);
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Stock Item not found',
-      });
-    }
-
-    res.json({
-      success: true,
-      data: result.rows[0],
-    });
-  } catch (error) {
-    console.error('Database query error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-    });
+  const result = await oracleService.executeQuery(`SELECT * FROM stock_item WHERE item_code = :1`, [item_code]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Stock Item not found');
   }
+
+  const availability = await inventoryService.getAvailability(item_code);
+
+  res.json({
+    success: true,
+    data: result.rows[0],
+    availability,
+  });
+});
+
+// Stock ledger of an item, newest first
+router.get('/stock_item/:item_code/movements', authorize(ROLES.ADMIN), async (req, res) => {
+  const { rows, pagination } = await runListQuery(movementListSpec(req.params.item_code), req.query);
+
+  res.json({
+    success: true,
+    data: rows,
+    count: rows.length,
+    pagination,
+  });
+});
+
+// Record a receipt, issue, opening balance or adjustment
+router.post('/stock_item/:item_code/movements', movementGuards, async (req, res) => {
+  const availability = await inventoryService.recordMovement(req.params.item_code, req.body, {
+    createdBy: req.principal.uid,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Stock movement recorded',
+    data: availability,
+  });
+});
+
+router.put('/stock_item/:item_code/stock-levels', levelGuards, async (req, res) => {
+  const availability = await inventoryService.setStockLevels(req.params.item_code, req.body);
+
+  res.json({
+    success: true,
+    message: 'Stock levels updated',
+    data: availability,
+  });
 });
 
 export default router;
\ No newline at end of file
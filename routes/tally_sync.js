@@ -0,0 +1,90 @@
+import express from 'express';
+import { authorize } from '../middleware/auth.js';
+import { ROLES } from '../config/roles.js';
+import tallySyncService from '../services/tally-sync.service.js';
+import { runListQuery } from '../utils/query-builder.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+const SYNC_RUN_LIST_SPEC = {
+  table: 'tally_sync_log',
+  select: `id, trigger_source, requested_by, status, started_at, finished_at,
+    customers_received, customers_inserted, customers_updated, customers_unchanged, customers_skipped, customers_failed,
+    items_received, items_inserted, items_updated, items_unchanged, items_skipped, items_failed`,
+  filters: {
+    status: { column: 'status', op: 'in' },
+    trigger_source: { column: 'trigger_source' },
+    started_from: { column: 'started_at', op: 'gte', type: 'date' },
+    started_to: { column: 'started_at', op: 'lte', type: 'date' },
+  },
+  sortable: ['id', 'started_at', 'finished_at', 'status'],
+  defaultSort: '-started_at',
+  tiebreaker: 'id',
+};
+
+const syncChangeListSpec = runId => ({
+  table: 'tally_sync_changes',
+  where: ['run_id = :run_id'],
+  binds: { run_id: runId },
+  filters: {
+    master: { column: 'master' },
+    action: { column: 'action' },
+    record_key: { column: 'record_key' },
+  },
+  sortable: ['id', 'master', 'record_key', 'action'],
+  defaultSort: 'id',
+  tiebreaker: 'id',
+});
+
+// Sync run history, newest first
+router.get('/tally-sync/runs', authorize(ROLES.ADMIN), async (req, res) => {
+  const { rows, pagination } = await runListQuery(SYNC_RUN_LIST_SPEC, req.query);
+
+  res.json({
+    success: true,
+    data: rows,
+    count: rows.length,
+    pagination,
+    running: tallySyncService.isRunning,
+  });
+});
+
+// One run including its error list
+router.get('/tally-sync/runs/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  const run = await tallySyncService.getRun(req.params.id);
+
+  if (!run) {
+    throw new NotFoundError('Sync run not found');
+  }
+
+  res.json({
+    success: true,
+    data: run,
+  });
+});
+
+// Per-record diff report of a run: what was inserted and which fields changed
+router.get('/tally-sync/runs/:id/changes', authorize(ROLES.ADMIN), async (req, res) => {
+  const { rows, pagination } = await runListQuery(syncChangeListSpec(req.params.id), req.query);
+
+  res.json({
+    success: true,
+    data: rows.map(row => ({ ...row, CHANGES: row.CHANGES ? JSON.parse(row.CHANGES) : [] })),
+    count: rows.length,
+    pagination,
+  });
+});
+
+// Start a sync now; it runs in the background and is tracked in the log
+router.post('/tally-sync/runs', authorize(ROLES.ADMIN), async (req, res) => {
+  const { runId } = await tallySyncService.start({ trigger: 'manual', requestedBy: req.principal.uid });
+
+  res.status(202).json({
+    success: true,
+    message: 'Tally sync started',
+    data: { id: runId },
+  });
+});
+
+export default router;
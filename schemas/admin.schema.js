@@ -0,0 +1,11 @@
+export const adminSignupSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    username: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+    email: { type: 'string', required: true, format: 'email', maxLength: 255 },
+    mobile_number: { type: 'string', format: 'mobile' },
+    // Firebase uid of the user being made an admin
+    firebase_uid: { type: 'string', required: true, minLength: 1, maxLength: 128 },
+  },
+};
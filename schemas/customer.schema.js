@@ -0,0 +1,42 @@
+export const CUSTOMER_TYPES = ['distributor', 'direct'];
+export const CUSTOMER_STATUSES = ['active', 'inactive'];
+
+const password = { type: 'string', minLength: 8, maxLength: 128 };
+
+// Which of these a caller may change is decided by the route (admin vs self)
+export const updateCustomerSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    customer_name: { type: 'string', minLength: 1, maxLength: 255 },
+    mobile_number: { type: 'string', format: 'mobile' },
+    email: { type: 'string', format: 'email', maxLength: 255 },
+    customer_type: { type: 'string', enum: CUSTOMER_TYPES },
+    password,
+    role: { type: 'string', enum: CUSTOMER_TYPES },
+    status: { type: 'string', enum: CUSTOMER_STATUSES },
+    firebase_uid: { type: 'string', maxLength: 128 },
+  },
+};
+
+export const verifyPasswordSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    password: { type: 'string', required: true, maxLength: 128 },
+  },
+};
+
+// current_password is checked by the route unless an admin is resetting it
+export const changePasswordSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    current_password: { type: 'string', maxLength: 128 },
+    new_password: { ...password, required: true },
+  },
+  check: body =>
+    body.current_password && body.current_password === body.new_password
+      ? { field: 'new_password', error: 'must differ from the current password' }
+      : null,
+};
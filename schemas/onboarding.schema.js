@@ -0,0 +1,18 @@
+import { INVITE_CHANNELS } from '../services/invite.service.js';
+
+export const inviteSchema = {
+  type: 'object',
+  properties: {
+    channel: { type: 'string', enum: INVITE_CHANNELS },
+  },
+};
+
+// The contact checked against the customer record comes from the sign-in
+// token, never from the body
+export const activateSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    token: { type: 'string', required: true, maxLength: 128 },
+  },
+};
@@ -0,0 +1,136 @@
+import { ORDER_STATUSES } from '../services/order-status.service.js';
+
+export const ORDER_ROLES = ['distributor', 'corporate', 'direct', 'admin'];
+
+const money = { type: 'number', min: 0 };
+const percentage = { type: 'percent', min: 0, max: 100 };
+
+const headerProperties = {
+  order_no: { type: 'string', maxLength: 50 },
+  voucher_type: { type: 'string', maxLength: 100 },
+  order_date: { type: 'date' },
+  date: { type: 'date' },
+  status: { type: 'string', enum: ORDER_STATUSES },
+  customer_code: { type: 'string', maxLength: 50 },
+  customer_name: { type: 'string', maxLength: 255 },
+  executive: { type: 'string', maxLength: 255 },
+  role: { type: 'string', enum: ORDER_ROLES },
+  delivery_date: { type: 'date' },
+  delivery_mode: { type: 'string', maxLength: 100 },
+  transporter_name: { type: 'string', maxLength: 255 },
+  remarks: { type: 'string', maxLength: 1000 },
+  // Client-side totals, only compared against the server's
+  total_quantity: { type: 'number', min: 0 },
+  total_amount_without_tax: money,
+  total_cgst_amount: money,
+  total_sgst_amount: money,
+  total_igst_amount: money,
+  total_amount: money,
+};
+
+// Inputs plus the client's computed values, which pricing re-derives
+const lineProperties = {
+  item_code: { type: 'string', maxLength: 50 },
+  item_name: { type: 'string', maxLength: 255 },
+  hsn: { type: 'string', maxLength: 20 },
+  uom: { type: 'string', maxLength: 30 },
+  quantity: { type: 'number', exclusiveMin: 0, max: 1e9 },
+  disc_percentage: percentage,
+  spl_disc_percentage: percentage,
+  gst: percentage,
+  rate: money,
+  amount: money,
+  net_rate: money,
+  gross_amount: money,
+  disc_amount: money,
+  spl_disc_amount: money,
+  cgst: money,
+  sgst: money,
+  igst: money,
+};
+
+const newLine = {
+  type: 'object',
+  properties: {
+    ...lineProperties,
+    item_code: { ...lineProperties.item_code, required: true },
+    quantity: { ...lineProperties.quantity, required: true },
+  },
+};
+
+// Lines with an id edit or delete a stored line; lines without one are new
+const changedLine = {
+  type: 'object',
+  properties: {
+    ...lineProperties,
+    id: { type: 'integer', min: 1 },
+    _deleted: { type: 'boolean' },
+  },
+  check: line => {
+    if (line.id || line._deleted) return [];
+    return ['item_code', 'quantity']
+      .filter(field => line[field] == null || line[field] === '')
+      .map(field => ({ field, error: 'is required for new lines' }));
+  },
+};
+
+export const createOrderSchema = {
+  type: 'object',
+  properties: {
+    header: {
+      type: 'object',
+      required: true,
+      properties: { ...headerProperties, customer_code: { ...headerProperties.customer_code, required: true } },
+    },
+    lines: { type: 'array', required: true, minItems: 1, items: newLine },
+  },
+};
+
+export const updateOrderSchema = {
+  type: 'object',
+  properties: {
+    // The order version the edit is based on, when not sent as If-Match
+    version: { type: 'integer', min: 1 },
+    header: { type: 'object', properties: headerProperties },
+    lines: { type: 'array', items: changedLine },
+  },
+};
+
+// Legacy flat arrays: one row per line with the header repeated on each
+export const createLegacyOrderSchema = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    properties: {
+      ...headerProperties,
+      ...newLine.properties,
+      customer_code: { ...headerProperties.customer_code, required: true },
+    },
+  },
+};
+
+export const updateLegacyOrderSchema = {
+  type: 'array',
+  items: { ...changedLine, properties: { ...headerProperties, ...changedLine.properties } },
+};
+
+export const createOrderBody = body => (Array.isArray(body) ? createLegacyOrderSchema : createOrderSchema);
+export const updateOrderBody = body => (Array.isArray(body) ? updateLegacyOrderSchema : updateOrderSchema);
+
+export const transitionSchema = {
+  type: 'object',
+  properties: {
+    reason: { type: 'string', maxLength: 1000 },
+  },
+};
+
+export const restoreLinesSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    ids: { type: 'array', required: true, minItems: 1, maxItems: 500, items: { type: 'integer', min: 1 } },
+    // The order version the restore is based on, when not sent as If-Match
+    version: { type: 'integer', min: 1 },
+  },
+};
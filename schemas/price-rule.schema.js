@@ -0,0 +1,39 @@
+import { CUSTOMER_TYPES } from './customer.schema.js';
+
+const percentage = { type: 'percent', min: 0, max: 100 };
+
+// A rule targets one customer or one customer type (or everyone), and one
+// item or one parent group (or every item)
+export const priceRuleSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    customer_code: { type: 'string', maxLength: 50 },
+    customer_type: { type: 'string', enum: CUSTOMER_TYPES },
+    item_code: { type: 'string', maxLength: 50 },
+    parent_group: { type: 'string', maxLength: 255 },
+    min_quantity: { type: 'number', min: 0, max: 1e9 },
+    rate: { type: 'number', min: 0 },
+    disc_percentage: percentage,
+    spl_disc_percentage: percentage,
+    valid_from: { type: 'date' },
+    valid_to: { type: 'date' },
+    remarks: { type: 'string', maxLength: 1000 },
+  },
+  check: rule => {
+    const errors = [];
+    if (rule.customer_code && rule.customer_type) {
+      errors.push({ field: 'customer_type', error: 'cannot be combined with customer_code' });
+    }
+    if (rule.item_code && rule.parent_group) {
+      errors.push({ field: 'parent_group', error: 'cannot be combined with item_code' });
+    }
+    if (rule.valid_from && rule.valid_to && rule.valid_to < rule.valid_from) {
+      errors.push({ field: 'valid_to', error: 'must not be before valid_from' });
+    }
+    if ([rule.rate, rule.disc_percentage, rule.spl_disc_percentage].every(value => value == null)) {
+      errors.push({ field: null, error: 'a rate, disc_percentage or spl_disc_percentage is required' });
+    }
+    return errors;
+  },
+};
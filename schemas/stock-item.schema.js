@@ -0,0 +1,37 @@
+import { MOVEMENT_TYPES } from '../services/inventory.service.js';
+
+const level = { type: 'number', min: 0, max: 1e9 };
+
+// Receipts, openings and issues are sent as positive quantities; an
+// adjustment is signed
+export const stockMovementSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    movement_type: { type: 'string', required: true, enum: MOVEMENT_TYPES },
+    godown: { type: 'string', maxLength: 100 },
+    quantity: { type: 'number', required: true, min: -1e9, max: 1e9 },
+    reference: { type: 'string', maxLength: 100 },
+    remarks: { type: 'string', maxLength: 1000 },
+  },
+  check: movement => {
+    if (movement.quantity === 0) return { field: 'quantity', error: 'must not be 0' };
+    if (movement.movement_type !== 'adjustment' && movement.quantity < 0) {
+      return { field: 'quantity', error: 'must be positive; only adjustments can be negative' };
+    }
+    return null;
+  },
+};
+
+export const stockLevelsSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    min_stock_level: level,
+    max_stock_level: level,
+  },
+  check: levels =>
+    levels.min_stock_level != null && levels.max_stock_level != null && levels.max_stock_level < levels.min_stock_level
+      ? { field: 'max_stock_level', error: 'must not be below min_stock_level' }
+      : null,
+};
@@ -0,0 +1,34 @@
+import dotenv from 'dotenv';
+import { initOracle, closePool } from '../config/oracle-database.js';
+import authService from '../services/auth.service.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+// Seeds an admin, e.g. the first one, which POST /signup-admin cannot create:
+// npm run seed:admin -- --uid <firebase uid> --email <email> --username <name> [--mobile <number>]
+const option = name => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > 0 ? process.argv[index + 1] : undefined;
+};
+
+(async () => {
+  const admin = { firebaseUid: option('uid'), email: option('email'), username: option('username') };
+  if (!admin.firebaseUid || !admin.email || !admin.username) {
+    console.error('Usage: npm run seed:admin -- --uid <firebase uid> --email <email> --username <name> [--mobile <number>]');
+    process.exit(2);
+  }
+
+  let exitCode = 0;
+  try {
+    await initOracle();
+    const result = await authService.createAdmin({ ...admin, mobileNumber: option('mobile') || null });
+    console.log(JSON.stringify({ created: result.created, uid: admin.firebaseUid }, null, 2));
+  } catch (error) {
+    logger.error('Creating the admin failed', { error });
+    exitCode = 1;
+  } finally {
+    await closePool();
+  }
+  process.exit(exitCode);
+})();
@@ -0,0 +1,22 @@
+import dotenv from 'dotenv';
+import { initOracle, closePool } from '../config/oracle-database.js';
+import credentialService from '../services/credential.service.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+// Hashes plain-text customer passwords in place; --dry-run only counts them
+(async () => {
+  let exitCode = 0;
+  try {
+    await initOracle();
+    const summary = await credentialService.migratePlainText({ dryRun: process.argv.includes('--dry-run') });
+    console.log(JSON.stringify(summary, null, 2));
+  } catch (error) {
+    logger.error('Password migration failed', { error });
+    exitCode = 1;
+  } finally {
+    await closePool();
+  }
+  process.exit(exitCode);
+})();
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+import { initOracle, closePool } from '../config/oracle-database.js';
+import retentionService from '../services/retention.service.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+// One-off purge of soft-deleted order lines; --days=N overrides ORDER_LINE_RETENTION_DAYS
+(async () => {
+  let exitCode = 0;
+  try {
+    await initOracle();
+    const daysArg = process.argv.find(arg => arg.startsWith('--days='));
+    const result = await retentionService.purgeOrderLines(daysArg ? parseInt(daysArg.slice(7)) : undefined);
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    logger.error('Order line purge failed', { error });
+    exitCode = 1;
+  } finally {
+    await closePool();
+  }
+  process.exit(exitCode);
+})();
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+import { initOracle, closePool } from '../config/oracle-database.js';
+import tallySyncService from '../services/tally-sync.service.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+// One-off Tally -> Oracle sync, recorded in tally_sync_log like scheduled runs
+(async () => {
+  let exitCode = 0;
+  try {
+    await initOracle();
+    const run = await tallySyncService.run({ trigger: 'cli' });
+    console.log(JSON.stringify({ id: run.id, status: run.status, results: run.results }, null, 2));
+    if (run.status === 'failed') exitCode = 1;
+  } catch (error) {
+    logger.error('Tally sync failed', { error });
+    exitCode = 1;
+  } finally {
+    await closePool();
+  }
+  process.exit(exitCode);
+})();
@@ -2,13 +2,16 @@ import dotenv from 'dotenv';
 import { initFirebase } from './config/firebase.js';
 import { initOracle, closePool } from './config/oracle-database.js';
 import { createApp } from './app.js';
+import tallySyncService from './services/tally-sync.service.js';
+import retentionService from './services/retention.service.js';
+import logger from './utils/logger.js';
 
 dotenv.config();
 
 const PORT = process.env.PORT || 10000;
 
 (async () => {
-  console.log('🚀 Starting Castolin Backend...');
+  logger.info('Starting Castolin backend');
 
   try {
     // Initialize services
@@ -20,16 +23,16 @@ const PORT = process.env.PORT || 10000;
 
     // Start server
     app.listen(PORT, () => {
-      console.log(`✅ Server running on port ${PORT}`);
-      console.log(`✅ Health check: http://localhost:${PORT}/health`);
-      console.log(`✅ Test query: http://localhost:${PORT}/test-query`);
-      console.log(`✅ Customers: http://localhost:${PORT}/customer`);
-      console.log(`✅ Stock: http://localhost:${PORT}/stock_item`);
-      console.log(`✅ Orders: http://localhost:${PORT}/orders`);
-      console.log(`✅ Admins: http://localhost:${PORT}/admins`);
+      logger.info('Server listening', { port: Number(PORT), health: `http://localhost:${PORT}/health/ready` });
     });
+
+    // Tally -> Oracle master data sync (TALLY_SYNC_INTERVAL_MINUTES=0 disables it)
+    tallySyncService.startSchedule();
+
+    // Purge of soft-deleted order lines (ORDER_LINE_PURGE_INTERVAL_HOURS=0 disables it)
+    retentionService.startSchedule();
   } catch (error) {
-    console.error('❌ Failed to start server:', error);
+    logger.error('Server failed to start', { error });
     process.exit(1);
   }
 })();
@@ -38,8 +41,10 @@ const PORT = process.env.PORT || 10000;
    GRACEFUL SHUTDOWN
 ------------------------------------------------------- */
 process.on('SIGINT', async () => {
-  console.log('\n🔄 Shutting down gracefully...');
+  logger.info('Shutting down');
+  tallySyncService.stopSchedule();
+  retentionService.stopSchedule();
   await closePool();
-  console.log('✅ Server shutdown complete');
+  logger.info('Shutdown complete');
   process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,219 @@
+import oracledb from 'oracledb';
+import { getRequestContext } from '../../middleware/request-context.js';
+
+// Tables whose inserts, updates and deletes are written to audit_log, with
+// the column that identifies a record to people reading the log
+export const AUDITED_ENTITIES = {
+  customer: 'customer_code',
+  admins: 'id',
+  stock_item: 'item_code',
+  orders: 'order_no',
+  order_items: 'id',
+  customer_invites: 'id',
+  price_rules: 'id',
+};
+
+// Recorded as changed, never with their values
+export const REDACTED_COLUMNS = ['PASSWORD', 'TOKEN_HASH'];
+
+// Bookkeeping columns that do not make an update worth recording
+const IGNORED_COLUMNS = ['UPDATED_AT', 'AUDIT_ROWID'];
+
+// audit_log.before_values / after_values are VARCHAR2(4000)
+const MAX_VALUES_LENGTH = 4000;
+const ROWID_CHUNK = 500;
+
+const stringBind = maxSize => ({ type: oracledb.STRING, maxSize });
+const AUDIT_BIND_DEFS = {
+  actor_uid: stringBind(128),
+  actor_role: stringBind(30),
+  route: stringBind(500),
+  correlation_id: stringBind(128),
+  entity: stringBind(50),
+  entity_key: stringBind(100),
+  action: stringBind(10),
+  before_values: stringBind(MAX_VALUES_LENGTH),
+  after_values: stringBind(MAX_VALUES_LENGTH),
+};
+
+// Blanks string literals (keeping positions) so their text is not parsed as SQL
+const withoutLiterals = sql => sql.replace(/'(?:[^']|'')*'/g, literal => `'${' '.repeat(literal.length - 2)}'`);
+
+// Position of the last keyword outside parentheses, or -1
+const topLevelIndex = (sql, keyword) => {
+  const pattern = new RegExp(`\\b${keyword}\\b`, 'gi');
+  let found = -1;
+  let match;
+  while ((match = pattern.exec(sql))) {
+    const before = sql.slice(0, match.index);
+    const depth = (before.match(/\(/g) || []).length - (before.match(/\)/g) || []).length;
+    if (depth === 0) found = match.index;
+  }
+  return found;
+};
+
+const DML_PATTERN = /^(INSERT\s+INTO|UPDATE|DELETE\s+FROM)\s+(\w+)(?:\s+(?!SET\b|WHERE\b|VALUES\b|RETURNING\b)(\w+))?/i;
+
+// { action, table, alias, where } for INSERT / UPDATE / DELETE, else null.
+// where is the top-level WHERE condition without any RETURNING clause.
+export const parseDml = sql => {
+  const text = withoutLiterals(String(sql)).trim();
+  const match = DML_PATTERN.exec(text);
+  if (!match) return null;
+
+  const action = match[1].split(/\s+/)[0].toLowerCase();
+  const dml = { action, table: match[2].toLowerCase(), alias: match[3] || null, where: null };
+  if (action === 'insert') return dml;
+
+  const original = String(sql).trim();
+  const whereAt = topLevelIndex(text, 'WHERE');
+  if (whereAt >= 0) {
+    const returningAt = topLevelIndex(text, 'RETURNING');
+    dml.where = original.slice(whereAt + 'WHERE'.length, returningAt > whereAt ? returningAt : undefined).trim();
+  }
+  return dml;
+};
+
+export const placeholders = fragment => [...withoutLiterals(fragment).matchAll(/:(\w+)/g)].map(match => match[1]);
+
+// The binds the WHERE condition uses. Positional binds are matched by
+// order, so the condition's placeholders are the statement's last ones.
+export const whereBinds = (where, binds) => {
+  const names = placeholders(where || '');
+  if (Array.isArray(binds)) return names.length ? binds.slice(-names.length) : [];
+  return Object.fromEntries(names.filter(name => name in (binds || {})).map(name => [name, binds[name]]));
+};
+
+const redact = values =>
+  Object.fromEntries(
+    Object.entries(values).map(([column, value]) => [column, REDACTED_COLUMNS.includes(column) ? '[redacted]' : value]),
+  );
+
+// Insert / delete snapshots leave out empty and bookkeeping columns
+const snapshot = row =>
+  row
+    ? redact(
+        Object.fromEntries(
+          Object.entries(row).filter(([column, value]) => !IGNORED_COLUMNS.includes(column) && value != null),
+        ),
+      )
+    : null;
+
+const sameValue = (a, b) =>
+  a instanceof Date || b instanceof Date ? new Date(a).getTime() === new Date(b).getTime() : a === b;
+
+// One log entry per affected row. Updates keep only the changed columns and
+// are dropped when nothing but bookkeeping columns changed.
+export const buildAuditEntries = ({ action, table }, beforeRows, afterRows, context = {}) => {
+  const keyColumn = AUDITED_ENTITIES[table].toUpperCase();
+  const afterByRowid = new Map(afterRows.map(row => [row.AUDIT_ROWID, row]));
+
+  const pairs =
+    action === 'insert'
+      ? afterRows.map(row => [null, row])
+      : beforeRows.map(row => [row, action === 'update' ? afterByRowid.get(row.AUDIT_ROWID) || null : null]);
+
+  return pairs
+    .map(([before, after]) => {
+      let beforeValues = snapshot(before);
+      let afterValues = snapshot(after);
+
+      if (action === 'update') {
+        const changed = Object.keys({ ...before, ...after }).filter(
+          column => !IGNORED_COLUMNS.includes(column) && !sameValue(before?.[column] ?? null, after?.[column] ?? null),
+        );
+        if (!changed.length) return null;
+        beforeValues = redact(Object.fromEntries(changed.map(column => [column, before?.[column] ?? null])));
+        afterValues = redact(Object.fromEntries(changed.map(column => [column, after?.[column] ?? null])));
+      }
+
+      return {
+        actor_uid: context.uid || null,
+        actor_role: context.role || null,
+        route: context.method ? `${context.method} ${String(context.path).split('?')[0]}`.slice(0, 500) : null,
+        correlation_id: context.correlationId || null,
+        entity: table,
+        entity_key: String((after || before)[keyColumn] ?? '').slice(0, 100),
+        action,
+        before_values: beforeValues,
+        after_values: afterValues,
+      };
+    })
+    .filter(Boolean);
+};
+
+const toJson = values => {
+  if (!values) return null;
+  const json = JSON.stringify(values);
+  return json.length <= MAX_VALUES_LENGTH ? json : JSON.stringify({ _truncated: true, columns: Object.keys(values) });
+};
+
+// Runs statements for OracleService and, for audited tables, records the
+// affected rows before and after in audit_log on the same connection, so
+// the log commits or rolls back together with the change
+class AuditTracker {
+  async selectRows(connection, { table, alias }, condition, binds) {
+    const name = alias || table;
+    const result = await connection.execute(
+      `SELECT ${name}.*, ROWIDTOCHAR(${name}.ROWID) AS audit_rowid FROM ${table} ${alias || ''} ${condition}`,
+      binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT },
+    );
+    return result.rows;
+  }
+
+  async selectByRowids(connection, dml, rowids) {
+    const rows = [];
+    for (let i = 0; i < rowids.length; i += ROWID_CHUNK) {
+      const chunk = rowids.slice(i, i + ROWID_CHUNK);
+      const binds = Object.fromEntries(chunk.map((rowid, j) => [`r${j}`, rowid]));
+      const list = chunk.map((_, j) => `CHARTOROWID(:r${j})`).join(', ');
+      rows.push(...(await this.selectRows(connection, { ...dml, alias: null }, `WHERE ROWID IN (${list})`, binds)));
+    }
+    return rows;
+  }
+
+  async write(connection, entries) {
+    if (!entries.length) return;
+    await connection.executeMany(
+      `INSERT INTO audit_log
+         (actor_uid, actor_role, route, correlation_id, entity, entity_key, action, before_values, after_values)
+       VALUES
+         (:actor_uid, :actor_role, :route, :correlation_id, :entity, :entity_key, :action, :before_values, :after_values)`,
+      entries.map(entry => ({
+        ...entry,
+        before_values: toJson(entry.before_values),
+        after_values: toJson(entry.after_values),
+      })),
+      { bindDefs: AUDIT_BIND_DEFS },
+    );
+  }
+
+  // options.audit = false skips the log for a statement
+  async execute(connection, sql, binds = {}, options = {}) {
+    const { audit = true, ...executeOptions } = options;
+    const dml = audit ? parseDml(sql) : null;
+    if (!dml || !AUDITED_ENTITIES[dml.table]) {
+      return connection.execute(sql, binds, executeOptions);
+    }
+
+    const condition = dml.where ? `WHERE ${dml.where}` : '';
+    const before =
+      dml.action === 'insert' ? [] : await this.selectRows(connection, dml, condition, whereBinds(dml.where, binds));
+
+    const result = await connection.execute(sql, binds, { ...executeOptions, autoCommit: false });
+
+    let after = [];
+    if (dml.action === 'update') {
+      after = await this.selectByRowids(connection, dml, before.map(row => row.AUDIT_ROWID));
+    } else if (dml.action === 'insert' && result.lastRowid) {
+      after = await this.selectByRowids(connection, dml, [result.lastRowid]);
+    }
+
+    await this.write(connection, buildAuditEntries(dml, before, after, getRequestContext() || {}));
+    if (executeOptions.autoCommit) await connection.commit();
+    return result;
+  }
+}
+
+export default new AuditTracker();
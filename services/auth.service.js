@@ -1,4 +1,13 @@
 import admin from 'firebase-admin';
+import OracleService from './oracle.service.js';
+import { ConflictError } from '../utils/errors.js';
+
+const oracleService = OracleService;
+
+// Principal shape attached to req.principal:
+// { uid, role: 'admin' | 'distributor' | 'corporate', customer_code, status }
+const customerTypeToRole = customerType =>
+  String(customerType || '').toLowerCase() === 'distributor' ? 'distributor' : 'corporate';
 
 export class AuthService {
   async verifyToken(token) {
@@ -17,4 +26,67 @@ export class AuthService {
       throw new Error('User not found');
     }
   }
-}
\ No newline at end of file
+
+  // Resolve the Oracle record behind a Firebase uid (admins first, then customer)
+  async getPrincipal(uid) {
+    if (!uid) return null;
+
+    const adminResult = await oracleService.executeQuery(
+      `SELECT id, role FROM admins WHERE firebase_uid = :1`,
+      [uid],
+    );
+
+    if (adminResult.rows.length > 0) {
+      return {
+        uid,
+        role: 'admin',
+        admin_id: adminResult.rows[0].ID,
+        customer_code: null,
+        status: 'active',
+      };
+    }
+
+    const customerResult = await oracleService.executeQuery(
+      `SELECT customer_code, customer_type, status FROM customer WHERE firebase_uid = :1`,
+      [uid],
+    );
+
+    if (customerResult.rows.length === 0) return null;
+
+    const customer = customerResult.rows[0];
+    return {
+      uid,
+      role: customerTypeToRole(customer.CUSTOMER_TYPE),
+      admin_id: null,
+      customer_code: customer.CUSTOMER_CODE,
+      status: String(customer.STATUS || 'inactive').toLowerCase(),
+    };
+  }
+
+  // Adds an admin for an existing Firebase user. Used by POST /signup-admin
+  // (admins only) and by scripts/create-admin.js to seed the first admin.
+  // Resolves with { created: false } when the uid or email is already an admin.
+  async createAdmin({ username, email, firebaseUid, mobileNumber = null }) {
+    const existing = await oracleService.executeQuery(
+      `SELECT id, role FROM admins WHERE firebase_uid = :1 OR LOWER(email) = LOWER(:2)`,
+      [firebaseUid, email],
+    );
+    if (existing.rows.length > 0) {
+      return { created: false, admin: existing.rows[0] };
+    }
+
+    const customer = await oracleService.executeQuery(`SELECT 1 FROM customer WHERE firebase_uid = :1`, [firebaseUid]);
+    if (customer.rows.length > 0) {
+      throw new ConflictError('This sign-in is linked to a customer account', { code: 'UID_IN_USE' });
+    }
+
+    await oracleService.executeQuery(
+      `INSERT INTO admins (username, email, firebase_uid, role, mobile_number) VALUES (:1, :2, :3, :4, :5)`,
+      [username, email, firebaseUid, 'admin', mobileNumber],
+      { autoCommit: true },
+    );
+    return { created: true };
+  }
+}
+
+export default new AuthService();
@@ -0,0 +1,101 @@
+import bcrypt from 'bcrypt';
+import { timingSafeEqual } from 'node:crypto';
+import OracleService from './oracle.service.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+const oracleService = OracleService;
+
+export const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 10;
+
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+// Columns never sent to clients, whatever the query selected
+export const SECRET_COLUMNS = ['PASSWORD'];
+
+export const isPasswordHash = value => typeof value === 'string' && BCRYPT_HASH_PATTERN.test(value);
+
+export const stripSecrets = row => {
+  if (!row) return row;
+  const safe = { ...row };
+  SECRET_COLUMNS.forEach(column => delete safe[column]);
+  return safe;
+};
+
+export const stripSecretsAll = rows => rows.map(stripSecrets);
+
+const plainTextEquals = (stored, password) => {
+  const a = Buffer.from(String(stored));
+  const b = Buffer.from(String(password));
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+class CredentialService {
+  async hash(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  // Legacy rows may still hold plain text until the migration has run
+  async matches(stored, password) {
+    if (!stored || !password) return false;
+    if (isPasswordHash(stored)) return bcrypt.compare(password, stored);
+    return plainTextEquals(stored, password);
+  }
+
+  async getStoredPassword(customerCode) {
+    const result = await oracleService.executeQuery(
+      'SELECT password FROM customer WHERE customer_code = :1',
+      [customerCode],
+    );
+    if (!result.rows.length) throw new NotFoundError('Customer not found');
+    return result.rows[0].PASSWORD;
+  }
+
+  async setPassword(customerCode, password) {
+    const result = await oracleService.executeQuery(
+      'UPDATE customer SET password = :password WHERE customer_code = :customer_code',
+      { password: await this.hash(password), customer_code: customerCode },
+      { autoCommit: true },
+    );
+    if (!result.rowsAffected) throw new NotFoundError('Customer not found');
+  }
+
+  // A matching plain-text password is hashed on the spot
+  async verify(customerCode, password) {
+    const stored = await this.getStoredPassword(customerCode);
+    const valid = await this.matches(stored, password);
+    if (valid && !isPasswordHash(stored)) await this.setPassword(customerCode, password);
+    return valid;
+  }
+
+  // Customers must prove the current password; admins resetting one do not
+  async changePassword(customerCode, { currentPassword, newPassword, requireCurrent = true }) {
+    if (requireCurrent && !(await this.matches(await this.getStoredPassword(customerCode), currentPassword))) {
+      throw new ForbiddenError('Current password is incorrect', { code: 'INVALID_CREDENTIALS' });
+    }
+    await this.setPassword(customerCode, newPassword);
+  }
+
+  // Hashes every plain-text password. The guarded UPDATE skips rows whose
+  // password changed since they were read.
+  async migratePlainText({ dryRun = false } = {}) {
+    const result = await oracleService.executeQuery(
+      'SELECT customer_code, password FROM customer WHERE password IS NOT NULL',
+    );
+    const pending = result.rows.filter(row => !isPasswordHash(row.PASSWORD));
+    const summary = { scanned: result.rows.length, hashed: 0, skipped: 0, pending: pending.length };
+    if (dryRun) return summary;
+
+    for (const row of pending) {
+      const update = await oracleService.executeQuery(
+        `UPDATE customer SET password = :hashed
+         WHERE customer_code = :customer_code AND password = :plain`,
+        { hashed: await this.hash(row.PASSWORD), customer_code: row.CUSTOMER_CODE, plain: row.PASSWORD },
+        { autoCommit: true },
+      );
+      summary[update.rowsAffected ? 'hashed' : 'skipped']++;
+    }
+    return summary;
+  }
+}
+
+export default new CredentialService();
@@ -0,0 +1,81 @@
+import OracleService from './oracle.service.js';
+import tallyClient from './tally/client.js';
+import { getPool } from '../config/oracle-database.js';
+import { isFirebaseInitialized } from '../config/firebase.js';
+import { HEALTH_CHECK_TIMEOUT_MS, HEALTH_CHECK_TALLY } from '../config/health.js';
+
+const oracleService = OracleService;
+
+const elapsedMs = started => Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100;
+
+// Rejects after ms; the underlying work is left to finish on its own
+export const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// { status: 'up' | 'down', required, latency_ms, detail?, error? } for one dependency
+export const runCheck = async ({ check, required = true, timeoutMs = HEALTH_CHECK_TIMEOUT_MS }) => {
+  const started = process.hrtime.bigint();
+  try {
+    const detail = await withTimeout(Promise.resolve().then(check), timeoutMs);
+    return { status: 'up', required, latency_ms: elapsedMs(started), ...(detail ? { detail } : {}) };
+  } catch (error) {
+    return { status: 'down', required, latency_ms: elapsedMs(started), error: error.message };
+  }
+};
+
+// Optional dependencies are reported but never make the instance unready
+export const readinessStatus = checks =>
+  Object.values(checks).some(check => check.required && check.status !== 'up') ? 'not_ready' : 'ready';
+
+class HealthService {
+  async checkOracle() {
+    const pool = getPool();
+    if (!pool) throw new Error('Oracle connection pool is not initialized');
+
+    await oracleService.executeQuery('SELECT 1 FROM dual');
+    return { connections_open: pool.connectionsOpen, connections_in_use: pool.connectionsInUse };
+  }
+
+  async checkFirebase() {
+    if (!isFirebaseInitialized()) throw new Error('Firebase Admin SDK is not initialized');
+  }
+
+  async checkTally() {
+    await tallyClient.ping({ timeout: HEALTH_CHECK_TIMEOUT_MS });
+  }
+
+  // name -> { check, required } for GET /health/ready
+  dependencies() {
+    const dependencies = {
+      oracle: { check: () => this.checkOracle() },
+      firebase: { check: () => this.checkFirebase() },
+    };
+    if (HEALTH_CHECK_TALLY !== 'off') {
+      dependencies.tally = { check: () => this.checkTally(), required: HEALTH_CHECK_TALLY === 'required' };
+    }
+    return dependencies;
+  }
+
+  // The process is up and serving requests; dependencies are not checked,
+  // so a database outage does not get healthy instances restarted
+  liveness() {
+    return { status: 'alive', uptime_s: Math.round(process.uptime()), timestamp: new Date().toISOString() };
+  }
+
+  // All dependencies are checked in parallel, each with its own timeout
+  async readiness() {
+    const checks = Object.fromEntries(
+      await Promise.all(
+        Object.entries(this.dependencies()).map(async ([name, dependency]) => [name, await runCheck(dependency)]),
+      ),
+    );
+    return { status: readinessStatus(checks), timestamp: new Date().toISOString(), checks };
+  }
+}
+
+export default new HealthService();
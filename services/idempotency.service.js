@@ -0,0 +1,129 @@
+import { createHash } from 'node:crypto';
+import oracledb from 'oracledb';
+import OracleService from './oracle.service.js';
+import { IDEMPOTENCY_TTL_HOURS, IDEMPOTENCY_LOCK_SECONDS } from '../config/idempotency.js';
+
+const oracleService = OracleService;
+
+// Response headers stored with the body and sent again on replay
+export const REPLAYED_HEADERS = ['ETag', 'Location'];
+
+// JSON with object keys sorted, so { a, b } and { b, a } hash the same
+const canonicalJson = value => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+export const requestFingerprint = request => createHash('sha256').update(canonicalJson(request)).digest('hex');
+
+// What to do with a request whose key is already stored:
+// 'replay' the stored response, 'mismatch' when the key was used for a
+// different request, 'in_progress' while the first request is running, or
+// 'proceed' when the stored key has expired or its request was abandoned
+export const replayDecision = (record, fingerprint, now = new Date()) => {
+  if (!record) return 'proceed';
+  if (new Date(record.EXPIRES_AT) <= now) return 'proceed';
+  if (record.REQUEST_HASH !== fingerprint) return 'mismatch';
+  if (record.STATUS === 'completed') return 'replay';
+
+  const lockedUntil = new Date(record.CREATED_AT).getTime() + IDEMPOTENCY_LOCK_SECONDS * 1000;
+  return lockedUntil <= now.getTime() ? 'proceed' : 'in_progress';
+};
+
+const expiresAt = () => new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000);
+
+const entryBinds = ({ key, uid, scope }) => ({ idempotency_key: key, principal_uid: uid, scope });
+
+const ENTRY_CONDITION = 'idempotency_key = :idempotency_key AND principal_uid = :principal_uid AND scope = :scope';
+
+// Keys are claimed by inserting a 'processing' row; the unique key
+// (idempotency_key, principal_uid, scope) makes concurrent repeats wait
+// for the first request instead of running it twice
+class IdempotencyService {
+  async find(entry) {
+    const result = await oracleService.executeQuery(
+      `SELECT id, status, request_hash, response_status, response_headers, response_body, created_at, expires_at
+       FROM idempotency_keys WHERE ${ENTRY_CONDITION}`,
+      entryBinds(entry),
+      { fetchInfo: { RESPONSE_BODY: { type: oracledb.STRING } } },
+    );
+    return result.rows[0] || null;
+  }
+
+  async insert(entry, fingerprint) {
+    try {
+      await oracleService.executeQuery(
+        `INSERT INTO idempotency_keys (idempotency_key, principal_uid, scope, request_hash, expires_at)
+         VALUES (:idempotency_key, :principal_uid, :scope, :request_hash, :expires_at)`,
+        { ...entryBinds(entry), request_hash: fingerprint, expires_at: expiresAt() },
+        { autoCommit: true },
+      );
+      return true;
+    } catch (error) {
+      if (error.errorNum === 1) return false;
+      throw error;
+    }
+  }
+
+  // entry: { key, uid, scope }. Returns { decision, record } where decision
+  // is one of replayDecision()'s; 'proceed' means this request owns the key.
+  async begin(entry, fingerprint) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      if (await this.insert(entry, fingerprint)) return { decision: 'proceed', record: null };
+
+      const record = await this.find(entry);
+      const decision = replayDecision(record, fingerprint);
+      if (decision !== 'proceed') return { decision, record };
+
+      // Expired or abandoned: drop it and claim the key again
+      await oracleService.executeQuery(
+        'DELETE FROM idempotency_keys WHERE id = :id',
+        { id: record.ID },
+        { autoCommit: true },
+      );
+    }
+
+    return { decision: 'in_progress', record: null };
+  }
+
+  async complete(entry, { status, headers = {}, body }) {
+    await oracleService.executeQuery(
+      `UPDATE idempotency_keys
+       SET status = 'completed', response_status = :response_status, response_headers = :response_headers,
+           response_body = :response_body, completed_at = SYSTIMESTAMP, expires_at = :expires_at
+       WHERE ${ENTRY_CONDITION}`,
+      {
+        ...entryBinds(entry),
+        response_status: status,
+        response_headers: JSON.stringify(headers),
+        response_body: { val: JSON.stringify(body ?? null), type: oracledb.CLOB },
+        expires_at: expiresAt(),
+      },
+      { autoCommit: true },
+    );
+  }
+
+  // Frees the key after a failed request so the client can retry with it
+  async release(entry) {
+    await oracleService.executeQuery(
+      `DELETE FROM idempotency_keys WHERE ${ENTRY_CONDITION} AND status = 'processing'`,
+      entryBinds(entry),
+      { autoCommit: true },
+    );
+  }
+
+  async purgeExpired() {
+    const result = await oracleService.executeQuery(
+      'DELETE FROM idempotency_keys WHERE expires_at < SYSTIMESTAMP',
+      {},
+      { autoCommit: true },
+    );
+    return result.rowsAffected || 0;
+  }
+}
+
+export default new IdempotencyService();
@@ -0,0 +1,157 @@
+import { inflateRawSync } from 'node:zlib';
+import { parseStringPromise } from 'xml2js';
+
+// Reads the first worksheet of an .xlsx workbook into one array of cell
+// strings per spreadsheet row (row n at index n - 1). Only what a data sheet
+// needs is supported: shared and inline strings, numbers, booleans, and
+// percent-formatted numbers, which come back as '18 %' like a CSV export.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+
+// Built-in number formats 9 and 10 are 0% and 0.00%
+const PERCENT_FORMAT_IDS = ['9', '10'];
+
+// A small upload must not expand without bound: maxBytes caps the
+// uncompressed size of everything read from one archive, maxRows and
+// maxColumns the cells read from the sheet
+export const XLSX_LIMITS = { maxBytes: 64 * 1024 * 1024, maxRows: 50000, maxColumns: 1000 };
+
+// Errors with this code mean the file is too large rather than unreadable
+export const XLSX_LIMIT_EXCEEDED = 'XLSX_LIMIT_EXCEEDED';
+const limitError = message => Object.assign(new Error(message), { code: XLSX_LIMIT_EXCEEDED });
+
+// Entry name -> Buffer of its contents, read through the zip central directory
+export const readZip = (buffer, { maxBytes = XLSX_LIMITS.maxBytes } = {}) => {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a zip archive');
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('Corrupt zip central directory');
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    entries.set(name, { method, data: buffer.subarray(dataStart, dataStart + compressedSize) });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  let remaining = maxBytes;
+  const tooLarge = () => limitError(`The workbook expands to more than ${maxBytes} bytes`);
+
+  const inflate = data => {
+    try {
+      return inflateRawSync(data, { maxOutputLength: Math.max(remaining, 1) });
+    } catch (error) {
+      throw error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge() : error;
+    }
+  };
+
+  const read = name => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    if (entry.method !== 0 && entry.method !== 8) throw new Error(`Unsupported zip compression method ${entry.method}`);
+
+    const content = entry.method === 8 ? inflate(entry.data) : entry.data;
+    if (content.length > remaining) throw tooLarge();
+    remaining -= content.length;
+    return content;
+  };
+
+  return { names: [...entries.keys()], read };
+};
+
+const parseXml = async (zip, name) => {
+  const content = zip.read(name);
+  return content ? parseStringPromise(content.toString('utf8')) : null;
+};
+
+const nodeText = node => (node == null ? '' : typeof node === 'string' ? node : (node._ ?? ''));
+
+// <si>/<is>: plain <t> or rich-text runs <r><t>
+const richText = node => (node.t ? nodeText(node.t[0]) : (node.r || []).map(run => nodeText(run.t?.[0])).join(''));
+
+// 'AB12' -> 27
+const columnIndex = reference => {
+  const letters = /^[A-Z]+/.exec(reference || '')?.[0] || 'A';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const firstSheetPath = async zip => {
+  const workbook = await parseXml(zip, 'xl/workbook.xml');
+  const relationships = await parseXml(zip, 'xl/_rels/workbook.xml.rels');
+  const relationId = workbook?.workbook?.sheets?.[0]?.sheet?.[0]?.$?.['r:id'];
+  const target = relationships?.Relationships?.Relationship?.find(rel => rel.$.Id === relationId)?.$.Target;
+
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+};
+
+// Style index -> true when the cell is shown as a percentage
+const percentStyles = async zip => {
+  const styles = (await parseXml(zip, 'xl/styles.xml'))?.styleSheet;
+  if (!styles) return [];
+
+  const percentFormats = new Set(PERCENT_FORMAT_IDS);
+  (styles.numFmts?.[0]?.numFmt || []).forEach(format => {
+    if (String(format.$.formatCode).includes('%')) percentFormats.add(format.$.numFmtId);
+  });
+
+  return (styles.cellXfs?.[0]?.xf || []).map(xf => percentFormats.has(xf.$?.numFmtId));
+};
+
+const cellValue = (cell, sharedStrings, percent) => {
+  const type = cell.$?.t;
+  const value = nodeText(cell.v?.[0]);
+
+  if (type === 's') return sharedStrings[Number(value)] ?? '';
+  if (type === 'inlineStr') return cell.is ? richText(cell.is[0]) : '';
+  if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+  if (type === 'str' || type === 'e' || value === '') return value;
+  if (percent[Number(cell.$?.s)]) return `${Number((Number(value) * 100).toPrecision(12))} %`;
+  return value;
+};
+
+export const readXlsx = async (buffer, limits = {}) => {
+  const { maxBytes, maxRows, maxColumns } = { ...XLSX_LIMITS, ...limits };
+  const zip = readZip(buffer, { maxBytes });
+
+  const sheet = await parseXml(zip, await firstSheetPath(zip));
+  if (!sheet?.worksheet) throw new Error('Workbook has no worksheet');
+
+  const sharedStrings = ((await parseXml(zip, 'xl/sharedStrings.xml'))?.sst?.si || []).map(richText);
+  const percent = await percentStyles(zip);
+
+  const rows = [];
+  (sheet.worksheet.sheetData?.[0]?.row || []).forEach(row => {
+    const index = row.$?.r ? Number(row.$.r) - 1 : rows.length;
+    if (!(index < maxRows)) throw limitError(`The sheet has more than ${maxRows} rows`);
+
+    const cells = [];
+    (row.c || []).forEach((cell, position) => {
+      const column = cell.$?.r ? columnIndex(cell.$.r) : position;
+      if (column >= maxColumns) throw limitError(`The sheet has more than ${maxColumns} columns`);
+      cells[column] = cellValue(cell, sharedStrings, percent);
+    });
+    rows[index] = Array.from(cells, value => value ?? '');
+  });
+
+  return Array.from(rows, row => row || []);
+};
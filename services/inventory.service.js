@@ -0,0 +1,234 @@
+import OracleService from './oracle.service.js';
+import { NotFoundError } from '../utils/errors.js';
+import { STOCK_DEFAULT_GODOWN } from '../config/inventory.js';
+
+const oracleService = OracleService;
+
+export const MOVEMENT_TYPES = ['opening', 'receipt', 'issue', 'adjustment'];
+
+// Ledger quantities are signed: receipts and openings add, issues remove,
+// adjustments carry their own sign
+export const signedQuantity = (movementType, quantity) => {
+  const value = Number(quantity);
+  if (movementType === 'issue') return -Math.abs(value);
+  if (movementType === 'adjustment') return value;
+  return Math.abs(value);
+};
+
+// { on_hand, reserved, available, min/max levels, below_minimum, godowns,
+// balance_synced_at } from a stock_availability row and the per-godown ledger sums
+export const summarizeAvailability = (row, godowns = []) => {
+  const available = Number(row.AVAILABLE) || 0;
+  const minimum = row.MIN_STOCK_LEVEL != null ? Number(row.MIN_STOCK_LEVEL) : null;
+
+  return {
+    on_hand: Number(row.ON_HAND) || 0,
+    reserved: Number(row.RESERVED) || 0,
+    available,
+    min_stock_level: minimum,
+    max_stock_level: row.MAX_STOCK_LEVEL != null ? Number(row.MAX_STOCK_LEVEL) : null,
+    below_minimum: minimum != null && available < minimum,
+    godowns: godowns.map(godown => ({ godown: godown.GODOWN, on_hand: Number(godown.ON_HAND) || 0 })),
+    balance_synced_at: row.BALANCE_SYNCED_AT ?? null,
+  };
+};
+
+// Quantities closer than this are treated as equal
+const QUANTITY_EPSILON = 0.0005;
+
+const stockKey = (itemCode, godown) => `${itemCode}\u0000${godown}`;
+
+// Ledger adjustments that bring on-hand stock per item and godown to the
+// balances Tally reports. Godowns the ledger holds stock in but Tally no
+// longer lists for a reported item are brought to 0. balances:
+// [{ item_code, godown, closing_qty }], ledger: [{ ITEM_CODE, GODOWN, ON_HAND }]
+export const planStockAdjustments = (balances, ledger) => {
+  const target = new Map();
+  balances
+    .filter(balance => balance.closing_qty != null)
+    .forEach(balance => {
+      const key = stockKey(balance.item_code, balance.godown);
+      target.set(key, (target.get(key) || 0) + Number(balance.closing_qty));
+    });
+
+  const reportedItems = new Set(
+    balances.filter(balance => balance.closing_qty != null).map(balance => balance.item_code),
+  );
+  const onHand = new Map(ledger.map(row => [stockKey(row.ITEM_CODE, row.GODOWN), Number(row.ON_HAND) || 0]));
+
+  ledger
+    .filter(row => reportedItems.has(row.ITEM_CODE) && !target.has(stockKey(row.ITEM_CODE, row.GODOWN)))
+    .forEach(row => target.set(stockKey(row.ITEM_CODE, row.GODOWN), 0));
+
+  return [...target.entries()]
+    .map(([key, closing]) => {
+      const [item_code, godown] = key.split('\u0000');
+      return { item_code, godown, quantity: Math.round((closing - (onHand.get(key) || 0)) * 1000) / 1000 };
+    })
+    .filter(adjustment => Math.abs(adjustment.quantity) >= QUANTITY_EPSILON);
+};
+
+// Live lines of the order, one open reservation each
+const reserveOperation = orderNo => ({
+  sql: `
+    INSERT INTO stock_reservations (order_no, order_item_id, item_code, quantity)
+    SELECT o.order_no, i.id, i.item_code, i.quantity
+    FROM order_items i JOIN orders o ON o.id = i.order_id
+    WHERE o.order_no = :order_no AND i.deleted_at IS NULL AND i.quantity > 0
+  `,
+  binds: { order_no: orderNo },
+});
+
+const closeReservationsOperation = (orderNo, status) => ({
+  sql: `
+    UPDATE stock_reservations SET status = :status, closed_at = SYSTIMESTAMP
+    WHERE order_no = :order_no AND status = 'reserved'
+  `,
+  binds: { status, order_no: orderNo },
+});
+
+// Open reservations leave the default godown as issues
+const issueOperation = (orderNo, principal) => ({
+  sql: `
+    INSERT INTO stock_ledger (item_code, godown, movement_type, quantity, reference, created_by)
+    SELECT item_code, :godown, 'issue', -quantity, order_no, :created_by
+    FROM stock_reservations
+    WHERE order_no = :order_no AND status = 'reserved'
+  `,
+  binds: { godown: STOCK_DEFAULT_GODOWN, created_by: principal?.uid || null, order_no: orderNo },
+});
+
+class InventoryService {
+  // Statements that run in an order's status transition: approve reserves
+  // the lines, cancel releases them, dispatch issues them from stock
+  transitionOperations(action, orderNo, principal) {
+    if (action === 'approve') return [reserveOperation(orderNo)];
+    if (action === 'cancel') return [closeReservationsOperation(orderNo, 'released')];
+    if (action === 'dispatch') {
+      return [issueOperation(orderNo, principal), closeReservationsOperation(orderNo, 'consumed')];
+    }
+    return [];
+  }
+
+  // Availability plus the godown / batch balances of the last Tally sync
+  async getAvailability(itemCode) {
+    const [availability, godowns, balances] = await Promise.all([
+      oracleService.executeQuery('SELECT * FROM stock_availability WHERE item_code = :1', [itemCode]),
+      oracleService.executeQuery(
+        `SELECT godown, SUM(quantity) AS on_hand FROM stock_ledger
+         WHERE item_code = :1 GROUP BY godown ORDER BY godown`,
+        [itemCode],
+      ),
+      oracleService.executeQuery(
+        `SELECT godown, batch_name, closing_qty, closing_value, closing_rate FROM stock_balances
+         WHERE item_code = :1 ORDER BY godown, batch_name`,
+        [itemCode],
+      ),
+    ]);
+
+    const row = availability.rows[0];
+    return row ? { ...summarizeAvailability(row, godowns.rows), tally_balances: balances.rows } : null;
+  }
+
+  // Items of the order's open reservations that are now over-committed
+  async getShortages(orderNo) {
+    const result = await oracleService.executeQuery(
+      `SELECT item_code, stock_item_name, on_hand, reserved, available
+       FROM stock_availability
+       WHERE available < 0
+         AND item_code IN (SELECT item_code FROM stock_reservations WHERE order_no = :1 AND status = 'reserved')
+       ORDER BY item_code`,
+      [orderNo],
+    );
+    return result.rows;
+  }
+
+  async recordMovement(itemCode, { movement_type, godown, quantity, reference, remarks }, { createdBy } = {}) {
+    const item = await oracleService.executeQuery('SELECT 1 FROM stock_item WHERE item_code = :1', [itemCode]);
+    if (!item.rows.length) throw new NotFoundError('Stock Item not found');
+
+    await oracleService.executeQuery(
+      `INSERT INTO stock_ledger (item_code, godown, movement_type, quantity, reference, remarks, created_by)
+       VALUES (:item_code, :godown, :movement_type, :quantity, :reference, :remarks, :created_by)`,
+      {
+        item_code: itemCode,
+        godown: godown || STOCK_DEFAULT_GODOWN,
+        movement_type,
+        quantity: signedQuantity(movement_type, quantity),
+        reference: reference || null,
+        remarks: remarks || null,
+        created_by: createdBy || null,
+      },
+      { autoCommit: true },
+    );
+
+    return this.getAvailability(itemCode);
+  }
+
+  // Replaces the stock_balances snapshot with what Tally reported and posts
+  // the adjustments that make the ledger agree, in one transaction. Balances
+  // of items missing from stock_item are skipped.
+  async applyTallyBalances(balances, { runId } = {}) {
+    const [items, ledger] = await Promise.all([
+      oracleService.executeQuery('SELECT item_code FROM stock_item'),
+      oracleService.executeQuery(
+        'SELECT item_code, godown, SUM(quantity) AS on_hand FROM stock_ledger GROUP BY item_code, godown',
+      ),
+    ]);
+
+    const known = new Set(items.rows.map(row => String(row.ITEM_CODE)));
+    const accepted = balances.filter(balance => known.has(balance.item_code));
+    const adjustments = planStockAdjustments(accepted, ledger.rows);
+
+    await oracleService.executeTransaction([
+      { sql: 'DELETE FROM stock_balances', binds: {} },
+      ...accepted.map(balance => ({
+        sql: `INSERT INTO stock_balances
+                (item_code, godown, batch_name, uom, opening_qty, opening_value,
+                 closing_qty, closing_value, closing_rate, run_id)
+              VALUES
+                (:item_code, :godown, :batch_name, :uom, :opening_qty, :opening_value,
+                 :closing_qty, :closing_value, :closing_rate, :run_id)`,
+        binds: {
+          item_code: balance.item_code,
+          godown: balance.godown,
+          batch_name: balance.batch_name ?? null,
+          uom: balance.uom ?? null,
+          opening_qty: balance.opening_qty ?? null,
+          opening_value: balance.opening_value ?? null,
+          closing_qty: balance.closing_qty ?? null,
+          closing_value: balance.closing_value ?? null,
+          closing_rate: balance.closing_rate ?? null,
+          run_id: runId ?? null,
+        },
+      })),
+      ...adjustments.map(adjustment => ({
+        sql: `INSERT INTO stock_ledger (item_code, godown, movement_type, quantity, reference, remarks)
+              VALUES (:item_code, :godown, 'adjustment', :quantity, :reference, 'Tally closing balance')`,
+        binds: { ...adjustment, reference: runId != null ? `tally-sync:${runId}` : 'tally-sync' },
+      })),
+    ]);
+
+    return {
+      received: balances.length,
+      updated: accepted.length,
+      adjusted: adjustments.length,
+      skipped: balances.length - accepted.length,
+      failed: 0,
+    };
+  }
+
+  async setStockLevels(itemCode, { min_stock_level, max_stock_level }) {
+    const result = await oracleService.executeQuery(
+      `UPDATE stock_item SET min_stock_level = :min_stock_level, max_stock_level = :max_stock_level
+       WHERE item_code = :item_code`,
+      { min_stock_level: min_stock_level ?? null, max_stock_level: max_stock_level ?? null, item_code: itemCode },
+      { autoCommit: true },
+    );
+    if (!result.rowsAffected) throw new NotFoundError('Stock Item not found');
+
+    return this.getAvailability(itemCode);
+  }
+}
+
+export default new InventoryService();
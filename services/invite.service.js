@@ -0,0 +1,201 @@
+import { createHash, randomBytes } from 'node:crypto';
+import OracleService from './oracle.service.js';
+import { createSender } from './notify/senders.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+import { INVITE_TTL_HOURS, INVITE_SENDER, ACTIVATION_URL } from '../config/onboarding.js';
+
+const oracleService = OracleService;
+
+export const INVITE_CHANNELS = ['email', 'sms'];
+
+export const hashInviteToken = token => createHash('sha256').update(String(token)).digest('hex');
+
+// The token goes to the customer; only its hash is stored
+export const generateInviteToken = () => {
+  const token = randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashInviteToken(token) };
+};
+
+export const normalizeEmail = value => (value ? String(value).trim().toLowerCase() : null);
+
+// Last 10 digits, so '+91 98765 43211' matches '9876543211'
+export const normalizeMobile = value => {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+export const maskContact = (channel, value) =>
+  channel === 'email'
+    ? String(value).replace(/^(.{0,2})[^@]*(@.*)$/, '$1***$2')
+    : `******${String(value).slice(-4)}`;
+
+// Where an invite for this customer goes: the requested channel, else email, else SMS
+export const inviteDestination = (customer, channel) => {
+  const destinations = {
+    email: normalizeEmail(customer.EMAIL),
+    sms: normalizeMobile(customer.MOBILE_NUMBER),
+  };
+  const chosen = channel || INVITE_CHANNELS.find(name => destinations[name]);
+  return chosen && destinations[chosen] ? { channel: chosen, to: destinations[chosen] } : null;
+};
+
+// True when any of the caller's emails / mobiles is the one on the customer record
+export const contactMatches = (customer, { emails = [], mobiles = [] }) => {
+  const email = normalizeEmail(customer.EMAIL);
+  const mobile = normalizeMobile(customer.MOBILE_NUMBER);
+  return (
+    (email != null && emails.some(value => normalizeEmail(value) === email)) ||
+    (mobile != null && mobiles.some(value => normalizeMobile(value) === mobile))
+  );
+};
+
+export const inviteMessage = ({ channel, to, customer, link, expiresAt }) => ({
+  channel,
+  to,
+  subject: 'Activate your ordering portal account',
+  text:
+    channel === 'email'
+      ? `Hello ${customer.CUSTOMER_NAME},\n\nYour account for ${customer.CUSTOMER_NAME} is ready. ` +
+        `Sign in and open this link to activate it:\n${link}\n\nThe link expires on ${expiresAt.toISOString()} ` +
+        'and can only be used once.'
+      : `Activate your ordering portal account: ${link} (valid until ${expiresAt.toISOString()})`,
+});
+
+class InviteService {
+  constructor() {
+    this.sender = null;
+  }
+
+  // Swappable for real email/SMS delivery
+  setSender(sender) {
+    this.sender = sender;
+  }
+
+  getSender() {
+    if (!this.sender) this.sender = createSender(INVITE_SENDER);
+    return this.sender;
+  }
+
+  async getCustomer(customerCode) {
+    const result = await oracleService.executeQuery(
+      `SELECT customer_code, customer_name, email, mobile_number, status, firebase_uid
+       FROM customer WHERE customer_code = :1`,
+      [customerCode],
+    );
+    return result.rows[0] || null;
+  }
+
+  // Replaces any open invite of the customer with a new one and sends it
+  async createInvite(customerCode, { channel, createdBy } = {}) {
+    const customer = await this.getCustomer(customerCode);
+    if (!customer) throw new NotFoundError('Customer not found');
+    if (customer.FIREBASE_UID) {
+      throw new ConflictError('Customer is already linked to an account', { code: 'ALREADY_LINKED' });
+    }
+
+    const destination = inviteDestination(customer, channel);
+    if (!destination) {
+      throw new BadRequestError(`Customer has no ${channel === 'sms' ? 'mobile number' : channel || 'email or mobile number'}`);
+    }
+
+    const { token, tokenHash } = generateInviteToken();
+    const expiresAt = new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000);
+
+    await oracleService.executeTransaction([
+      {
+        sql: `UPDATE customer_invites SET revoked_at = SYSTIMESTAMP
+              WHERE customer_code = :customer_code AND used_at IS NULL AND revoked_at IS NULL`,
+        binds: { customer_code: customerCode },
+      },
+      {
+        sql: `INSERT INTO customer_invites (customer_code, token_hash, channel, sent_to, created_by, expires_at)
+              VALUES (:customer_code, :token_hash, :channel, :sent_to, :created_by, :expires_at)`,
+        binds: {
+          customer_code: customerCode,
+          token_hash: tokenHash,
+          channel: destination.channel,
+          sent_to: destination.to,
+          created_by: createdBy || null,
+          expires_at: expiresAt,
+        },
+      },
+    ]);
+
+    const link = `${ACTIVATION_URL}?token=${encodeURIComponent(token)}`;
+    await this.getSender().send(inviteMessage({ ...destination, customer, link, expiresAt }));
+
+    return {
+      customer_code: customerCode,
+      channel: destination.channel,
+      sent_to: maskContact(destination.channel, destination.to),
+      expires_at: expiresAt,
+    };
+  }
+
+  async findInvite(token) {
+    const result = await oracleService.executeQuery(
+      `SELECT id, customer_code, expires_at, used_at, revoked_at
+       FROM customer_invites WHERE token_hash = :1`,
+      [hashInviteToken(token)],
+    );
+    return result.rows[0] || null;
+  }
+
+  async isUidLinked(uid) {
+    const result = await oracleService.executeQuery(
+      `SELECT 1 FROM customer WHERE firebase_uid = :uid
+       UNION ALL
+       SELECT 1 FROM admins WHERE firebase_uid = :uid`,
+      { uid },
+    );
+    return result.rows.length > 0;
+  }
+
+  // Binds the caller's Firebase uid to the invited customer and activates it.
+  // contacts: { emails, mobiles } from the verified sign-in token claims.
+  async activate(token, { uid, contacts }) {
+    const invite = await this.findInvite(token);
+    if (!invite || invite.USED_AT || invite.REVOKED_AT) {
+      throw new BadRequestError('This invitation is invalid or has already been used', { code: 'INVITE_INVALID' });
+    }
+    if (new Date(invite.EXPIRES_AT) <= new Date()) {
+      throw new BadRequestError('This invitation has expired; ask for a new one', { code: 'INVITE_EXPIRED' });
+    }
+
+    const customer = await this.getCustomer(invite.CUSTOMER_CODE);
+    if (!customer) throw new NotFoundError('Customer not found');
+    if (customer.FIREBASE_UID) {
+      throw new ConflictError('Customer is already linked to an account', { code: 'ALREADY_LINKED' });
+    }
+    if (await this.isUidLinked(uid)) {
+      throw new ConflictError('This sign-in is already linked to another account', { code: 'UID_IN_USE' });
+    }
+    if (!contactMatches(customer, contacts)) {
+      throw new BadRequestError('Verified email or phone number does not match the customer record', {
+        code: 'CONTACT_MISMATCH',
+      });
+    }
+
+    // Both rows are guarded so a second activation racing this one fails
+    await oracleService.executeTransaction([
+      {
+        sql: `UPDATE customer_invites SET used_at = SYSTIMESTAMP, used_by_uid = :uid
+              WHERE id = :id AND used_at IS NULL AND revoked_at IS NULL`,
+        binds: { uid, id: invite.ID },
+        expectRows: true,
+        noRowsMessage: 'This invitation has already been used',
+      },
+      {
+        sql: `UPDATE customer SET firebase_uid = :uid, status = 'active'
+              WHERE customer_code = :customer_code AND firebase_uid IS NULL`,
+        binds: { uid, customer_code: invite.CUSTOMER_CODE },
+        expectRows: true,
+        noRowsMessage: 'Customer is already linked to an account',
+      },
+    ]);
+
+    return { customer_code: invite.CUSTOMER_CODE, customer_name: customer.CUSTOMER_NAME, status: 'active' };
+  }
+}
+
+export default new InviteService();
@@ -0,0 +1,170 @@
+import OracleService from './oracle.service.js';
+
+const oracleService = OracleService;
+
+// Columns the portal owns. Imports may set role/status on insert but never
+// write any of these on an existing record.
+export const APP_OWNED_FIELDS = ['firebase_uid', 'password', 'status', 'role'];
+
+// Master tables fed from Tally (and file imports). `fields` are the columns
+// the source owns and that are compared and updated; `insertDefaults` are
+// only written when the record is new.
+export const MASTER_DATA = {
+  customer: {
+    table: 'customer',
+    key: 'customer_code',
+    label: 'customer_name',
+    fields: ['customer_name', 'mobile_number', 'email', 'state', 'customer_type', 'parent_group'],
+    numeric: [],
+    insertDefaults: record => ({
+      role: record.role || record.customer_type || null,
+      status: 'inactive',
+    }),
+  },
+  stock_item: {
+    table: 'stock_item',
+    key: 'item_code',
+    label: 'stock_item_name',
+    fields: ['stock_item_name', 'parent_group', 'uom', 'gst', 'hsn', 'rate'],
+    numeric: ['gst', 'rate'],
+    insertDefaults: () => ({}),
+  },
+};
+
+const ownedFields = master => master.fields.filter(field => !APP_OWNED_FIELDS.includes(field));
+
+const normalizeValue = (value, numeric) => {
+  if (value == null) return null;
+  if (numeric) {
+    const number = Number(String(value).replace(/[^\d.-]/g, ''));
+    return String(value).trim() === '' || !Number.isFinite(number) ? null : number;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+};
+
+// Field-level differences between the stored row and an incoming record.
+// Fields the incoming record leaves empty are left alone, so a blank in the
+// source never clears a stored value.
+export const diffRecord = (master, current, incoming) =>
+  ownedFields(master)
+    .map(field => {
+      const numeric = master.numeric.includes(field);
+      const from = normalizeValue(current?.[field], numeric);
+      const to = normalizeValue(incoming[field], numeric);
+      return { field, from, to };
+    })
+    .filter(({ from, to }) => to !== null && from !== to);
+
+// Sorts incoming records into inserts, updates (with their diffs), unchanged
+// and skipped. `existing` maps record key -> stored row with lowercase columns.
+export const planUpsert = (master, existing, records) => {
+  const plan = { inserts: [], updates: [], unchanged: [], skipped: [] };
+  const seen = new Set();
+
+  records.forEach((record, index) => {
+    const key = normalizeValue(record[master.key], false);
+    if (!key) {
+      plan.skipped.push({ index, name: record[master.label] ?? null, error: `Missing ${master.key}` });
+      return;
+    }
+    if (seen.has(key)) {
+      plan.skipped.push({ index, key, error: `Duplicate ${master.key} in batch` });
+      return;
+    }
+    seen.add(key);
+
+    const current = existing.get(key);
+    if (!current) {
+      const changes = diffRecord(master, {}, record);
+      plan.inserts.push({ index, key, record, changes });
+      return;
+    }
+
+    const changes = diffRecord(master, current, record);
+    if (changes.length) {
+      plan.updates.push({ index, key, record, changes });
+    } else {
+      plan.unchanged.push({ index, key });
+    }
+  });
+
+  return plan;
+};
+
+const changeValues = changes => Object.fromEntries(changes.map(({ field, to }) => [field, to]));
+
+class MasterDataService {
+  async loadExisting(master) {
+    const columns = [master.key, ...ownedFields(master)].join(', ');
+    const result = await oracleService.executeQuery(`SELECT ${columns} FROM ${master.table}`);
+
+    return new Map(
+      result.rows.map(row => {
+        const lower = Object.fromEntries(Object.entries(row).map(([column, value]) => [column.toLowerCase(), value]));
+        return [String(lower[master.key]).trim(), lower];
+      }),
+    );
+  }
+
+  async insert(master, { key, record, changes }) {
+    const values = { ...changeValues(changes), ...master.insertDefaults(record), [master.key]: key };
+    const columns = Object.keys(values);
+
+    await oracleService.executeQuery(
+      `INSERT INTO ${master.table} (${columns.join(', ')}) VALUES (${columns.map(c => `:${c}`).join(', ')})`,
+      values,
+      { autoCommit: true },
+    );
+  }
+
+  // Only the changed columns are written, so concurrent portal edits to
+  // other columns are kept
+  async update(master, { key, changes }) {
+    const values = changeValues(changes);
+    const assignments = Object.keys(values).map(column => `${column} = :${column}`);
+
+    await oracleService.executeQuery(
+      `UPDATE ${master.table} SET ${assignments.join(', ')} WHERE ${master.key} = :record_key`,
+      { ...values, record_key: key },
+      { autoCommit: true },
+    );
+  }
+
+  // Upserts records into a master table one by one, so a bad row does not
+  // lose the rest. Returns counts, the per-record diff report and errors;
+  // with dryRun nothing is written.
+  async upsert(masterName, records, { dryRun = false } = {}) {
+    const master = MASTER_DATA[masterName];
+    const plan = planUpsert(master, await this.loadExisting(master), records);
+
+    const counts = {
+      received: records.length,
+      inserted: 0,
+      updated: 0,
+      unchanged: plan.unchanged.length,
+      skipped: plan.skipped.length,
+      failed: 0,
+    };
+    const changes = [];
+    const errors = plan.skipped.map(skip => ({ master: masterName, ...skip }));
+
+    const apply = async (entry, action) => {
+      try {
+        if (!dryRun) await this[action](master, entry);
+        counts[action === 'insert' ? 'inserted' : 'updated']++;
+        changes.push({ key: entry.key, action, changes: entry.changes });
+      } catch (error) {
+        counts.failed++;
+        errors.push({ master: masterName, index: entry.index, key: entry.key, error: error.message });
+      }
+    };
+
+    for (const entry of plan.inserts) await apply(entry, 'insert');
+    for (const entry of plan.updates) await apply(entry, 'update');
+
+    return { counts, changes, errors };
+  }
+}
+
+export default new MasterDataService();
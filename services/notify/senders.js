@@ -0,0 +1,49 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { INVITE_OUTBOX_DIR } from '../../config/onboarding.js';
+import logger from '../../utils/logger.js';
+
+// A sender delivers { channel: 'email' | 'sms', to, subject, text } and
+// resolves with a delivery reference. Real email/SMS providers plug in by
+// implementing the same send() and registering in SENDERS.
+
+// Activation links carry the invite token, which is as good as the invite
+export const redactLinkTokens = text => String(text).replace(/([?&]token=)[^\s&]+/g, '$1[REDACTED]');
+
+class ConsoleSender {
+  async send(message) {
+    // Development only: nothing is delivered and the link is not usable
+    // from the log; use the file sender to follow invites locally
+    logger.info('Message not delivered (console sender)', {
+      channel: message.channel,
+      subject: message.subject,
+      text: redactLinkTokens(message.text),
+    });
+    return { reference: null };
+  }
+}
+
+// Writes each message to the outbox directory, for local testing
+export class FileSender {
+  constructor(dir = INVITE_OUTBOX_DIR) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${Date.now()}-${message.channel}-${message.to.replace(/[^\w.@+-]/g, '_')}.json`);
+    await writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { reference: file };
+  }
+}
+
+export const SENDERS = {
+  console: () => new ConsoleSender(),
+  file: () => new FileSender(),
+};
+
+export const createSender = name => {
+  const factory = SENDERS[name];
+  if (!factory) throw new Error(`Unknown sender '${name}' (expected one of: ${Object.keys(SENDERS).join(', ')})`);
+  return factory();
+};
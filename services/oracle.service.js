@@ -1,5 +1,42 @@
 import oracledb from 'oracledb';
 import { getPool } from '../config/oracle-database.js';
+import { ConflictError } from '../utils/errors.js';
+import auditTracker from './audit/tracker.js';
+import logger, { redactBinds } from '../utils/logger.js';
+import { getCorrelationId } from '../middleware/request-context.js';
+import metrics from '../utils/metrics.js';
+
+const queryDuration = metrics.histogram(
+  'oracle_query_duration_seconds',
+  'Oracle statement execution time by statement label',
+  ['statement', 'outcome'],
+);
+
+const connectionWait = metrics.histogram(
+  'oracle_pool_get_connection_seconds',
+  'Time spent waiting for a pooled Oracle connection',
+  ['outcome'],
+);
+
+// Statement text on one line for the log
+const compactSql = sql => String(sql).replace(/\s+/g, ' ').trim();
+
+// 'select stock_item', 'update orders', ...: the verb and the first table, so
+// durations group by statement kind without a series per distinct SQL text
+export const statementLabel = sql => {
+  const text = compactSql(sql).replace(/'(?:[^']|'')*'/g, "''");
+  const verb = (text.match(/^[A-Za-z]+/)?.[0] || 'other').toLowerCase();
+  const table = text.match(/\b(?:FROM|INTO|UPDATE)\s+([A-Za-z_][\w$#]*)/i)?.[1];
+  return table ? `${verb} ${table.toLowerCase()}` : verb;
+};
+
+// Tags the session with the request's correlation id (V$SESSION.CLIENT_IDENTIFIER)
+// so database-side traces can be matched to the request log
+const tagConnection = connection => {
+  const correlationId = getCorrelationId();
+  if (correlationId) connection.clientId = correlationId;
+  return connection;
+};
 
 class OracleService {
   get pool() {
@@ -10,12 +47,24 @@ class OracleService {
     return pool;
   }
 
+  async getConnection() {
+    return tagConnection(await connectionWait.time({}, () => this.pool.getConnection()));
+  }
+
+  // Runs one statement through the audit tracker, timed under its label
+  execute(connection, sql, binds, options) {
+    return queryDuration.time({ statement: statementLabel(sql) }, () =>
+      auditTracker.execute(connection, sql, binds, options),
+    );
+  }
+
   async executeQuery(query, bindParams = {}, options = {}) {
     let connection;
     try {
-      connection = await this.pool.getConnection();
+      connection = await this.getConnection();
 
-      const result = await connection.execute(query, bindParams, {
+      // Writes to audited tables are logged in audit_log (see audit/tracker.js)
+      const result = await this.execute(connection, query, bindParams, {
         autoCommit: options.autoCommit ?? false,
         outFormat: oracledb.OUT_FORMAT_OBJECT,
         ...options,
@@ -23,9 +72,7 @@ class OracleService {
 
       return result;
     } catch (error) {
-      console.error('Error executing query:', error);
-      console.error('Query:', query);
-      console.error('Bind Params:', bindParams);
+      logger.error('Oracle query failed', { sql: compactSql(query), binds: redactBinds(bindParams), error });
       throw error;
     } finally {
       if (connection) await connection.close();
@@ -35,15 +82,19 @@ class OracleService {
   async executeTransaction(operations) {
   let connection;
   try {
-    connection = await this.pool.getConnection();
+    connection = await this.getConnection();
 
     const results = [];
     for (const op of operations) {
-      if (op.options) {
-        results.push(await connection.execute(op.sql, op.binds, op.options));
-      } else {
-        results.push(await connection.execute(op.sql, op.binds));
+      const result = await this.execute(connection, op.sql, op.binds, op.options);
+
+      // Guarded statements (e.g. WHERE status = :from) roll back the whole
+      // transaction when their row was changed by someone else
+      if (op.expectRows && !result.rowsAffected) {
+        throw new ConflictError(op.noRowsMessage || 'No rows affected', { code: op.noRowsCode || 'NO_ROWS_AFFECTED' });
       }
+
+      results.push(result);
     }
 
     await connection.commit();
@@ -0,0 +1,152 @@
+import oracledb from 'oracledb';
+import OracleService from './oracle.service.js';
+import { ORDER_NUMBER_SERIES, RESERVATION_MINUTES } from '../config/order-numbering.js';
+
+const oracleService = OracleService;
+
+const pad = (value, width = 2) => String(value).padStart(width, '0');
+
+// Corporate ("direct") voucher types get their own series, everything else is distributor
+export const resolveSeries = voucherType =>
+  /corporate|direct/i.test(voucherType || '') ? ORDER_NUMBER_SERIES.corporate : ORDER_NUMBER_SERIES.distributor;
+
+// Counter bucket for a date: one per day, or one per April-March financial year
+export const periodKey = (date, reset) => {
+  if (reset === 'financial_year') {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `FY${pad(startYear % 100)}${pad((startYear + 1) % 100)}`;
+  }
+
+  return `${pad(date.getDate())}-${pad(date.getMonth() + 1)}-${pad(date.getFullYear() % 100)}`;
+};
+
+export const formatOrderNumber = (series, key, sequence) =>
+  `${series.prefix}-${key}-${pad(sequence, series.reset === 'financial_year' ? 5 : 4)}`;
+
+const RECLAIMABLE = `(status = 'released' OR (status = 'reserved' AND expires_at < SYSTIMESTAMP))`;
+
+class OrderNumberService {
+  // The UPDATE row lock serializes concurrent callers on the same counter.
+  // The first caller of a period creates the row; a racing insert falls back to the update.
+  async nextValue(series, key) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const updated = await oracleService.executeQuery(
+        `UPDATE order_number_counters
+         SET last_value = last_value + 1, updated_at = SYSTIMESTAMP
+         WHERE series = :series AND period_key = :period_key
+         RETURNING last_value INTO :last_value`,
+        {
+          series: series.name,
+          period_key: key,
+          last_value: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
+        },
+        { autoCommit: true },
+      );
+
+      if (updated.rowsAffected > 0) {
+        return updated.outBinds.last_value[0];
+      }
+
+      try {
+        await oracleService.executeQuery(
+          `INSERT INTO order_number_counters (series, period_key, last_value)
+           VALUES (:series, :period_key, 1)`,
+          { series: series.name, period_key: key },
+          { autoCommit: true },
+        );
+        return 1;
+      } catch (error) {
+        // ORA-00001: another request created the counter first
+        if (error.errorNum !== 1) throw error;
+      }
+    }
+
+    throw new Error(`Could not allocate order number for series ${series.name}`);
+  }
+
+  // Hand out a number for an open order form, reusing released or expired
+  // reservations of the same series and period before taking a new one
+  async reserve({ voucherType, uid, date = new Date() }) {
+    const series = resolveSeries(voucherType);
+    const key = periodKey(date, series.reset);
+    const expiresAt = new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000);
+
+    const reclaimed = await oracleService.executeQuery(
+      `UPDATE order_number_reservations
+       SET status = 'reserved', reserved_by = :uid, reserved_at = SYSTIMESTAMP,
+           expires_at = :expires_at, released_at = NULL
+       WHERE order_no = (
+         SELECT order_no FROM order_number_reservations
+         WHERE series = :series AND period_key = :period_key AND ${RECLAIMABLE}
+         ORDER BY order_no
+         FETCH FIRST 1 ROWS ONLY
+       )
+       AND ${RECLAIMABLE}
+       RETURNING order_no INTO :order_no`,
+      {
+        uid,
+        expires_at: expiresAt,
+        series: series.name,
+        period_key: key,
+        order_no: { dir: oracledb.BIND_OUT, type: oracledb.STRING, maxSize: 50 },
+      },
+      { autoCommit: true },
+    );
+
+    if (reclaimed.rowsAffected > 0) {
+      return { orderNumber: reclaimed.outBinds.order_no[0], expiresAt };
+    }
+
+    const orderNumber = formatOrderNumber(series, key, await this.nextValue(series, key));
+
+    await oracleService.executeQuery(
+      `INSERT INTO order_number_reservations
+         (order_no, series, period_key, status, reserved_by, reserved_at, expires_at)
+       VALUES (:order_no, :series, :period_key, 'reserved', :uid, SYSTIMESTAMP, :expires_at)`,
+      { order_no: orderNumber, series: series.name, period_key: key, uid, expires_at: expiresAt },
+      { autoCommit: true },
+    );
+
+    return { orderNumber, expiresAt };
+  }
+
+  // Returns false when the number is not (or no longer) reserved by this user
+  async release(orderNo, uid) {
+    const result = await oracleService.executeQuery(
+      `UPDATE order_number_reservations
+       SET status = 'released', released_at = SYSTIMESTAMP
+       WHERE order_no = :order_no AND status = 'reserved' AND reserved_by = :uid`,
+      { order_no: orderNo, uid },
+      { autoCommit: true },
+    );
+    return result.rowsAffected > 0;
+  }
+
+  // True when the number is reserved by this user and the reservation has not expired
+  async isReservedBy(orderNo, uid) {
+    if (!orderNo || !uid) return false;
+    const result = await oracleService.executeQuery(
+      `SELECT 1 FROM order_number_reservations
+       WHERE order_no = :order_no AND status = 'reserved' AND reserved_by = :uid AND expires_at > SYSTIMESTAMP`,
+      { order_no: orderNo, uid },
+    );
+    return result.rows.length > 0;
+  }
+
+  // Transaction step for order creation: consume the caller's live
+  // reservation. Rolls the order back if it expired or was taken meanwhile.
+  markUsedOperation(orderNo, uid) {
+    return {
+      sql: `UPDATE order_number_reservations
+            SET status = 'used', used_at = SYSTIMESTAMP
+            WHERE order_no = :order_no AND status = 'reserved' AND reserved_by = :uid
+              AND expires_at > SYSTIMESTAMP`,
+      binds: { order_no: orderNo, uid },
+      expectRows: true,
+      noRowsMessage: `Order number ${orderNo} is no longer reserved for you`,
+      noRowsCode: 'RESERVATION_EXPIRED',
+    };
+  }
+}
+
+export default new OrderNumberService();
@@ -0,0 +1,110 @@
+import OracleService from './oracle.service.js';
+import inventoryService from './inventory.service.js';
+import { ROLES } from '../config/roles.js';
+
+const oracleService = OracleService;
+
+export const ORDER_STATUSES = ['draft', 'pending', 'approved', 'dispatched', 'invoiced', 'cancelled'];
+
+// Statuses an order may be created in, and in which its lines can still be edited
+export const INITIAL_STATUSES = ['draft', 'pending'];
+export const EDITABLE_STATUSES = ['draft', 'pending'];
+
+const ALL_ROLES = [ROLES.ADMIN, ROLES.DISTRIBUTOR, ROLES.CORPORATE];
+
+// action -> allowed source statuses, target status and who may perform it.
+// ownerFrom narrows the source statuses for distributors and corporates.
+export const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'pending', roles: ALL_ROLES },
+  approve: { from: ['pending'], to: 'approved', roles: [ROLES.ADMIN] },
+  dispatch: { from: ['approved'], to: 'dispatched', roles: [ROLES.ADMIN] },
+  invoice: { from: ['dispatched'], to: 'invoiced', roles: [ROLES.ADMIN] },
+  cancel: {
+    from: ['draft', 'pending', 'approved'],
+    ownerFrom: ['draft', 'pending'],
+    to: 'cancelled',
+    roles: ALL_ROLES,
+    requiresReason: true,
+  },
+};
+
+// Returns { ok: true, to } or { ok: false, status, error }
+export const checkTransition = (action, currentStatus, role) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return { ok: false, status: 400, error: `Unknown action '${action}'` };
+  }
+
+  if (!transition.roles.includes(role)) {
+    return { ok: false, status: 403, error: `Only admins can ${action} orders` };
+  }
+
+  const from = role !== ROLES.ADMIN && transition.ownerFrom ? transition.ownerFrom : transition.from;
+  if (!from.includes(currentStatus)) {
+    return {
+      ok: false,
+      status: 409,
+      error: `Cannot ${action} an order that is ${currentStatus}`,
+    };
+  }
+
+  return { ok: true, to: transition.to, requiresReason: !!transition.requiresReason };
+};
+
+const historyOperation = ({ orderNo, from, to, action, reason, principal }) => ({
+  sql: `
+    INSERT INTO order_status_history
+      (order_id, order_no, from_status, to_status, action, reason, acted_by, acted_by_role)
+    VALUES (
+      (SELECT id FROM orders WHERE order_no = :order_no),
+      :order_no, :from_status, :to_status, :action, :reason, :acted_by, :acted_by_role
+    )
+  `,
+  binds: {
+    order_no: orderNo,
+    from_status: from,
+    to_status: to,
+    action,
+    reason: reason || null,
+    acted_by: principal?.uid || null,
+    acted_by_role: principal?.role || null,
+  },
+});
+
+class OrderStatusService {
+  // First history row, written in the order creation transaction
+  createdOperation(orderNo, status, principal) {
+    return historyOperation({ orderNo, from: null, to: status, action: 'create', principal });
+  }
+
+  // The status guard makes a concurrent transition fail instead of being
+  // overwritten; stock reservations change in the same transaction
+  async applyTransition({ orderNo, action, from, to, reason, principal }) {
+    await oracleService.executeTransaction([
+      {
+        sql: `
+          UPDATE orders SET status = :to_status, version = version + 1, updated_at = SYSTIMESTAMP
+          WHERE order_no = :order_no AND status = :from_status
+        `,
+        binds: { to_status: to, order_no: orderNo, from_status: from },
+        expectRows: true,
+        noRowsMessage: 'Order status was changed by someone else',
+      },
+      historyOperation({ orderNo, from, to, action, reason, principal }),
+      ...inventoryService.transitionOperations(action, orderNo, principal),
+    ]);
+  }
+
+  async getHistory(orderNo) {
+    const result = await oracleService.executeQuery(
+      `SELECT id, order_no, from_status, to_status, action, reason, acted_by, acted_by_role, acted_at
+       FROM order_status_history
+       WHERE order_no = :1
+       ORDER BY acted_at, id`,
+      [orderNo],
+    );
+    return result.rows;
+  }
+}
+
+export default new OrderStatusService();
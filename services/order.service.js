@@ -0,0 +1,392 @@
+import OracleService from './oracle.service.js';
+import orderNumberService from './order-number.service.js';
+import orderStatusService, { INITIAL_STATUSES } from './order-status.service.js';
+import { toOracleDate } from '../utils/helpers.js';
+import { runListQuery } from '../utils/query-builder.js';
+import { ConflictError } from '../utils/errors.js';
+
+const oracleService = OracleService;
+
+export const DEFAULT_VOUCHER_TYPE = 'Distributor Order-Web Based';
+
+export const HEADER_FIELDS = [
+  'order_no',
+  'voucher_type',
+  'order_date',
+  'status',
+  'customer_code',
+  'customer_name',
+  'executive',
+  'role',
+  'delivery_date',
+  'delivery_mode',
+  'transporter_name',
+  'remarks',
+];
+
+export const LINE_FIELDS = [
+  'item_code',
+  'item_name',
+  'hsn',
+  'gst',
+  'sgst',
+  'cgst',
+  'igst',
+  'quantity',
+  'uom',
+  'rate',
+  'amount',
+  'net_rate',
+  'gross_amount',
+  'disc_percentage',
+  'disc_amount',
+  'spl_disc_percentage',
+  'spl_disc_amount',
+  'price_rule_id',
+];
+
+// Header fields that may change after creation; status moves through order-status.service
+const UPDATABLE_HEADER_FIELDS = HEADER_FIELDS.filter(f => !['order_no', 'customer_code', 'status'].includes(f));
+
+const DATE_FIELDS = ['order_date', 'delivery_date'];
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter(f => source[f] !== undefined).map(f => [f, source[f]]));
+
+const normalizeGst = gst => (gst != null && gst !== '' ? String(gst).replace(/\s*%/, '') : 0);
+
+// Accepts { header, lines } or the legacy flat array (one row per item,
+// header columns repeated on every row) and returns { header, lines }.
+export const normalizeOrderDocument = body => {
+  if (Array.isArray(body)) {
+    const first = body[0] || {};
+    return {
+      header: { ...pick(first, HEADER_FIELDS), order_date: first.order_date ?? first.date },
+      lines: body.map(row => pick(row, ['id', '_deleted', ...LINE_FIELDS])),
+    };
+  }
+
+  if (body && typeof body === 'object') {
+    const header = { ...(body.header || {}) };
+    if (header.order_date === undefined && header.date !== undefined) header.order_date = header.date;
+    return {
+      header: pick(header, HEADER_FIELDS),
+      lines: Array.isArray(body.lines) ? body.lines : [],
+    };
+  }
+
+  return { header: {}, lines: [] };
+};
+
+// Line inputs the amounts are derived from
+const LINE_INPUT_FIELDS = ['item_code', 'item_name', 'hsn', 'uom', 'quantity', 'disc_percentage', 'spl_disc_percentage'];
+
+// Fill partial line updates with the stored inputs so they can be re-priced
+export const mergeWithStoredLines = (lines, storedLines) => {
+  const byId = new Map(storedLines.map(row => [String(row.ID), row]));
+
+  return lines.map(line => {
+    const stored = line.id && !line._deleted ? byId.get(String(line.id)) : null;
+    if (!stored) return line;
+    return { ...Object.fromEntries(LINE_INPUT_FIELDS.map(f => [f, stored[f.toUpperCase()]])), ...line };
+  });
+};
+
+const toHeaderBinds = header => {
+  const order_date = toOracleDate(header.order_date) || new Date();
+  return {
+    order_no: header.order_no?.trim(),
+    voucher_type: header.voucher_type || DEFAULT_VOUCHER_TYPE,
+    order_date,
+    status: INITIAL_STATUSES.includes(header.status) ? header.status : 'pending',
+    customer_code: header.customer_code != null ? String(header.customer_code) : '',
+    customer_name: header.customer_name || '',
+    executive: header.executive || '',
+    role: header.role || 'distributor',
+    delivery_date: toOracleDate(header.delivery_date) || order_date,
+    delivery_mode: header.delivery_mode || '',
+    transporter_name: header.transporter_name || '',
+    remarks: header.remarks || '',
+  };
+};
+
+const toLineBinds = line => ({
+  item_code: line.item_code || '',
+  item_name: line.item_name || '',
+  hsn: line.hsn || '',
+  gst: normalizeGst(line.gst),
+  sgst: line.sgst ?? 0,
+  cgst: line.cgst ?? 0,
+  igst: line.igst ?? 0,
+  quantity: line.quantity ?? 0,
+  uom: line.uom || '',
+  rate: line.rate ?? 0,
+  amount: line.amount ?? 0,
+  net_rate: line.net_rate ?? 0,
+  gross_amount: line.gross_amount ?? 0,
+  disc_percentage: line.disc_percentage ?? 0,
+  disc_amount: line.disc_amount ?? 0,
+  spl_disc_percentage: line.spl_disc_percentage ?? 0,
+  spl_disc_amount: line.spl_disc_amount ?? 0,
+  price_rule_id: line.price_rule_id ?? null,
+});
+
+const ORDER_ID_BY_NUMBER = '(SELECT id FROM orders WHERE order_no = :order_no)';
+
+const insertLineOperation = (orderNo, line, lineNo) => ({
+  sql: `
+    INSERT INTO order_items (order_id, line_no, ${LINE_FIELDS.join(', ')})
+    VALUES (
+      ${ORDER_ID_BY_NUMBER},
+      ${lineNo != null ? ':line_no' : `(SELECT NVL(MAX(line_no), 0) + 1 FROM order_items WHERE order_id = ${ORDER_ID_BY_NUMBER})`},
+      ${LINE_FIELDS.map(f => `:${f}`).join(', ')}
+    )
+  `,
+  binds: {
+    order_no: orderNo,
+    ...(lineNo != null ? { line_no: lineNo } : {}),
+    ...toLineBinds(line),
+  },
+});
+
+// Header totals are always derived from the lines so they cannot drift
+const recalculateTotalsOperation = orderNo => ({
+  sql: `
+    UPDATE orders o
+    SET (total_quantity, total_amount_without_tax, total_cgst_amount,
+         total_sgst_amount, total_igst_amount, total_amount) = (
+      SELECT NVL(SUM(i.quantity), 0), NVL(SUM(i.amount), 0), NVL(SUM(i.cgst), 0),
+             NVL(SUM(i.sgst), 0), NVL(SUM(i.igst), 0),
+             NVL(SUM(NVL(i.amount, 0) + NVL(i.cgst, 0) + NVL(i.sgst, 0) + NVL(i.igst, 0)), 0)
+      FROM order_items i
+      WHERE i.order_id = o.id AND i.deleted_at IS NULL
+    ),
+    updated_at = SYSTIMESTAMP
+    WHERE o.order_no = :order_no
+  `,
+  binds: { order_no: orderNo },
+});
+
+// Every edit moves the order to a new version. With expectedVersion the
+// edit only applies to that version, so concurrent edits cannot overwrite
+// each other.
+const bumpVersionOperation = (orderNo, expectedVersion) => ({
+  sql: `
+    UPDATE orders SET version = version + 1, updated_at = SYSTIMESTAMP
+    WHERE order_no = :order_no${expectedVersion != null ? ' AND version = :expected_version' : ''}
+  `,
+  binds: { order_no: orderNo, ...(expectedVersion != null ? { expected_version: expectedVersion } : {}) },
+  expectRows: true,
+  noRowsMessage: 'Order was changed by someone else; reload it and try again',
+  noRowsCode: 'STALE_VERSION',
+});
+
+const ORDER_LIST_SPEC = {
+  table: 'orders',
+  filters: {
+    customer_code: { column: 'customer_code' },
+    status: { column: 'status', op: 'in' },
+    voucher_type: { column: 'voucher_type' },
+    order_date_from: { column: 'order_date', op: 'gte', type: 'date' },
+    order_date_to: { column: 'order_date', op: 'lte', type: 'date' },
+  },
+  sortable: ['order_no', 'order_date', 'delivery_date', 'customer_name', 'status', 'total_amount', 'created_at'],
+  defaultSort: '-order_date',
+  tiebreaker: 'id',
+};
+
+class OrderService {
+  // Paged headers; customerCode pins the list to one customer
+  async listOrders(query = {}, { customerCode } = {}) {
+    return runListQuery(
+      {
+        ...ORDER_LIST_SPEC,
+        where: customerCode != null ? ['customer_code = :owner_code'] : [],
+        binds: customerCode != null ? { owner_code: String(customerCode) } : {},
+      },
+      customerCode != null ? { ...query, customer_code: undefined } : query,
+    );
+  }
+
+  async getHeader(orderNo) {
+    const result = await oracleService.executeQuery('SELECT * FROM orders WHERE order_no = :1', [orderNo]);
+    return result.rows[0] || null;
+  }
+
+  async getOrderByNumber(orderNo) {
+    const header = await this.getHeader(orderNo);
+    if (!header) return null;
+
+    const lines = await oracleService.executeQuery(
+      'SELECT * FROM order_items WHERE order_id = :1 AND deleted_at IS NULL ORDER BY line_no, id',
+      [header.ID],
+    );
+
+    return { header, lines: lines.rows };
+  }
+
+  async createOrder({ header, lines }, { principal } = {}) {
+    const headerBinds = toHeaderBinds(header);
+
+    const operations = [
+      {
+        sql: `
+          INSERT INTO orders (${HEADER_FIELDS.join(', ')})
+          VALUES (${HEADER_FIELDS.map(f => `:${f}`).join(', ')})
+        `,
+        binds: headerBinds,
+      },
+      ...lines.map((line, index) => insertLineOperation(headerBinds.order_no, line, index + 1)),
+      recalculateTotalsOperation(headerBinds.order_no),
+      orderNumberService.markUsedOperation(headerBinds.order_no, principal?.uid),
+      orderStatusService.createdOperation(headerBinds.order_no, headerBinds.status, principal),
+    ];
+
+    try {
+      await oracleService.executeTransaction(operations);
+    } catch (error) {
+      // orders_order_no_uk: a retried or concurrent create of the same number
+      if (error.errorNum === 1 && /ORDERS_ORDER_NO_UK/i.test(error.message)) {
+        throw new ConflictError(`Order ${headerBinds.order_no} already exists`, { code: 'ORDER_EXISTS', cause: error });
+      }
+      throw error;
+    }
+
+    return this.getOrderByNumber(headerBinds.order_no);
+  }
+
+  // Lines with an id are updated (or soft-deleted when flagged _deleted),
+  // lines without an id are appended. Header totals are recalculated afterwards.
+  async updateOrder(orderNo, { header = {}, lines = [] }, { principal, expectedVersion } = {}) {
+    const linesToInsert = lines.filter(l => !l.id && !l._deleted);
+    const linesToUpdate = lines.filter(l => l.id && !l._deleted);
+    const linesToDelete = lines.filter(l => l.id && l._deleted);
+
+    const operations = [bumpVersionOperation(orderNo, expectedVersion)];
+
+    for (const line of linesToDelete) {
+      operations.push({
+        sql: `
+          UPDATE order_items SET deleted_at = SYSTIMESTAMP, deleted_by = :deleted_by
+          WHERE id = :id AND order_id = ${ORDER_ID_BY_NUMBER} AND deleted_at IS NULL
+        `,
+        binds: { id: line.id, order_no: orderNo, deleted_by: principal?.uid || null },
+      });
+    }
+
+    for (const line of linesToUpdate) {
+      const fields = pick(line, LINE_FIELDS);
+      const keys = Object.keys(fields);
+      if (!keys.length) continue;
+
+      const binds = Object.fromEntries(keys.map(k => [k, k === 'gst' ? normalizeGst(fields[k]) : fields[k]]));
+      operations.push({
+        sql: `
+          UPDATE order_items
+          SET ${keys.map(k => `${k} = :${k}`).join(', ')}, updated_at = SYSTIMESTAMP
+          WHERE id = :id AND order_id = ${ORDER_ID_BY_NUMBER} AND deleted_at IS NULL
+        `,
+        binds: { ...binds, id: line.id, order_no: orderNo },
+        // An unknown, foreign or deleted line id fails the whole edit
+        expectRows: true,
+        noRowsMessage: `Line ${line.id} is not a current line of this order`,
+        noRowsCode: 'UNKNOWN_LINE',
+      });
+    }
+
+    for (const line of linesToInsert) {
+      operations.push(insertLineOperation(orderNo, line));
+    }
+
+    const headerUpdates = pick(header, UPDATABLE_HEADER_FIELDS);
+    const headerKeys = Object.keys(headerUpdates);
+    if (headerKeys.length) {
+      const binds = Object.fromEntries(
+        headerKeys.map(k => [k, DATE_FIELDS.includes(k) ? toOracleDate(headerUpdates[k]) : headerUpdates[k]]),
+      );
+      operations.push({
+        sql: `UPDATE orders SET ${headerKeys.map(k => `${k} = :${k}`).join(', ')} WHERE order_no = :order_no`,
+        binds: { ...binds, order_no: orderNo },
+      });
+    }
+
+    operations.push(recalculateTotalsOperation(orderNo));
+
+    try {
+      await oracleService.executeTransaction(operations);
+    } catch (error) {
+      if (error.code === 'STALE_VERSION') throw await this.staleVersionError(orderNo);
+      throw error;
+    }
+
+    return {
+      order: await this.getOrderByNumber(orderNo),
+      operations: {
+        inserted: linesToInsert.length,
+        updated: linesToUpdate.length,
+        deleted: linesToDelete.length,
+      },
+    };
+  }
+
+  // 409 carrying the order as it is now, so the client can merge or reload
+  async staleVersionError(orderNo, current) {
+    const order = current || (await this.getOrderByNumber(orderNo));
+    return new ConflictError('Order was changed by someone else; reload it and try again', {
+      code: 'STALE_VERSION',
+      details: { currentVersion: order?.header.VERSION ?? null, current: order },
+    });
+  }
+
+  // Soft-deleted lines of an order, most recently deleted first
+  async getDeletedLines(orderNo) {
+    const result = await oracleService.executeQuery(
+      `SELECT * FROM order_items
+       WHERE order_id = ${ORDER_ID_BY_NUMBER} AND deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC, line_no`,
+      { order_no: orderNo },
+    );
+    return result.rows;
+  }
+
+  // Brings soft-deleted lines back with their stored values. Fails as a whole
+  // when any id is not a deleted line of the order, or when the order is no
+  // longer at expectedVersion.
+  async restoreLines(orderNo, lineIds, { expectedVersion } = {}) {
+    const operations = [
+      bumpVersionOperation(orderNo, expectedVersion),
+      ...lineIds.map(id => ({
+        sql: `
+          UPDATE order_items SET deleted_at = NULL, deleted_by = NULL, updated_at = SYSTIMESTAMP
+          WHERE id = :id AND order_id = ${ORDER_ID_BY_NUMBER} AND deleted_at IS NOT NULL
+        `,
+        binds: { id, order_no: orderNo },
+        expectRows: true,
+        noRowsMessage: `Line ${id} is not a deleted line of this order`,
+      })),
+      recalculateTotalsOperation(orderNo),
+    ];
+
+    try {
+      await oracleService.executeTransaction(operations);
+    } catch (error) {
+      if (error.code === 'STALE_VERSION') throw await this.staleVersionError(orderNo);
+      throw error;
+    }
+
+    return this.getOrderByNumber(orderNo);
+  }
+
+  // Retention: permanently removes lines deleted more than `days` days ago
+  async purgeDeletedLines(days) {
+    const result = await oracleService.executeQuery(
+      `DELETE FROM order_items
+       WHERE deleted_at IS NOT NULL AND deleted_at < SYSTIMESTAMP - NUMTODSINTERVAL(:days, 'DAY')`,
+      { days },
+      { autoCommit: true },
+    );
+    return result.rowsAffected || 0;
+  }
+}
+
+export default new OrderService();
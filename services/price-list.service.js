@@ -0,0 +1,141 @@
+import oracledb from 'oracledb';
+import OracleService from './oracle.service.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const oracleService = OracleService;
+
+// Columns an admin sets on a price rule
+export const PRICE_RULE_FIELDS = [
+  'customer_code',
+  'customer_type',
+  'item_code',
+  'parent_group',
+  'min_quantity',
+  'rate',
+  'disc_percentage',
+  'spl_disc_percentage',
+  'valid_from',
+  'valid_to',
+  'remarks',
+];
+
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+const startOfDay = value => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// Rule and context rows use Oracle's uppercase columns:
+// customer { CUSTOMER_CODE, CUSTOMER_TYPE }, item { ITEM_CODE, PARENT_GROUP }.
+// Validity dates are whole days, both ends included.
+export const ruleMatches = (rule, { customer, item, quantity = 0, date = new Date() }) => {
+  const day = startOfDay(date);
+
+  return (
+    (!rule.CUSTOMER_CODE || String(rule.CUSTOMER_CODE) === String(customer.CUSTOMER_CODE)) &&
+    (!rule.CUSTOMER_TYPE || sameText(rule.CUSTOMER_TYPE, customer.CUSTOMER_TYPE)) &&
+    (!rule.ITEM_CODE || String(rule.ITEM_CODE) === String(item.ITEM_CODE)) &&
+    (!rule.PARENT_GROUP || sameText(rule.PARENT_GROUP, item.PARENT_GROUP)) &&
+    Number(quantity) >= (Number(rule.MIN_QUANTITY) || 0) &&
+    (!rule.VALID_FROM || startOfDay(rule.VALID_FROM) <= day) &&
+    (!rule.VALID_TO || startOfDay(rule.VALID_TO) >= day)
+  );
+};
+
+// Most specific first: customer before customer type before everyone, then
+// item before parent group before all items, then the highest quantity
+// break, the latest valid_from and the newest rule
+const ruleRank = rule => [
+  rule.CUSTOMER_CODE ? 2 : rule.CUSTOMER_TYPE ? 1 : 0,
+  rule.ITEM_CODE ? 2 : rule.PARENT_GROUP ? 1 : 0,
+  Number(rule.MIN_QUANTITY) || 0,
+  rule.VALID_FROM ? new Date(rule.VALID_FROM).getTime() : 0,
+  Number(rule.ID) || 0,
+];
+
+const compareRanks = (a, b) => {
+  const rankA = ruleRank(a);
+  const rankB = ruleRank(b);
+  const index = rankA.findIndex((value, i) => value !== rankB[i]);
+  return index < 0 ? 0 : rankB[index] - rankA[index];
+};
+
+export const selectPriceRule = (rules, context) =>
+  rules.filter(rule => ruleMatches(rule, context)).sort(compareRanks)[0] || null;
+
+// Rate and discounts for a line. A matching rule sets them (its empty rate
+// keeps the stock_item rate, empty discounts are 0); without one the
+// stock_item rate applies with no discount, unless clientDiscounts (admins
+// entering an order) lets the line keep the discounts it was sent with.
+export const applyPriceRule = (line, item, rule, { clientDiscounts = false } = {}) =>
+  rule
+    ? {
+        rate: rule.RATE != null ? Number(rule.RATE) : item.RATE != null ? Number(item.RATE) : null,
+        disc_percentage: Number(rule.DISC_PERCENTAGE) || 0,
+        spl_disc_percentage: Number(rule.SPL_DISC_PERCENTAGE) || 0,
+        price_rule_id: rule.ID,
+      }
+    : {
+        rate: item.RATE != null ? Number(item.RATE) : null,
+        disc_percentage: clientDiscounts ? line.disc_percentage : 0,
+        spl_disc_percentage: clientDiscounts ? line.spl_disc_percentage : 0,
+        price_rule_id: null,
+      };
+
+const ruleBinds = rule => Object.fromEntries(PRICE_RULE_FIELDS.filter(f => rule[f] !== undefined).map(f => [f, rule[f]]));
+
+class PriceListService {
+  // Rules that can apply to the customer; items and dates are matched by selectPriceRule()
+  async getCustomerRules(customer) {
+    const result = await oracleService.executeQuery(
+      `SELECT * FROM price_rules
+       WHERE (customer_code IS NULL OR customer_code = :customer_code)
+         AND (customer_type IS NULL OR LOWER(customer_type) = LOWER(:customer_type))`,
+      { customer_code: String(customer.CUSTOMER_CODE), customer_type: customer.CUSTOMER_TYPE || '' },
+    );
+    return result.rows;
+  }
+
+  async getRule(id) {
+    const result = await oracleService.executeQuery('SELECT * FROM price_rules WHERE id = :1', [id]);
+    return result.rows[0] || null;
+  }
+
+  async createRule(rule, { createdBy } = {}) {
+    const binds = ruleBinds(rule);
+    const columns = [...Object.keys(binds), 'created_by'];
+
+    const result = await oracleService.executeQuery(
+      `INSERT INTO price_rules (${columns.join(', ')})
+       VALUES (${columns.map(c => `:${c}`).join(', ')})
+       RETURNING id INTO :id`,
+      { ...binds, created_by: createdBy || null, id: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER } },
+      { autoCommit: true },
+    );
+    return this.getRule(result.outBinds.id[0]);
+  }
+
+  // Replaces every field, so a rule cannot end up targeting both a customer and a customer type
+  async replaceRule(id, rule) {
+    const binds = Object.fromEntries(PRICE_RULE_FIELDS.map(f => [f, rule[f] ?? null]));
+    binds.min_quantity ??= 0;
+    const assignments = Object.keys(binds).map(column => `${column} = :${column}`);
+
+    const result = await oracleService.executeQuery(
+      `UPDATE price_rules SET ${[...assignments, 'updated_at = SYSTIMESTAMP'].join(', ')} WHERE id = :id`,
+      { ...binds, id },
+      { autoCommit: true },
+    );
+    if (!result.rowsAffected) throw new NotFoundError('Price rule not found');
+    return this.getRule(id);
+  }
+
+  async deleteRule(id) {
+    const result = await oracleService.executeQuery('DELETE FROM price_rules WHERE id = :1', [id], { autoCommit: true });
+    if (!result.rowsAffected) throw new NotFoundError('Price rule not found');
+  }
+}
+
+export default new PriceListService();
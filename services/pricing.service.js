@@ -0,0 +1,225 @@
+import OracleService from './oracle.service.js';
+import priceListService, { selectPriceRule, applyPriceRule } from './price-list.service.js';
+import { ValidationError } from '../utils/errors.js';
+
+const oracleService = OracleService;
+
+// Client values may differ from ours by rounding only
+const TOLERANCE = 0.011;
+
+const LINE_CHECK_FIELDS = [
+  'rate',
+  'disc_percentage',
+  'spl_disc_percentage',
+  'gst',
+  'gross_amount',
+  'disc_amount',
+  'spl_disc_amount',
+  'amount',
+  'net_rate',
+  'cgst',
+  'sgst',
+  'igst',
+];
+
+const TOTAL_CHECK_FIELDS = [
+  'total_quantity',
+  'total_amount_without_tax',
+  'total_cgst_amount',
+  'total_sgst_amount',
+  'total_igst_amount',
+  'total_amount',
+];
+
+export const roundMoney = value => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+// Accepts 18, '18', '18 %', '18%' or ' 150.00 '; the sign is kept so
+// negative input can be rejected
+export const parseNumber = value => {
+  if (value == null || value === '') return 0;
+  const parsed = parseFloat(String(value).replace(/[^\d.-]/g, ''));
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const normalizeState = state => String(state || '').trim().toLowerCase();
+
+// Unknown or not-applicable customer states are billed as intra-state
+export const isIntraState = (customerState, homeState) => {
+  const customer = normalizeState(customerState);
+  if (!customer || customer === 'not_applicable') return true;
+  return customer === normalizeState(homeState);
+};
+
+// gross = qty x rate, discount then special discount on the remainder,
+// amount is the taxable value and GST is split CGST+SGST or charged as IGST
+export const priceLine = (line, { rate, gst }, { intraState }) => {
+  const quantity = Number(line.quantity) || 0;
+  const discPercentage = parseNumber(line.disc_percentage);
+  const splDiscPercentage = parseNumber(line.spl_disc_percentage);
+  const gstRate = parseNumber(gst);
+
+  const gross_amount = roundMoney(quantity * rate);
+  const disc_amount = roundMoney((gross_amount * discPercentage) / 100);
+  const spl_disc_amount = roundMoney(((gross_amount - disc_amount) * splDiscPercentage) / 100);
+  const amount = roundMoney(gross_amount - disc_amount - spl_disc_amount);
+  const net_rate = quantity ? roundMoney(amount / quantity) : 0;
+
+  const tax = roundMoney((amount * gstRate) / 100);
+  const cgst = intraState ? roundMoney(tax / 2) : 0;
+  const sgst = intraState ? roundMoney(tax - cgst) : 0;
+  const igst = intraState ? 0 : tax;
+
+  return {
+    ...line,
+    quantity,
+    rate: roundMoney(rate),
+    gst: gstRate,
+    disc_percentage: discPercentage,
+    spl_disc_percentage: splDiscPercentage,
+    gross_amount,
+    disc_amount,
+    spl_disc_amount,
+    amount,
+    net_rate,
+    cgst,
+    sgst,
+    igst,
+  };
+};
+
+export const summarizeLines = lines => {
+  const sum = field => roundMoney(lines.reduce((acc, line) => acc + (Number(line[field]) || 0), 0));
+  const total_amount_without_tax = sum('amount');
+  const total_cgst_amount = sum('cgst');
+  const total_sgst_amount = sum('sgst');
+  const total_igst_amount = sum('igst');
+
+  return {
+    total_quantity: lines.reduce((acc, line) => acc + (Number(line.quantity) || 0), 0),
+    total_amount_without_tax,
+    total_cgst_amount,
+    total_sgst_amount,
+    total_igst_amount,
+    total_amount: roundMoney(
+      total_amount_without_tax + total_cgst_amount + total_sgst_amount + total_igst_amount,
+    ),
+  };
+};
+
+// Quantity and discount problems of a line about to be priced, or null
+export const lineInputError = line => {
+  if (!(parseNumber(line.quantity) > 0)) return 'Quantity must be greater than 0';
+  const discounts = [line.disc_percentage, line.spl_disc_percentage].map(parseNumber);
+  if (discounts.some(value => value < 0 || value > 100)) return 'Discounts must be between 0 and 100';
+  return null;
+};
+
+// Fields the client sent that do not match the server computation
+export const findMismatches = (client, computed, fields) =>
+  fields
+    .filter(field => client?.[field] != null && client[field] !== '')
+    .filter(field => Math.abs(parseNumber(client[field]) - Number(computed[field])) > TOLERANCE)
+    .map(field => ({ field, client: client[field], expected: computed[field] }));
+
+class PricingService {
+  get homeState() {
+    return process.env.COMPANY_HOME_STATE || 'Maharashtra';
+  }
+
+  // 'overwrite' silently replaces client values, 'reject' refuses the order
+  get mismatchPolicy() {
+    return process.env.PRICING_MISMATCH_POLICY === 'reject' ? 'reject' : 'overwrite';
+  }
+
+  async getCustomer(customerCode) {
+    const result = await oracleService.executeQuery(
+      'SELECT customer_code, customer_type, state FROM customer WHERE customer_code = :1',
+      [customerCode],
+    );
+    return result.rows[0] || null;
+  }
+
+  async getStockItems(itemCodes) {
+    const codes = [...new Set(itemCodes.filter(Boolean).map(String))];
+    if (!codes.length) return new Map();
+
+    const binds = codes.map((_, i) => `:${i + 1}`).join(', ');
+    const result = await oracleService.executeQuery(
+      `SELECT item_code, stock_item_name, parent_group, hsn, gst, rate, uom FROM stock_item WHERE item_code IN (${binds})`,
+      codes,
+    );
+    return new Map(result.rows.map(row => [String(row.ITEM_CODE), row]));
+  }
+
+  // Recompute every line from its price rule (or the stock_item rate), the
+  // item GST and the customer's state, with the rules valid on `date`.
+  // Discounts come from the rule; clientDiscounts lets lines without one
+  // keep the discounts they carry (admins only).
+  // Returns priced lines, order totals, per-line errors and client mismatches.
+  async priceOrder({ customerCode, lines, clientTotals, date = new Date(), clientDiscounts = false }) {
+    const [customer, items] = await Promise.all([
+      this.getCustomer(customerCode),
+      this.getStockItems(lines.map(line => line.item_code)),
+    ]);
+    if (!customer) {
+      throw new ValidationError('Customer not found', {
+        code: 'UNKNOWN_CUSTOMER',
+        details: [{ field: 'customer_code', error: 'does not exist' }],
+      });
+    }
+
+    const rules = await priceListService.getCustomerRules(customer);
+    const intraState = isIntraState(customer.STATE, this.homeState);
+
+    const errors = [];
+    const mismatches = [];
+
+    const priced = lines.map((line, index) => {
+      const item = items.get(String(line.item_code));
+      if (!item) {
+        errors.push({ line: index + 1, item_code: line.item_code, error: 'Unknown item code' });
+        return line;
+      }
+
+      const rule = selectPriceRule(rules, { customer, item, quantity: line.quantity, date });
+      const { rate, ...price } = applyPriceRule(line, item, rule, { clientDiscounts });
+      if (rate == null) {
+        errors.push({ line: index + 1, item_code: line.item_code, error: 'Item has no rate configured' });
+        return line;
+      }
+
+      const inputError = lineInputError({ ...line, ...price });
+      if (inputError) {
+        errors.push({ line: index + 1, item_code: line.item_code, error: inputError });
+        return line;
+      }
+
+      const pricedLine = priceLine(
+        {
+          ...line,
+          ...price,
+          item_name: item.STOCK_ITEM_NAME ?? line.item_name,
+          hsn: item.HSN ?? line.hsn,
+          uom: item.UOM ?? line.uom,
+        },
+        { rate, gst: item.GST },
+        { intraState },
+      );
+
+      findMismatches(line, pricedLine, LINE_CHECK_FIELDS).forEach(mismatch =>
+        mismatches.push({ line: index + 1, item_code: line.item_code, ...mismatch }),
+      );
+
+      return pricedLine;
+    });
+
+    const totals = summarizeLines(priced);
+    findMismatches(clientTotals, totals, TOTAL_CHECK_FIELDS).forEach(mismatch =>
+      mismatches.push({ line: null, ...mismatch }),
+    );
+
+    return { lines: priced, totals, intraState, errors, mismatches };
+  }
+}
+
+export default new PricingService();
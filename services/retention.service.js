@@ -0,0 +1,46 @@
+import orderService from './order.service.js';
+import idempotencyService from './idempotency.service.js';
+import { ORDER_LINE_RETENTION_DAYS, ORDER_LINE_PURGE_INTERVAL_HOURS } from '../config/retention.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'retention' });
+
+class RetentionService {
+  constructor() {
+    this.timer = null;
+  }
+
+  async purgeOrderLines(days = ORDER_LINE_RETENTION_DAYS) {
+    const purged = await orderService.purgeDeletedLines(days);
+    log.info('Purged deleted order lines', { purged, days });
+    return { purged, days };
+  }
+
+  async purgeIdempotencyKeys() {
+    const purged = await idempotencyService.purgeExpired();
+    log.info('Purged expired idempotency keys', { purged });
+    return { purged };
+  }
+
+  startSchedule(intervalHours = ORDER_LINE_PURGE_INTERVAL_HOURS) {
+    if (!intervalHours || this.timer) return false;
+
+    const tick = () => {
+      this.purgeOrderLines().catch(error => log.error('Order line purge failed', { error }));
+      this.purgeIdempotencyKeys().catch(error => log.error('Idempotency key purge failed', { error }));
+    };
+
+    this.timer = setInterval(tick, intervalHours * 60 * 60 * 1000);
+    this.timer.unref();
+
+    log.info('Purge scheduled', { interval_hours: intervalHours, retention_days: ORDER_LINE_RETENTION_DAYS });
+    return true;
+  }
+
+  stopSchedule() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default new RetentionService();
@@ -0,0 +1,150 @@
+import OracleService from './oracle.service.js';
+
+const oracleService = OracleService;
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 50;
+export const MAX_SEARCH_TOKENS = 5;
+
+// Upper-cased with everything but letters and digits removed, so that
+// '200 NB', '200-nb' and '200NB' all compare equal
+export const normalizeSearchText = value => String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Same normalization in SQL; must stay in step with the indexes in
+// 004_search_indexes.sql and 017_customer_mobile_search_index.sql
+const searchKey = column => `REGEXP_REPLACE(UPPER(${column}), '[^A-Z0-9]', '')`;
+
+// Whitespace separates tokens; each token must appear somewhere in the record
+export const tokenizeQuery = q =>
+  String(q ?? '')
+    .split(/\s+/)
+    .map(normalizeSearchText)
+    .filter(Boolean)
+    .slice(0, MAX_SEARCH_TOKENS);
+
+export const parseSearchLimit = value => {
+  if (value === undefined || value === '') return DEFAULT_SEARCH_LIMIT;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_SEARCH_LIMIT) : null;
+};
+
+// Stock items: code, name and HSN
+export const STOCK_ITEM_SEARCH = {
+  table: 'stock_item',
+  select: 'item_code, stock_item_name, parent_group, uom, gst, hsn, rate',
+  code: 'item_code',
+  name: 'stock_item_name',
+  extra: ['hsn'],
+  orderBy: 'stock_item_name',
+};
+
+// Customers: code, name and mobile number
+export const CUSTOMER_SEARCH = {
+  table: 'customer',
+  select: 'customer_code, customer_name, customer_type, state, mobile_number, email, status',
+  code: 'customer_code',
+  name: 'customer_name',
+  extra: ['mobile_number'],
+  orderBy: 'customer_name',
+};
+
+const searchColumns = config => [config.code, config.name, ...(config.extra || [])];
+
+// Rank buckets, best first: exact code, code prefix, name prefix, other field
+// prefix, then any field starting with one of the tokens. Anything else
+// (tokens only found mid-field) ranks after them. `on` is what the column is
+// compared with: the whole query or each token.
+const rankRules = config => [
+  { columns: [config.code], exact: true, on: 'q' },
+  { columns: [config.code], on: 'q' },
+  { columns: [config.name], on: 'q' },
+  { columns: config.extra || [], on: 'q' },
+  { columns: searchColumns(config), on: 'tokens' },
+];
+
+// The filter and rank of buildSearchQuery in JS, for a record keyed by column name
+export const matchesQuery = (config, record, q) => {
+  const haystack = searchColumns(config)
+    .map(column => normalizeSearchText(record[column]))
+    .join('|');
+  return tokenizeQuery(q).every(token => haystack.includes(token));
+};
+
+export const matchRank = (config, record, q) => {
+  const tokens = tokenizeQuery(q);
+  const rules = rankRules(config);
+  const rank = rules.findIndex(rule => {
+    const targets = rule.on === 'q' ? [tokens.join('')] : tokens;
+    return rule.columns.some(column => {
+      const value = normalizeSearchText(record[column]);
+      return targets.some(target => (rule.exact ? value === target : value.startsWith(target)));
+    });
+  });
+  return rank < 0 ? rules.length : rank;
+};
+
+// A record is found when every token appears somewhere in its searched
+// columns, so "200NB" finds "MS PIPE 200 NB". Prefix matches only decide the
+// order (see rankRules); ties fall back to name order.
+export const buildSearchQuery = (config, q, limit = DEFAULT_SEARCH_LIMIT) => {
+  const tokens = tokenizeQuery(q);
+  if (!tokens.length) return null;
+
+  const haystack = searchColumns(config)
+    .map(column => `NVL(${searchKey(column)}, '')`)
+    .join(` || '|' || `);
+
+  const binds = { q: tokens.join(''), limit };
+  tokens.forEach((token, i) => {
+    binds[`t${i}`] = token;
+  });
+
+  const tokenClauses = tokens.map((token, i) => `INSTR(${haystack}, :t${i}) > 0`);
+
+  const rules = rankRules(config);
+  const rankCases = rules
+    .map((rule, rank) => {
+      const targets = rule.on === 'q' ? [':q'] : tokens.map((token, i) => `:t${i}`);
+      const conditions = rule.columns.flatMap(column =>
+        targets.map(target => `${searchKey(column)} ${rule.exact ? `= ${target}` : `LIKE ${target} || '%'`}`),
+      );
+      return conditions.length ? `WHEN ${conditions.join(' OR ')} THEN ${rank}` : null;
+    })
+    .filter(Boolean);
+
+  const sql = `
+    SELECT * FROM (
+      SELECT ${config.select},
+        CASE
+          ${rankCases.join('\n          ')}
+          ELSE ${rules.length}
+        END AS match_rank
+      FROM ${config.table}
+      WHERE ${config.where ? `${config.where} AND ` : ''}${tokenClauses.join(' AND ')}
+    )
+    ORDER BY match_rank, ${config.orderBy}
+    FETCH FIRST :limit ROWS ONLY
+  `;
+
+  return { sql, binds, tokens };
+};
+
+class SearchService {
+  async search(config, q, limit) {
+    const query = buildSearchQuery(config, q, limit);
+    if (!query) return [];
+
+    const result = await oracleService.executeQuery(query.sql, query.binds);
+    return result.rows;
+  }
+
+  searchStockItems(q, limit) {
+    return this.search(STOCK_ITEM_SEARCH, q, limit);
+  }
+
+  searchCustomers(q, limit) {
+    return this.search(CUSTOMER_SEARCH, q, limit);
+  }
+}
+
+export default new SearchService();
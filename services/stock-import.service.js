@@ -0,0 +1,173 @@
+import masterDataService from './master-data.service.js';
+import { parseCsv } from './import/csv.js';
+import { readXlsx, XLSX_LIMIT_EXCEEDED } from './import/xlsx.js';
+import { BadRequestError } from '../utils/errors.js';
+
+export const IMPORT_FORMATS = ['csv', 'xlsx'];
+
+// Normalised header -> stock_item column. Headers are matched lowercase with
+// spaces and dashes as underscores, so 'GST%', 'HSN Code' and 'Selling_rate'
+// from the stock_item.csv export all resolve; unknown columns such as S.No
+// are ignored.
+export const STOCK_IMPORT_HEADERS = {
+  item_code: 'item_code',
+  code: 'item_code',
+  stock_item_name: 'stock_item_name',
+  item_name: 'stock_item_name',
+  name: 'stock_item_name',
+  parent_group: 'parent_group',
+  group: 'parent_group',
+  hsn_code: 'hsn',
+  hsn: 'hsn',
+  'gst%': 'gst',
+  gst: 'gst',
+  gst_rate: 'gst',
+  selling_rate: 'rate',
+  rate: 'rate',
+  uom: 'uom',
+  unit: 'uom',
+};
+
+const MAX_LENGTHS = { item_code: 50, stock_item_name: 255, parent_group: 255, hsn: 20, uom: 30 };
+
+const normalizeHeader = header =>
+  String(header ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+
+// ' 150.00 ' -> 150, '18 %' -> 18, '1,250.50' -> 1250.5; '' -> null;
+// anything else -> NaN
+export const parseImportNumber = value => {
+  const text = String(value ?? '').replace(/[\s,]/g, '').replace(/%$/, '');
+  if (text === '') return null;
+  return /^-?(\d+(\.\d*)?|\.\d+)$/.test(text) ? Number(text) : NaN;
+};
+
+const isBlankRow = row => row.every(cell => String(cell ?? '').trim() === '');
+
+// Turns sheet rows (the first non-blank one being the header) into stock_item
+// records. Every problem is reported as { row, item_code, field, error } with
+// row being the line of the file; rows with problems are left out. Blank
+// cells are left out of the record, so they keep the stored value.
+export const parseStockRows = rows => {
+  const headerIndex = rows.findIndex(row => !isBlankRow(row));
+  if (headerIndex < 0) throw new BadRequestError('The file is empty');
+
+  const columns = rows[headerIndex].map(header => STOCK_IMPORT_HEADERS[normalizeHeader(header)] || null);
+  if (!columns.includes('item_code') || !columns.includes('stock_item_name')) {
+    throw new BadRequestError('The header row needs Item_Code and Stock_Item_Name columns', {
+      code: 'IMPORT_HEADER_INVALID',
+    });
+  }
+
+  const records = [];
+  const errors = [];
+  const seen = new Map();
+
+  rows.slice(headerIndex + 1).forEach((row, offset) => {
+    if (isBlankRow(row)) return;
+
+    const line = headerIndex + offset + 2;
+    const raw = {};
+    columns.forEach((field, index) => {
+      if (field && raw[field] === undefined) raw[field] = String(row[index] ?? '').trim();
+    });
+
+    const record = {};
+    const rowErrors = [];
+    const fail = (field, error) => rowErrors.push({ row: line, item_code: raw.item_code || null, field, error });
+
+    Object.entries(raw).forEach(([field, value]) => {
+      if (value === '') return;
+
+      if (field === 'gst' || field === 'rate') {
+        const number = parseImportNumber(value);
+        if (Number.isNaN(number)) return fail(field, `'${value}' is not a number`);
+        if (number < 0) return fail(field, 'must not be negative');
+        if (field === 'gst' && number > 100) return fail(field, 'must be at most 100');
+        record[field] = number;
+        return;
+      }
+
+      if (value.length > MAX_LENGTHS[field]) return fail(field, `must be at most ${MAX_LENGTHS[field]} characters`);
+      record[field] = value;
+    });
+
+    if (!raw.item_code) fail('item_code', 'is required');
+    if (!raw.stock_item_name) fail('stock_item_name', 'is required');
+
+    if (record.item_code && seen.has(record.item_code)) {
+      fail('item_code', `duplicates row ${seen.get(record.item_code)}`);
+    } else if (record.item_code) {
+      seen.set(record.item_code, line);
+    }
+
+    if (rowErrors.length) {
+      errors.push(...rowErrors);
+    } else {
+      records.push({ row: line, record });
+    }
+  });
+
+  return { records, errors };
+};
+
+// xlsx files are zip archives
+export const detectFormat = buffer => (buffer.subarray(0, 4).toString('binary') === 'PK\x03\x04' ? 'xlsx' : 'csv');
+
+class StockImportService {
+  async readRows(buffer, format = detectFormat(buffer)) {
+    if (format === 'csv') return parseCsv(buffer.toString('utf8'));
+
+    try {
+      return await readXlsx(buffer);
+    } catch (error) {
+      if (error.code === XLSX_LIMIT_EXCEEDED) {
+        throw new BadRequestError(error.message, { code: 'IMPORT_FILE_TOO_LARGE', cause: error });
+      }
+      throw new BadRequestError('The file could not be read as an XLSX workbook', {
+        code: 'IMPORT_FILE_INVALID',
+        cause: error,
+      });
+    }
+  }
+
+  // Upserts the valid rows of a stock item sheet into stock_item through the
+  // master data upsert. With dryRun (the default) nothing is written and the
+  // result previews what would be inserted or changed.
+  async importStockItems(buffer, { format, dryRun = true } = {}) {
+    const rows = await this.readRows(buffer, format);
+    const { records, errors } = parseStockRows(rows);
+
+    const result = await masterDataService.upsert(
+      'stock_item',
+      records.map(entry => entry.record),
+      { dryRun },
+    );
+
+    const rowOf = index => records[index]?.row ?? null;
+    const rowOfKey = key => records.find(entry => entry.record.item_code === key)?.row ?? null;
+    const invalid = new Set(errors.map(error => error.row)).size;
+
+    return {
+      dry_run: dryRun,
+      counts: {
+        rows: records.length + invalid,
+        valid: records.length,
+        invalid,
+        inserted: result.counts.inserted,
+        updated: result.counts.updated,
+        unchanged: result.counts.unchanged,
+        failed: result.counts.failed,
+      },
+      errors: [
+        ...errors,
+        ...result.errors.map(error => ({ row: rowOf(error.index), item_code: error.key ?? null, field: null, error: error.error })),
+      ],
+      changes: result.changes.map(change => ({ row: rowOfKey(change.key), ...change })),
+    };
+  }
+}
+
+export default new StockImportService();
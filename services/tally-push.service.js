@@ -0,0 +1,85 @@
+import OracleService from './oracle.service.js';
+import orderService from './order.service.js';
+import tallyClient from './tally/client.js';
+import { buildSalesOrderXml } from './tally/vouchers.js';
+import { parseImportResponse } from './tally/parsers.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { TALLY_PUSH_CLAIM_MINUTES } from '../config/tally.js';
+
+const oracleService = OracleService;
+
+// Orders that have been approved, whatever happened to them since
+export const PUSHABLE_STATUSES = ['approved', 'dispatched', 'invoiced'];
+
+// { status: 'pushed', voucherId } or { status: 'failed', error } from a parsed import response
+export const pushOutcome = response => {
+  if (response.created > 0 && !response.errors && !response.exceptions) {
+    return { status: 'pushed', voucherId: response.voucherId, error: null };
+  }
+
+  const reasons = response.lineErrors.length
+    ? response.lineErrors
+    : [`Tally created ${response.created} vouchers with ${response.errors} errors`];
+  return { status: 'failed', voucherId: null, error: reasons.join('; ') };
+};
+
+class TallyPushService {
+  // Marks the push as in progress; only one push of an order can hold it.
+  // A claim older than TALLY_PUSH_CLAIM_MINUTES was left by a process that
+  // died mid-push and is taken over.
+  async claim(orderNo, minutes = TALLY_PUSH_CLAIM_MINUTES) {
+    const statusBinds = Object.fromEntries(PUSHABLE_STATUSES.map((status, i) => [`s${i}`, status]));
+    const result = await oracleService.executeQuery(
+      `UPDATE orders
+       SET tally_push_status = 'pending', tally_push_attempts = NVL(tally_push_attempts, 0) + 1,
+           tally_push_error = NULL, tally_push_claimed_at = SYSTIMESTAMP
+       WHERE order_no = :order_no
+         AND status IN (${Object.keys(statusBinds).map(name => `:${name}`).join(', ')})
+         AND (tally_push_status IS NULL OR tally_push_status = 'failed'
+              OR (tally_push_status = 'pending'
+                  AND (tally_push_claimed_at IS NULL
+                       OR tally_push_claimed_at < SYSTIMESTAMP - NUMTODSINTERVAL(:minutes, 'MINUTE'))))`,
+      { order_no: orderNo, minutes, ...statusBinds },
+      { autoCommit: true },
+    );
+    return result.rowsAffected > 0;
+  }
+
+  async record(orderNo, { status, voucherId, error }) {
+    await oracleService.executeQuery(
+      `UPDATE orders
+       SET tally_push_status = :status, tally_voucher_id = :voucher_id, tally_push_error = :error,
+           tally_pushed_at = CASE WHEN :status = 'pushed' THEN SYSTIMESTAMP ELSE tally_pushed_at END
+       WHERE order_no = :order_no`,
+      { order_no: orderNo, status, voucher_id: voucherId, error: error ? error.slice(0, 4000) : null },
+      { autoCommit: true },
+    );
+  }
+
+  // Pushes an approved order to Tally and stores the outcome on the order.
+  // Throws NotFoundError/ConflictError when the order cannot be pushed right now.
+  async pushOrder(orderNo) {
+    if (!(await this.claim(orderNo))) {
+      const header = await orderService.getHeader(orderNo);
+      if (!header) throw new NotFoundError('Order not found');
+      if (!PUSHABLE_STATUSES.includes(header.STATUS)) {
+        throw new ConflictError(`Only approved orders can be pushed to Tally (order is ${header.STATUS})`);
+      }
+      throw new ConflictError(`Order is already ${header.TALLY_PUSH_STATUS === 'pushed' ? 'in Tally' : 'being pushed'}`);
+    }
+
+    let outcome;
+    try {
+      const order = await orderService.getOrderByNumber(orderNo);
+      const response = await tallyClient.post(buildSalesOrderXml(order));
+      outcome = pushOutcome(await parseImportResponse(response));
+    } catch (error) {
+      outcome = { status: 'failed', voucherId: null, error: error.message };
+    }
+
+    await this.record(orderNo, outcome);
+    return { order_no: orderNo, ...outcome };
+  }
+}
+
+export default new TallyPushService();
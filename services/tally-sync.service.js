@@ -0,0 +1,284 @@
+import oracledb from 'oracledb';
+import OracleService from './oracle.service.js';
+import masterDataService from './master-data.service.js';
+import inventoryService from './inventory.service.js';
+import tallyClient from './tally/client.js';
+import { customerExportRequest, itemExportRequest, stockSummaryRequest } from './tally/requests.js';
+import { parseTallyCustomers, parseTallyItems, parseTallyStockBalances } from './tally/parsers.js';
+import { ConflictError } from '../utils/errors.js';
+import {
+  TALLY_SYNC_INTERVAL_MINUTES,
+  TALLY_SYNC_ON_START,
+  TALLY_SYNC_STOCK,
+  TALLY_SYNC_LOCK_MINUTES,
+} from '../config/tally.js';
+import { STOCK_DEFAULT_GODOWN } from '../config/inventory.js';
+import logger from '../utils/logger.js';
+import metrics from '../utils/metrics.js';
+
+const oracleService = OracleService;
+const log = logger.child({ component: 'tally-sync' });
+
+const syncRuns = metrics.counter('tally_sync_runs_total', 'Finished Tally sync runs by status', ['status']);
+const syncErrors = metrics.counter('tally_sync_errors_total', 'Failed records or requests in Tally syncs', ['master']);
+
+// status -> unix time of the last run that finished with it
+const lastRunAt = {};
+metrics.gauge('tally_sync_last_run_timestamp_seconds', 'When the last Tally sync run with each status finished', () =>
+  Object.entries(lastRunAt).map(([status, value]) => ({ labels: { status }, value })),
+);
+
+// Errors kept per run; the counts still cover every record
+const MAX_LOGGED_ERRORS = 200;
+
+// Tally export -> master data table
+export const TALLY_MASTERS = {
+  customers: { target: 'customer', request: customerExportRequest, parse: parseTallyCustomers },
+  items: { target: 'stock_item', request: itemExportRequest, parse: parseTallyItems },
+};
+
+const emptyCounts = () => ({ received: 0, inserted: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0 });
+const emptyStockCounts = () => ({ received: 0, updated: 0, adjusted: 0, skipped: 0, failed: 0 });
+
+// success: no errors; failed: errors and nothing written; partial: anything in between
+export const runStatus = (results, errors) => {
+  if (!errors.length) return 'success';
+  const written = Object.values(results).some(counts => (counts.inserted || 0) + (counts.updated || 0) > 0);
+  return written ? 'partial' : 'failed';
+};
+
+class TallySyncService {
+  constructor() {
+    this.running = false;
+    this.timer = null;
+  }
+
+  get isRunning() {
+    return this.running;
+  }
+
+  // Pull one master type from Tally and apply only what changed; the
+  // per-record diffs are collected for the run's change report
+  async syncMaster(name, errors, changes) {
+    const master = TALLY_MASTERS[name];
+
+    let records;
+    try {
+      records = await master.parse(await tallyClient.post(master.request()));
+    } catch (error) {
+      errors.push({ master: name, error: `Tally export failed: ${error.message}` });
+      return emptyCounts();
+    }
+
+    const result = await masterDataService.upsert(master.target, records);
+    result.errors.forEach(error => errors.push({ ...error, master: name }));
+    result.changes.forEach(change => changes.push({ master: name, ...change }));
+    return result.counts;
+  }
+
+  // Closing stock per godown into stock_balances, after the item masters so
+  // new items are known
+  async syncStock(runId, errors) {
+    let balances;
+    try {
+      balances = await parseTallyStockBalances(await tallyClient.post(stockSummaryRequest()), {
+        defaultGodown: STOCK_DEFAULT_GODOWN,
+      });
+    } catch (error) {
+      errors.push({ master: 'stock', error: `Tally export failed: ${error.message}` });
+      return emptyStockCounts();
+    }
+
+    try {
+      return await inventoryService.applyTallyBalances(balances, { runId });
+    } catch (error) {
+      errors.push({ master: 'stock', error: error.message });
+      return { ...emptyStockCounts(), received: balances.length, failed: balances.length };
+    }
+  }
+
+  // Closes runs whose process died mid-sync, so they stop holding the lock
+  async expireAbandonedRuns(minutes = TALLY_SYNC_LOCK_MINUTES) {
+    const result = await oracleService.executeQuery(
+      `UPDATE tally_sync_log
+       SET status = 'failed', finished_at = SYSTIMESTAMP, errors = :errors
+       WHERE status = 'running' AND started_at < SYSTIMESTAMP - NUMTODSINTERVAL(:minutes, 'MINUTE')`,
+      { minutes, errors: JSON.stringify([{ master: null, error: `Abandoned after ${minutes} minutes` }]) },
+      { autoCommit: true },
+    );
+    return result.rowsAffected || 0;
+  }
+
+  // The 'running' row is the cross-instance lock: tally_sync_log_running_ux
+  // (018_tally_sync_single_run.sql) admits only one at a time
+  async createRun(trigger, requestedBy) {
+    await this.expireAbandonedRuns();
+    try {
+      const result = await oracleService.executeQuery(
+        `INSERT INTO tally_sync_log (trigger_source, requested_by, status)
+         VALUES (:trigger_source, :requested_by, 'running')
+         RETURNING id INTO :id`,
+        {
+          trigger_source: trigger,
+          requested_by: requestedBy || null,
+          id: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
+        },
+        { autoCommit: true },
+      );
+      return result.outBinds.id[0];
+    } catch (error) {
+      if (error.errorNum === 1 && /TALLY_SYNC_LOG_RUNNING_UX/i.test(error.message)) {
+        throw new ConflictError('A Tally sync is already running', { code: 'SYNC_RUNNING', cause: error });
+      }
+      throw error;
+    }
+  }
+
+  async finishRun(runId, status, results, errors, changes) {
+    const { customers = emptyCounts(), items = emptyCounts(), stock = emptyStockCounts() } = results;
+    const changeOperations = changes.map(change => ({
+      sql: `INSERT INTO tally_sync_changes (run_id, master, record_key, action, changes)
+            VALUES (:run_id, :master, :record_key, :action, :changes)`,
+      binds: {
+        run_id: runId,
+        master: change.master,
+        record_key: change.key,
+        action: change.action,
+        changes: JSON.stringify(change.changes),
+      },
+    }));
+
+    await oracleService.executeTransaction([
+      ...changeOperations,
+      {
+        sql: `UPDATE tally_sync_log SET
+                status = :status, finished_at = SYSTIMESTAMP,
+                customers_received = :c_received, customers_inserted = :c_inserted, customers_updated = :c_updated,
+                customers_unchanged = :c_unchanged, customers_skipped = :c_skipped, customers_failed = :c_failed,
+                items_received = :i_received, items_inserted = :i_inserted, items_updated = :i_updated,
+                items_unchanged = :i_unchanged, items_skipped = :i_skipped, items_failed = :i_failed,
+                stock_received = :s_received, stock_updated = :s_updated, stock_adjusted = :s_adjusted,
+                stock_skipped = :s_skipped, stock_failed = :s_failed,
+                errors = :errors
+              WHERE id = :id`,
+        binds: {
+          id: runId,
+          status,
+          c_received: customers.received,
+          c_inserted: customers.inserted,
+          c_updated: customers.updated,
+          c_unchanged: customers.unchanged,
+          c_skipped: customers.skipped,
+          c_failed: customers.failed,
+          i_received: items.received,
+          i_inserted: items.inserted,
+          i_updated: items.updated,
+          i_unchanged: items.unchanged,
+          i_skipped: items.skipped,
+          i_failed: items.failed,
+          s_received: stock.received,
+          s_updated: stock.updated,
+          s_adjusted: stock.adjusted,
+          s_skipped: stock.skipped,
+          s_failed: stock.failed,
+          errors: errors.length ? JSON.stringify(errors.slice(0, MAX_LOGGED_ERRORS)) : null,
+        },
+      },
+    ]);
+  }
+
+  async execute(runId) {
+    const results = {};
+    const errors = [];
+    const changes = [];
+    try {
+      results.customers = await this.syncMaster('customers', errors, changes);
+      results.items = await this.syncMaster('items', errors, changes);
+      if (TALLY_SYNC_STOCK) results.stock = await this.syncStock(runId, errors);
+    } catch (error) {
+      errors.push({ master: null, error: error.message });
+    }
+
+    const status = runStatus(results, errors);
+    try {
+      await this.finishRun(runId, status, results, errors, changes);
+    } catch (error) {
+      log.error('Tally sync run could not be recorded', { run_id: runId, error });
+    } finally {
+      this.running = false;
+    }
+
+    syncRuns.inc({ status });
+    errors.forEach(error => syncErrors.inc({ master: error.master || 'run' }));
+    lastRunAt[status] = Math.floor(Date.now() / 1000);
+
+    log.info('Tally sync run finished', { run_id: runId, status, errors: errors.length });
+    return { id: runId, status, results, errors, changes };
+  }
+
+  // Records the run and starts it; `done` resolves with the outcome.
+  // Throws ConflictError when a run is already in progress here or on
+  // another instance.
+  async start({ trigger = 'manual', requestedBy } = {}) {
+    if (this.running) {
+      throw new ConflictError('A Tally sync is already running', { code: 'SYNC_RUNNING' });
+    }
+
+    this.running = true;
+    let runId;
+    try {
+      runId = await this.createRun(trigger, requestedBy);
+    } catch (error) {
+      this.running = false;
+      throw error;
+    }
+
+    return { runId, done: this.execute(runId) };
+  }
+
+  async run(options) {
+    const { done } = await this.start(options);
+    return done;
+  }
+
+  // Scheduled runs skip a tick rather than queue behind a slow sync
+  startSchedule(intervalMinutes = TALLY_SYNC_INTERVAL_MINUTES) {
+    if (!intervalMinutes || this.timer) return false;
+
+    const tick = () => {
+      if (this.running) return;
+      this.run({ trigger: 'schedule' }).catch(error => {
+        if (error.code === 'SYNC_RUNNING') {
+          log.info('Scheduled Tally sync skipped; another run is in progress');
+        } else {
+          log.error('Scheduled Tally sync failed', { error });
+        }
+      });
+    };
+
+    this.timer = setInterval(tick, intervalMinutes * 60 * 1000);
+    this.timer.unref();
+    if (TALLY_SYNC_ON_START) tick();
+
+    log.info('Tally sync scheduled', { interval_minutes: intervalMinutes });
+    return true;
+  }
+
+  stopSchedule() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async getRun(runId) {
+    const result = await oracleService.executeQuery(
+      'SELECT * FROM tally_sync_log WHERE id = :1',
+      [runId],
+      { fetchInfo: { ERRORS: { type: oracledb.STRING } } },
+    );
+    const run = result.rows[0];
+    if (!run) return null;
+    return { ...run, ERRORS: run.ERRORS ? JSON.parse(run.ERRORS) : [] };
+  }
+}
+
+export default new TallySyncService();
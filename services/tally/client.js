@@ -0,0 +1,29 @@
+import axios from 'axios';
+import { TALLY_URL, TALLY_TIMEOUT_MS } from '../../config/tally.js';
+
+class TallyClient {
+  // Posts an XML envelope to the Tally HTTP server and returns the raw response body
+  async post(xml, { url = TALLY_URL, timeout = TALLY_TIMEOUT_MS } = {}) {
+    try {
+      const response = await axios.post(url, xml, {
+        headers: { 'Content-Type': 'application/xml' },
+        timeout,
+        responseType: 'text',
+      });
+      return response.data;
+    } catch (error) {
+      if (error.code === 'ECONNREFUSED') {
+        error.message = `Tally is not reachable at ${url}; check that Tally is running with its HTTP server enabled`;
+      }
+      throw error;
+    }
+  }
+
+  // The Tally HTTP server answers a plain GET with "... Server is Running"
+  async ping({ url = TALLY_URL, timeout = TALLY_TIMEOUT_MS } = {}) {
+    const response = await axios.get(url, { timeout, responseType: 'text' });
+    return String(response.data).trim();
+  }
+}
+
+export default new TallyClient();
@@ -0,0 +1,255 @@
+import { parseStringPromise } from 'xml2js';
+
+// Parsers for Tally "List of Accounts" exports. Tally tag names such as
+// MAILINGNAME.LIST and UDF:_UDF_788560154 are kept verbatim as object keys.
+
+const XML_OPTIONS = {
+  explicitArray: false,
+  ignoreAttrs: true,
+  mergeAttrs: true,
+  trim: true,
+};
+
+// Customer type lives in a company-specific UDF, with product category as fallback
+const CUSTOMER_TYPE_UDFS = ['UDF:_UDF_788560154', 'UDF:PRODUCTCATEGORY'];
+
+const SKIP_LEDGER_PATTERNS = [
+  'cash', 'bank', 'profit', 'loss', 'suspense', 'fixed asset',
+  'loan', 'capital', 'reserve', 'depreciation', 'purchase',
+  'sale', 'income', 'expense', 'duty', 'tax', 'gst',
+  'discount', 'commission', 'interest', 'salary', 'wages',
+  'opening balance', 'closing stock', 'stock', 'vat',
+  'cgst', 'sgst', 'igst', 'rounding', 'miscellaneous',
+];
+
+const asArray = value => (value == null ? [] : Array.isArray(value) ? value : [value]);
+
+// Text of a node whether xml2js gave us a string, { _: text } or an array of either
+const text = value => {
+  const first = asArray(value)[0];
+  if (first == null) return null;
+  const raw = typeof first === 'object' ? first._ : first;
+  const trimmed = raw == null ? '' : String(raw).trim();
+  return trimmed || null;
+};
+
+// Every value of a tag anywhere below node, in document order
+const collect = (node, tag, found = []) => {
+  if (!node || typeof node !== 'object') return found;
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === tag) found.push(...asArray(value));
+    asArray(value).forEach(child => collect(child, tag, found));
+  });
+  return found;
+};
+
+const isBlank = value => !value || value === '-' || ['na', 'n/a'].includes(value.toLowerCase());
+
+// Tally escapes control characters as &#4; and similar, which XML 1.0 rejects
+export const sanitizeTallyXml = xmlData =>
+  String(xmlData)
+    .replace(/&#(?:x0*[0-8bcef]|x0*1[0-9a-f]|0*(?:[0-8]|1[124-9]|2\d|3[01]));/gi, '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+// Tally messages of one master type (LEDGER, STOCKITEM) from an export envelope
+const extractMasters = async (xmlData, masterTag) => {
+  const parsed = await parseStringPromise(sanitizeTallyXml(xmlData), XML_OPTIONS);
+  const messages = asArray(parsed?.ENVELOPE?.BODY?.IMPORTDATA?.REQUESTDATA?.TALLYMESSAGE);
+  return messages.flatMap(message => asArray(message[masterTag]));
+};
+
+// Normalises Indian mobile numbers to 10 digits: drops a leading 0 or 91,
+// keeps the last 10 digits of longer strings, null when nothing usable
+export const extractMobileNumber = mobileRaw => {
+  if (isBlank(mobileRaw)) return null;
+
+  const digits = String(mobileRaw).replace(/\D/g, '');
+  let extracted = '';
+
+  if (digits.length === 10) {
+    extracted = digits;
+  } else if (digits.length === 11 && digits.startsWith('0')) {
+    extracted = digits.slice(1);
+  } else if (digits.length === 12 && digits.startsWith('91')) {
+    extracted = digits.slice(2);
+  } else if (digits.length > 10) {
+    extracted = digits.slice(-10);
+  }
+
+  return extracted.length === 10 ? extracted : null;
+};
+
+// System ledgers (cash, tax, expense heads...) that are never customers
+export const shouldSkipLedger = ledgerName => {
+  const lowerName = String(ledgerName).toLowerCase();
+  return SKIP_LEDGER_PATTERNS.some(pattern => lowerName.includes(pattern));
+};
+
+const customerType = ledger => {
+  for (const udf of CUSTOMER_TYPE_UDFS) {
+    const value = text(collect(ledger, udf));
+    if (value) return value.toLowerCase();
+  }
+  return 'direct';
+};
+
+// Sundry Debtors ledgers as customer rows. The first NAME is the ledger
+// name, the second (alias) is the customer code.
+export const parseTallyCustomers = async xmlData => {
+  if (!xmlData) return [];
+
+  const ledgers = await extractMasters(xmlData, 'LEDGER');
+  const customers = [];
+
+  for (const ledger of ledgers) {
+    const names = collect(ledger, 'NAME').map(text).filter(Boolean);
+    const customerName = names[0];
+    if (!customerName || shouldSkipLedger(customerName)) continue;
+
+    const parent = text(ledger.PARENT) || '';
+    if (parent.toLowerCase() !== 'sundry debtors') continue;
+
+    const state = text(ledger.STATE);
+    const email = text(ledger.EMAIL);
+    const type = customerType(ledger);
+
+    customers.push({
+      customer_code: names[1] || null,
+      customer_name: customerName,
+      email: isBlank(email) ? null : email,
+      mobile_number: extractMobileNumber(text(ledger.LEDGERMOBILE)),
+      state: isBlank(state) ? 'not_applicable' : state,
+      customer_type: type,
+      role: type,
+      parent_group: parent,
+    });
+  }
+
+  return customers;
+};
+
+const parseLeadingNumber = value => {
+  const match = String(value ?? '').match(/^\s*([\d.]+)/);
+  return match ? parseFloat(match[1]) : null;
+};
+
+// GST from RATEOFVAT, else the highest non-zero GSTRATE in the GST details
+const itemGstRate = item => {
+  const rateOfVat = parseLeadingNumber(text(item.RATEOFVAT));
+  if (rateOfVat != null) return rateOfVat;
+
+  const rates = collect(item, 'GSTRATE')
+    .map(value => parseLeadingNumber(text(value)))
+    .filter(value => value > 0);
+  return rates.length ? Math.max(...rates) : null;
+};
+
+// HSN code applicable from the latest date
+const itemHsnCode = item => {
+  let latest = { from: -1, code: null };
+  collect(item, 'HSNDETAILS.LIST').forEach(details => {
+    const code = text(details.HSNCODE);
+    const from = parseInt(text(details.APPLICABLEFROM) || '0', 10);
+    if (code && from >= latest.from) latest = { from, code };
+  });
+  return latest.code;
+};
+
+// Stock items; the item code is kept in Tally as the mailing name
+export const parseTallyItems = async xmlData => {
+  if (!xmlData) return [];
+
+  const stockItems = await extractMasters(xmlData, 'STOCKITEM');
+  const items = [];
+
+  for (const item of stockItems) {
+    const itemName = text(item.NAME) || text(collect(item, 'NAME'));
+    if (!itemName) continue;
+
+    items.push({
+      stock_item_name: itemName,
+      item_code: text(collect(item, 'MAILINGNAME')),
+      parent_group: text(item.PARENT) || 'General',
+      uom: text(item.BASEUNITS),
+      gst: itemGstRate(item),
+      hsn: itemHsnCode(item),
+      rate: parseLeadingNumber(text(item.OPENINGRATE)),
+    });
+  }
+
+  return items;
+};
+
+// ' 120.500 Nos' -> 120.5, '-3 Nos' -> -3, '1,250.00/Nos' -> 1250
+const parseTallyQuantity = value => {
+  const match = String(value ?? '').replace(/,/g, '').match(/^\s*(-?\d*\.?\d+)/);
+  return match ? parseFloat(match[1]) : null;
+};
+
+// Tally reports stock values as debits (negative)
+const parseTallyValue = value => {
+  const amount = parseTallyQuantity(value);
+  return amount == null ? null : Math.abs(amount);
+};
+
+const balanceFigures = node => ({
+  opening_qty: parseTallyQuantity(text(node.OPENINGBALANCE)),
+  opening_value: parseTallyValue(text(node.OPENINGVALUE)),
+  closing_qty: parseTallyQuantity(text(node.CLOSINGBALANCE)),
+  closing_value: parseTallyValue(text(node.CLOSINGVALUE)),
+  closing_rate: parseTallyQuantity(text(node.CLOSINGRATE)),
+});
+
+// Stock balances from the stock summary collection (or a stock item master
+// export), one row per item, godown and batch. Batch allocations that carry
+// a closing balance give the godown-wise rows; otherwise the item's own
+// figures are reported in defaultGodown. Items without a code are skipped.
+export const parseTallyStockBalances = async (xmlData, { defaultGodown = 'Main Location' } = {}) => {
+  if (!xmlData) return [];
+
+  const parsed = await parseStringPromise(sanitizeTallyXml(xmlData), XML_OPTIONS);
+  const balances = [];
+
+  for (const item of collect(parsed, 'STOCKITEM')) {
+    const itemCode = text(collect(item, 'MAILINGNAME'));
+    if (!itemCode) continue;
+
+    const base = { item_code: itemCode, stock_item_name: text(item.NAME) || text(collect(item, 'NAME')), uom: text(item.BASEUNITS) };
+    const allocations = asArray(item['BATCHALLOCATIONS.LIST']).filter(allocation => text(allocation.CLOSINGBALANCE));
+
+    if (!allocations.length) {
+      balances.push({ ...base, godown: defaultGodown, batch_name: null, ...balanceFigures(item) });
+      continue;
+    }
+
+    allocations.forEach(allocation =>
+      balances.push({
+        ...base,
+        godown: text(allocation.GODOWNNAME) || defaultGodown,
+        batch_name: text(allocation.BATCHNAME),
+        ...balanceFigures(allocation),
+      }),
+    );
+  }
+
+  return balances;
+};
+
+// Result of an "Import Data" request. Tally answers with a RESPONSE block
+// (sometimes wrapped in ENVELOPE/BODY/DATA/IMPORTRESULT) carrying counters,
+// LASTVCHID for the created voucher and one LINEERROR per rejected line.
+export const parseImportResponse = async xmlData => {
+  const parsed = await parseStringPromise(sanitizeTallyXml(xmlData || ''), XML_OPTIONS);
+  const count = tag => parseInt(text(collect(parsed, tag)) || '0', 10);
+  const lastVoucherId = text(collect(parsed, 'LASTVCHID'));
+
+  return {
+    created: count('CREATED'),
+    altered: count('ALTERED'),
+    ignored: count('IGNORED'),
+    errors: count('ERRORS'),
+    exceptions: count('EXCEPTIONS'),
+    voucherId: lastVoucherId && lastVoucherId !== '0' ? lastVoucherId : null,
+    lineErrors: collect(parsed, 'LINEERROR').map(text).filter(Boolean),
+  };
+};
@@ -0,0 +1,72 @@
+import { TALLY_COMPANY } from '../../config/tally.js';
+
+// Ledger masters (customers are the Sundry Debtors among them)
+export const customerExportRequest = (company = TALLY_COMPANY) => `<?xml version="1.0"?>
+<ENVELOPE>
+  <HEADER>
+    <TALLYREQUEST>Export Data</TALLYREQUEST>
+  </HEADER>
+  <BODY>
+    <EXPORTDATA>
+      <REQUESTDESC>
+        <REPORTNAME>List of Accounts</REPORTNAME>
+        <STATICVARIABLES>
+          <SVCURRENTCOMPANY>${company}</SVCURRENTCOMPANY>
+        </STATICVARIABLES>
+      </REQUESTDESC>
+    </EXPORTDATA>
+  </BODY>
+</ENVELOPE>`;
+
+// Stock item masters
+export const itemExportRequest = (company = TALLY_COMPANY) => `<?xml version="1.0"?>
+<ENVELOPE>
+  <HEADER>
+    <TALLYREQUEST>Export Data</TALLYREQUEST>
+  </HEADER>
+  <BODY>
+    <EXPORTDATA>
+      <REQUESTDESC>
+        <REPORTNAME>List of Accounts</REPORTNAME>
+        <STATICVARIABLES>
+          <SVCURRENTCOMPANY>${company}</SVCURRENTCOMPANY>
+          <MStockGroup>$$SysName:Allitems</MStockGroup>
+          <IsListofAccountsItemWise>Yes</IsListofAccountsItemWise>
+          <AccountType>$$SysName:Stockitems</AccountType>
+          <IsItemWise>Yes</IsItemWise>
+          <SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>
+        </STATICVARIABLES>
+      </REQUESTDESC>
+    </EXPORTDATA>
+  </BODY>
+</ENVELOPE>`;
+
+// Closing stock of every item with its godown / batch allocations, as an
+// inline TDL collection so quantities come back per stock item
+export const stockSummaryRequest = (company = TALLY_COMPANY) => `<?xml version="1.0"?>
+<ENVELOPE>
+  <HEADER>
+    <VERSION>1</VERSION>
+    <TALLYREQUEST>Export</TALLYREQUEST>
+    <TYPE>Collection</TYPE>
+    <ID>PortalStockSummary</ID>
+  </HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>
+        <SVCURRENTCOMPANY>${company}</SVCURRENTCOMPANY>
+        <SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>
+      </STATICVARIABLES>
+      <TDL>
+        <TDLMESSAGE>
+          <COLLECTION NAME="PortalStockSummary" ISMODIFY="No">
+            <TYPE>StockItem</TYPE>
+            <NATIVEMETHOD>Name, MailingName, BaseUnits</NATIVEMETHOD>
+            <NATIVEMETHOD>OpeningBalance, OpeningValue, ClosingBalance, ClosingValue, ClosingRate</NATIVEMETHOD>
+            <NATIVEMETHOD>BatchAllocations</NATIVEMETHOD>
+          </COLLECTION>
+        </TDLMESSAGE>
+      </TDL>
+    </DESC>
+  </BODY>
+</ENVELOPE>`;
@@ -0,0 +1,118 @@
+import {
+  TALLY_COMPANY,
+  TALLY_SALES_LEDGER,
+  TALLY_CGST_LEDGER,
+  TALLY_SGST_LEDGER,
+  TALLY_IGST_LEDGER,
+} from '../../config/tally.js';
+
+const DEFAULT_LEDGERS = {
+  sales: TALLY_SALES_LEDGER,
+  cgst: TALLY_CGST_LEDGER,
+  sgst: TALLY_SGST_LEDGER,
+  igst: TALLY_IGST_LEDGER,
+};
+
+export const escapeXml = value =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Tally dates are YYYYMMDD
+export const tallyDate = value => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('');
+};
+
+const amount = value => (Number(value) || 0).toFixed(2);
+
+const quantity = (qty, uom) => `${Number(qty) || 0}${uom ? ` ${uom}` : ''}`;
+
+// Credit entries (sales, output tax) are positive with ISDEEMEDPOSITIVE No;
+// the party debit is negative with ISDEEMEDPOSITIVE Yes
+const ledgerEntry = (ledgerName, value, { party = false } = {}) => `
+            <LEDGERENTRIES.LIST>
+              <LEDGERNAME>${escapeXml(ledgerName)}</LEDGERNAME>
+              <ISDEEMEDPOSITIVE>${party ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>
+              <ISPARTYLEDGER>${party ? 'Yes' : 'No'}</ISPARTYLEDGER>
+              <AMOUNT>${party ? `-${amount(value)}` : amount(value)}</AMOUNT>
+            </LEDGERENTRIES.LIST>`;
+
+const inventoryEntry = (line, header, ledgers) => `
+            <ALLINVENTORYENTRIES.LIST>
+              <STOCKITEMNAME>${escapeXml(line.ITEM_NAME)}</STOCKITEMNAME>
+              <ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
+              <RATE>${amount(line.RATE)}${line.UOM ? `/${escapeXml(line.UOM)}` : ''}</RATE>
+              <DISCOUNT>${Number(line.DISC_PERCENTAGE) || 0}</DISCOUNT>
+              <AMOUNT>${amount(line.AMOUNT)}</AMOUNT>
+              <ACTUALQTY>${escapeXml(quantity(line.QUANTITY, line.UOM))}</ACTUALQTY>
+              <BILLEDQTY>${escapeXml(quantity(line.QUANTITY, line.UOM))}</BILLEDQTY>
+              <BATCHALLOCATIONS.LIST>
+                <ORDERNO>${escapeXml(header.ORDER_NO)}</ORDERNO>
+                <ORDERDUEDATE>${tallyDate(header.DELIVERY_DATE || header.ORDER_DATE)}</ORDERDUEDATE>
+                <AMOUNT>${amount(line.AMOUNT)}</AMOUNT>
+                <ACTUALQTY>${escapeXml(quantity(line.QUANTITY, line.UOM))}</ACTUALQTY>
+                <BILLEDQTY>${escapeXml(quantity(line.QUANTITY, line.UOM))}</BILLEDQTY>
+              </BATCHALLOCATIONS.LIST>
+              <ACCOUNTINGALLOCATIONS.LIST>
+                <LEDGERNAME>${escapeXml(ledgers.sales)}</LEDGERNAME>
+                <ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
+                <AMOUNT>${amount(line.AMOUNT)}</AMOUNT>
+              </ACCOUNTINGALLOCATIONS.LIST>
+            </ALLINVENTORYENTRIES.LIST>`;
+
+// Tally "Import Data" envelope creating one Sales Order voucher from an
+// order as returned by orderService.getOrderByNumber (uppercase columns).
+// The voucher number is our order number so re-keying is never needed.
+export const buildSalesOrderXml = ({ header, lines }, { company = TALLY_COMPANY, ledgers = DEFAULT_LEDGERS } = {}) => {
+  const taxEntries = [
+    [ledgers.cgst, header.TOTAL_CGST_AMOUNT],
+    [ledgers.sgst, header.TOTAL_SGST_AMOUNT],
+    [ledgers.igst, header.TOTAL_IGST_AMOUNT],
+  ]
+    .filter(([, value]) => Number(value) > 0)
+    .map(([ledger, value]) => ledgerEntry(ledger, value));
+
+  return `<?xml version="1.0"?>
+<ENVELOPE>
+  <HEADER>
+    <TALLYREQUEST>Import Data</TALLYREQUEST>
+  </HEADER>
+  <BODY>
+    <IMPORTDATA>
+      <REQUESTDESC>
+        <REPORTNAME>Vouchers</REPORTNAME>
+        <STATICVARIABLES>
+          <SVCURRENTCOMPANY>${escapeXml(company)}</SVCURRENTCOMPANY>
+        </STATICVARIABLES>
+      </REQUESTDESC>
+      <REQUESTDATA>
+        <TALLYMESSAGE xmlns:UDF="TallyUDF">
+          <VOUCHER VCHTYPE="${escapeXml(header.VOUCHER_TYPE || 'Sales Order')}" ACTION="Create" OBJVIEW="Invoice Voucher View">
+            <DATE>${tallyDate(header.ORDER_DATE)}</DATE>
+            <VOUCHERTYPENAME>${escapeXml(header.VOUCHER_TYPE || 'Sales Order')}</VOUCHERTYPENAME>
+            <VOUCHERNUMBER>${escapeXml(header.ORDER_NO)}</VOUCHERNUMBER>
+            <REFERENCE>${escapeXml(header.ORDER_NO)}</REFERENCE>
+            <PARTYLEDGERNAME>${escapeXml(header.CUSTOMER_NAME)}</PARTYLEDGERNAME>
+            <BASICBUYERNAME>${escapeXml(header.CUSTOMER_NAME)}</BASICBUYERNAME>
+            <BASICSHIPPEDBY>${escapeXml(header.TRANSPORTER_NAME)}</BASICSHIPPEDBY>
+            <NARRATION>${escapeXml(header.REMARKS)}</NARRATION>
+            <PERSISTEDVIEW>Invoice Voucher View</PERSISTEDVIEW>
+            <ISINVOICE>Yes</ISINVOICE>${ledgerEntry(header.CUSTOMER_NAME, header.TOTAL_AMOUNT, { party: true })}${lines
+              .map(line => inventoryEntry(line, header, ledgers))
+              .join('')}${taxEntries.join('')}
+          </VOUCHER>
+        </TALLYMESSAGE>
+      </REQUESTDATA>
+    </IMPORTDATA>
+  </BODY>
+</ENVELOPE>`;
+};
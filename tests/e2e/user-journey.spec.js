@@ -34,46 +34,44 @@ test.describe('Complete User Journey', () => {
     // Dates in YYYY-MM-DD format
     const now = toOracleDate(new Date());
 
-    const payload = [
-      {
+    const rate = Number(firstItem.RATE || 1);
+    const payload = {
+      header: {
         voucher_type: 'Distributor Order-Web Based',
         order_no: orderNo,
-        date: now,
+        order_date: now,
         delivery_date: now,
         status: 'pending',
-        executiveCode: distributorBody.data.CUSTOMER_CODE,
         executive: distributorBody.data.CUSTOMER_NAME,
         role: 'distributor',
         customer_code: customerCode,
         customer_name: distributorBody.data.CUSTOMER_NAME,
-        item_code: firstItem.ITEM_CODE,
-        item_name: firstItem.STOCK_ITEM_NAME,
-        hsn: firstItem.HSN || '',
-        gst: Number(firstItem.GST || 18),
-        sgst: Number(firstItem.SGST || 0),
-        cgst: Number(firstItem.CGST || 0),
-        igst: Number(firstItem.IGST || 0),
         delivery_mode: 'FLIGHT',
         transporter_name: firstItem.TRANSPORTER_NAME || '',
-        quantity: Number(firstItem.QUANTITY || 5),
-        uom: firstItem.UOM || 'Nos',
-        rate: Number(firstItem.RATE || 1),
-        amount: Number(firstItem.RATE || 1) * 5,
-        net_rate: Number(firstItem.RATE || 1),
-        gross_amount: Number(firstItem.RATE || 1) * 5,
-        disc_percentage: 0,
-        disc_amount: 0,
-        spl_disc_percentage: 0,
-        spl_disc_amount: 0,
-        total_quantity: Number(firstItem.QUANTITY || 5),
-        total_amount_without_tax: Number(firstItem.RATE || 1) * 5,
-        total_cgst_amount: 0,
-        total_sgst_amount: 0,
-        total_igst_amount: 0,
-        total_amount: Number(firstItem.RATE || 1) * 5,
         remarks: 'E2E Test Order',
-      }
-    ];
+      },
+      lines: [
+        {
+          item_code: firstItem.ITEM_CODE,
+          item_name: firstItem.STOCK_ITEM_NAME,
+          hsn: firstItem.HSN || '',
+          gst: Number(firstItem.GST || 18),
+          sgst: 0,
+          cgst: 0,
+          igst: 0,
+          quantity: 5,
+          uom: firstItem.UOM || 'Nos',
+          rate,
+          amount: rate * 5,
+          net_rate: rate,
+          gross_amount: rate * 5,
+          disc_percentage: 0,
+          disc_amount: 0,
+          spl_disc_percentage: 0,
+          spl_disc_amount: 0,
+        },
+      ],
+    };
 
     // Submit order
     const orderResponse = await request.post('/orders', { headers: authHeaders, data: payload });
@@ -85,19 +83,12 @@ test.describe('Complete User Journey', () => {
     const orderStatusResponse = await request.get(`/orders-by-number/${orderNo}`, { headers: authHeaders });
     expect(orderStatusResponse.status()).toBe(200);
     const orderStatusBody = await orderStatusResponse.json();
-    const orderData = Array.isArray(orderStatusBody.data)
-      ? orderStatusBody.data.find(o => o.ORDER_NO === orderNo)
-      : orderStatusBody.data;
+    const orderData = orderStatusBody.data.header;
 
     expect(orderData).toBeTruthy();
+    expect(orderData.ORDER_NO).toBe(orderNo);
     expect(orderData.STATUS).toBe('pending');
-
-    // Check order history
-    const historyResponse = await request.get(`/orders-by-number/${orderNo}`, { headers: authHeaders });
-    expect(historyResponse.status()).toBe(200);
-    const historyBody = await historyResponse.json();
-    const historyData = Array.isArray(historyBody.data) ? historyBody.data : [historyBody.data];
-    expect(historyData.some(o => o.ORDER_NO === orderNo)).toBe(true);
+    expect(orderStatusBody.data.lines).toHaveLength(1);
 
     await request.dispose();
   });
@@ -46,9 +46,9 @@ test.describe('Order Routes', () => {
     const body = await response.json();
     expect(body.success).toBe(true);
 
-    // backend returns ARRAY, not single object
-    expect(Array.isArray(body.data)).toBe(true);
-    expect(body.data.length).toBeGreaterThan(0);
-    expect(body.data[0].ORDER_NO).toBe(orderNo);
+    // backend returns { header, lines }
+    expect(body.data.header.ORDER_NO).toBe(orderNo);
+    expect(Array.isArray(body.data.lines)).toBe(true);
+    expect(body.data.lines.length).toBeGreaterThan(0);
   });
 });
@@ -0,0 +1,68 @@
+// tests/unit/middleware/authorize.spec.js
+import { test, expect } from '@playwright/test';
+import { requireRole, ownCustomerOnly, canAccessCustomer } from '../../../middleware/auth.js';
+import { ROLES } from '../../../config/roles.js';
+
+// Rejections are passed to next(error) for the central error handler
+const run = (middleware, req) => {
+  let nextCalled = false;
+  let error = null;
+  middleware(req, {}, err => {
+    if (err) error = err;
+    else nextCalled = true;
+  });
+  return { error, nextCalled };
+};
+
+const adminPrincipal = { uid: 'admin-uid', role: ROLES.ADMIN, customer_code: null, status: 'active' };
+const distributorPrincipal = {
+  uid: 'dist-uid',
+  role: ROLES.DISTRIBUTOR,
+  customer_code: 1106,
+  status: 'active',
+};
+
+test.describe('Role Authorization', () => {
+  test('requireRole should allow a listed role', () => {
+    const { nextCalled } = run(requireRole(ROLES.ADMIN), { principal: adminPrincipal });
+    expect(nextCalled).toBe(true);
+  });
+
+  test('requireRole should reject other roles with 403', () => {
+    const { error, nextCalled } = run(requireRole(ROLES.ADMIN), { principal: distributorPrincipal });
+    expect(nextCalled).toBe(false);
+    expect(error.status).toBe(403);
+    expect(error.code).toBe('FORBIDDEN');
+  });
+
+  test('requireRole without roles should allow any principal', () => {
+    const { nextCalled } = run(requireRole(), { principal: distributorPrincipal });
+    expect(nextCalled).toBe(true);
+  });
+
+  test('requireRole should reject a request without principal', () => {
+    const { error } = run(requireRole(), {});
+    expect(error.status).toBe(401);
+  });
+
+  test('ownCustomerOnly should restrict distributors to their customer_code', () => {
+    const own = run(ownCustomerOnly(), {
+      principal: distributorPrincipal,
+      params: { customer_code: '1106' },
+    });
+    expect(own.nextCalled).toBe(true);
+
+    const other = run(ownCustomerOnly(), {
+      principal: distributorPrincipal,
+      params: { customer_code: '1100' },
+    });
+    expect(other.nextCalled).toBe(false);
+    expect(other.error.status).toBe(403);
+  });
+
+  test('canAccessCustomer should let admins access any customer', () => {
+    expect(canAccessCustomer(adminPrincipal, 1100)).toBe(true);
+    expect(canAccessCustomer(distributorPrincipal, 1100)).toBe(false);
+    expect(canAccessCustomer({ role: ROLES.CORPORATE, customer_code: null }, null)).toBe(false);
+  });
+});
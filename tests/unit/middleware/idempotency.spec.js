@@ -0,0 +1,97 @@
+// tests/unit/middleware/idempotency.spec.js
+import { test, expect } from '@playwright/test';
+import { EventEmitter } from 'node:events';
+import idempotencyService from '../../../services/idempotency.service.js';
+import { idempotent } from '../../../middleware/idempotency.js';
+
+const request = () => ({
+  method: 'POST',
+  originalUrl: '/api/orders',
+  uid: 'dist-uid',
+  body: { header: { customer_code: 1106 } },
+  get: name => ({ 'Idempotency-Key': 'key-1' })[name],
+});
+
+const response = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headersSent = false;
+  res.sent = [];
+  res.get = () => undefined;
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.headersSent = true;
+    res.sent.push(body);
+    return res;
+  };
+  return res;
+};
+
+// Shadows the service methods the middleware calls and records the calls
+const withService = async fn => {
+  const calls = [];
+  idempotencyService.begin = async () => ({ decision: 'proceed', record: null });
+  idempotencyService.complete = async (entry, stored) => calls.push(['complete', stored.status]);
+  idempotencyService.release = async () => calls.push(['release']);
+  try {
+    await fn(calls);
+  } finally {
+    delete idempotencyService.begin;
+    delete idempotencyService.complete;
+    delete idempotencyService.release;
+  }
+};
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test.describe('Idempotent Handler', () => {
+  test('should keep the key when the client disconnects while the handler runs', async () => {
+    await withService(async calls => {
+      const res = response();
+      let finish;
+      const running = idempotent(async (req, res) => {
+        await new Promise(resolve => (finish = resolve));
+        res.status(201).json({ success: true });
+      })(request(), res, () => {});
+
+      await settle();
+      res.emit('close');
+      await settle();
+      expect(calls).toEqual([]);
+
+      finish();
+      await running;
+      await settle();
+      expect(calls).toEqual([['complete', 201]]);
+    });
+  });
+
+  test('should release the key when the handler returns without responding', async () => {
+    await withService(async calls => {
+      await idempotent(async () => {})(request(), response(), () => {});
+      expect(calls).toEqual([['release']]);
+    });
+  });
+
+  test('should release the key on a server error response', async () => {
+    await withService(async calls => {
+      const res = response();
+      await idempotent(async (req, res) => res.status(500).json({ success: false }))(request(), res, () => {});
+      await settle();
+      expect(calls).toEqual([['release']]);
+      expect(res.sent).toEqual([{ success: false }]);
+    });
+  });
+
+  test('should run the handler directly without an Idempotency-Key', async () => {
+    await withService(async calls => {
+      const res = response();
+      await idempotent(async (req, res) => res.json({ ok: true }))({ ...request(), get: () => undefined }, res, () => {});
+      expect(calls).toEqual([]);
+      expect(res.sent).toEqual([{ ok: true }]);
+    });
+  });
+});
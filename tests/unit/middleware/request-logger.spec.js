@@ -0,0 +1,26 @@
+// tests/unit/middleware/request-logger.spec.js
+import { test, expect } from '@playwright/test';
+import { routeLabel, requestLogLevel } from '../../../middleware/request-logger.js';
+
+test.describe('Request Logger', () => {
+  test('routeLabel should use the matched route pattern', () => {
+    expect(routeLabel({ method: 'GET', baseUrl: '', route: { path: '/orders-by-number/:order_no' } })).toBe(
+      'GET /orders-by-number/:order_no',
+    );
+    expect(routeLabel({ method: 'GET', baseUrl: '/api', route: { path: '/orders' } })).toBe('GET /api/orders');
+    expect(routeLabel({ method: 'GET' })).toBeNull();
+  });
+
+  test('requestLogLevel should flag failures and slow requests', () => {
+    expect(requestLogLevel(200, 15)).toBe('info');
+    expect(requestLogLevel(404, 15)).toBe('warn');
+    expect(requestLogLevel(200, 60000)).toBe('warn');
+    expect(requestLogLevel(503, 15)).toBe('error');
+  });
+
+  test('requestLogLevel should keep successful probes at debug level', () => {
+    expect(requestLogLevel(200, 3, '/health/ready')).toBe('debug');
+    expect(requestLogLevel(503, 3, '/health/ready')).toBe('error');
+    expect(requestLogLevel(200, 3, '/orders')).toBe('info');
+  });
+});
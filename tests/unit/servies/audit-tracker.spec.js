@@ -0,0 +1,122 @@
+// tests/unit/services/audit-tracker.spec.js
+import { test, expect } from '@playwright/test';
+import auditTracker, { parseDml, whereBinds, buildAuditEntries } from '../../../services/audit/tracker.js';
+
+// Records statements; SELECTs return the queued row sets in order
+const fakeConnection = (...selects) => {
+  const calls = { execute: [], executeMany: [], commits: 0 };
+  return {
+    calls,
+    async execute(sql, binds, options) {
+      calls.execute.push({ sql, binds, options });
+      if (/^\s*SELECT/i.test(sql)) return { rows: selects.shift() || [] };
+      return { rowsAffected: 1, lastRowid: 'AAAR1' };
+    },
+    async executeMany(sql, rows) {
+      calls.executeMany.push({ sql, rows });
+    },
+    async commit() {
+      calls.commits++;
+    },
+  };
+};
+
+test.describe('Audit Tracker', () => {
+  test('parseDml should find the table, alias and top-level WHERE', () => {
+    expect(parseDml('INSERT INTO customer (customer_code) VALUES (:1)')).toEqual({
+      action: 'insert',
+      table: 'customer',
+      alias: null,
+      where: null,
+    });
+
+    const totals = parseDml(`
+      UPDATE orders o
+      SET total_amount = (SELECT SUM(i.amount) FROM order_items i WHERE i.order_id = o.id)
+      WHERE o.order_no = :order_no`);
+    expect(totals).toMatchObject({ action: 'update', table: 'orders', alias: 'o', where: 'o.order_no = :order_no' });
+
+    expect(parseDml("DELETE FROM order_items WHERE remarks = 'a WHERE b' AND id = :id").where).toBe(
+      "remarks = 'a WHERE b' AND id = :id",
+    );
+    expect(parseDml('UPDATE t SET a = :a WHERE id = :id RETURNING a INTO :out').where).toBe('id = :id');
+    expect(parseDml('SELECT * FROM customer')).toBeNull();
+  });
+
+  test('whereBinds should pick the binds of the condition', () => {
+    expect(whereBinds('id = :id AND order_id = (SELECT id FROM orders WHERE order_no = :order_no)', {
+      id: 4,
+      order_no: 'SO-1',
+      quantity: 2,
+    })).toEqual({ id: 4, order_no: 'SO-1' });
+    expect(whereBinds('customer_code = :3', ['Acme', 'a@b.com', '1106'])).toEqual(['1106']);
+    expect(whereBinds("created_at > TO_DATE('2026-01-01 10:00:00', 'YYYY-MM-DD HH24:MI:SS')", {})).toEqual({});
+  });
+
+  test('buildAuditEntries should keep changed columns and redact secrets', () => {
+    const before = [{ AUDIT_ROWID: 'r1', CUSTOMER_CODE: '1106', CUSTOMER_TYPE: 'direct', PASSWORD: 'old', STATE: 'RJ' }];
+    const after = [{ AUDIT_ROWID: 'r1', CUSTOMER_CODE: '1106', CUSTOMER_TYPE: 'distributor', PASSWORD: 'new', STATE: 'RJ' }];
+    const context = { uid: 'admin-uid', role: 'admin', method: 'PUT', path: '/distributors/1106?x=1', correlationId: 'c1' };
+
+    expect(buildAuditEntries({ action: 'update', table: 'customer' }, before, after, context)).toEqual([
+      {
+        actor_uid: 'admin-uid',
+        actor_role: 'admin',
+        route: 'PUT /distributors/1106',
+        correlation_id: 'c1',
+        entity: 'customer',
+        entity_key: '1106',
+        action: 'update',
+        before_values: { CUSTOMER_TYPE: 'direct', PASSWORD: '[redacted]' },
+        after_values: { CUSTOMER_TYPE: 'distributor', PASSWORD: '[redacted]' },
+      },
+    ]);
+  });
+
+  test('buildAuditEntries should skip updates that only touch bookkeeping columns', () => {
+    const before = [{ AUDIT_ROWID: 'r1', ORDER_NO: 'SO-1', TOTAL_AMOUNT: 10, UPDATED_AT: new Date(1) }];
+    const after = [{ AUDIT_ROWID: 'r1', ORDER_NO: 'SO-1', TOTAL_AMOUNT: 10, UPDATED_AT: new Date(2) }];
+    expect(buildAuditEntries({ action: 'update', table: 'orders' }, before, after)).toEqual([]);
+  });
+
+  test('execute should record a deleted row with its before values', async () => {
+    const line = { AUDIT_ROWID: 'r9', ID: 9, ITEM_CODE: 'W-1', QUANTITY: 2, REMARKS: null };
+    const connection = fakeConnection([line]);
+
+    await auditTracker.execute(
+      connection,
+      'DELETE FROM order_items WHERE id = :id AND order_id = (SELECT id FROM orders WHERE order_no = :order_no)',
+      { id: 9, order_no: 'SO-1' },
+    );
+
+    expect(connection.calls.execute[0].sql).toContain('FROM order_items');
+    expect(connection.calls.execute[0].binds).toEqual({ id: 9, order_no: 'SO-1' });
+    const [entry] = connection.calls.executeMany[0].rows;
+    expect(entry).toMatchObject({ entity: 'order_items', entity_key: '9', action: 'delete', after_values: null });
+    expect(JSON.parse(entry.before_values)).toEqual({ ID: 9, ITEM_CODE: 'W-1', QUANTITY: 2 });
+    expect(connection.calls.commits).toBe(0);
+  });
+
+  test('execute should commit the change and its log together when autoCommit is set', async () => {
+    const connection = fakeConnection([{ AUDIT_ROWID: 'AAAR1', ITEM_CODE: 'W-1', RATE: 150 }]);
+
+    await auditTracker.execute(connection, 'INSERT INTO stock_item (item_code, rate) VALUES (:1, :2)', ['W-1', 150], {
+      autoCommit: true,
+    });
+
+    expect(connection.calls.execute[0].options.autoCommit).toBe(false);
+    expect(connection.calls.execute[1].binds).toEqual({ r0: 'AAAR1' });
+    expect(connection.calls.executeMany[0].rows[0]).toMatchObject({ entity: 'stock_item', entity_key: 'W-1' });
+    expect(connection.calls.commits).toBe(1);
+  });
+
+  test('execute should pass other statements straight through', async () => {
+    const connection = fakeConnection();
+    await auditTracker.execute(connection, 'UPDATE tally_sync_log SET status = :s WHERE id = :id', { s: 'x', id: 1 });
+    await auditTracker.execute(connection, 'UPDATE customer SET status = :s', { s: 'x' }, { audit: false });
+
+    expect(connection.calls.execute).toHaveLength(2);
+    expect(connection.calls.execute[1].options).toEqual({});
+    expect(connection.calls.executeMany).toHaveLength(0);
+  });
+});
@@ -0,0 +1,50 @@
+// tests/unit/services/credential.service.spec.js
+import { test, expect } from '@playwright/test';
+import credentialService, { isPasswordHash, stripSecrets, stripSecretsAll } from '../../../services/credential.service.js';
+import { changePasswordSchema } from '../../../schemas/customer.schema.js';
+import { validate } from '../../../utils/schema.js';
+
+test.describe('Credential Service', () => {
+  test('hash should produce a bcrypt hash that matches the password', async () => {
+    const hash = await credentialService.hash('Secret@123');
+
+    expect(isPasswordHash(hash)).toBe(true);
+    expect(hash).not.toContain('Secret@123');
+    expect(await credentialService.matches(hash, 'Secret@123')).toBe(true);
+    expect(await credentialService.matches(hash, 'secret@123')).toBe(false);
+  });
+
+  test('matches should accept legacy plain-text values until they are migrated', async () => {
+    expect(await credentialService.matches('Test@123', 'Test@123')).toBe(true);
+    expect(await credentialService.matches('Test@123', 'Test@1234')).toBe(false);
+    expect(await credentialService.matches(null, 'Test@123')).toBe(false);
+    expect(await credentialService.matches('Test@123', '')).toBe(false);
+  });
+
+  test('isPasswordHash should only recognise bcrypt hashes', () => {
+    expect(isPasswordHash('$2b$10$' + 'a'.repeat(53))).toBe(true);
+    expect(isPasswordHash('$2a$10$hashedpassword123')).toBe(false);
+    expect(isPasswordHash('Test@123')).toBe(false);
+    expect(isPasswordHash(null)).toBe(false);
+  });
+
+  test('stripSecrets should drop the password column', () => {
+    const row = { CUSTOMER_CODE: 1106, CUSTOMER_NAME: 'Alloy', PASSWORD: '$2a$10$hash' };
+
+    expect(stripSecrets(row)).toEqual({ CUSTOMER_CODE: 1106, CUSTOMER_NAME: 'Alloy' });
+    expect(row.PASSWORD).toBe('$2a$10$hash');
+    expect(stripSecretsAll([row, { ID: 1 }])).toEqual([{ CUSTOMER_CODE: 1106, CUSTOMER_NAME: 'Alloy' }, { ID: 1 }]);
+    expect(stripSecrets(undefined)).toBeUndefined();
+  });
+
+  test('changePasswordSchema should require a new password that differs', () => {
+    expect(validate(changePasswordSchema, { new_password: 'short' }).errors[0].field).toBe('new_password');
+
+    const same = validate(changePasswordSchema, { current_password: 'Secret@123', new_password: 'Secret@123' });
+    expect(same.errors).toEqual([{ field: 'new_password', error: 'must differ from the current password' }]);
+
+    expect(validate(changePasswordSchema, { current_password: 'Old@12345', new_password: 'New@12345' }).errors).toEqual(
+      [],
+    );
+  });
+});
@@ -0,0 +1,42 @@
+// tests/unit/services/health.service.spec.js
+import { test, expect } from '@playwright/test';
+import healthService, { withTimeout, runCheck, readinessStatus } from '../../../services/health.service.js';
+
+test.describe('Health Service', () => {
+  test('withTimeout should reject work that takes too long', async () => {
+    expect(await withTimeout(Promise.resolve('ok'), 50)).toBe('ok');
+    await expect(withTimeout(new Promise(() => {}), 20)).rejects.toThrow('Timed out after 20 ms');
+  });
+
+  test('runCheck should report status, latency and the failure', async () => {
+    const up = await runCheck({ check: async () => ({ connections_open: 2 }) });
+    expect(up).toMatchObject({ status: 'up', required: true, detail: { connections_open: 2 } });
+    expect(up.latency_ms).toBeGreaterThanOrEqual(0);
+
+    const down = await runCheck({
+      check: () => {
+        throw new Error('ORA-12541: TNS:no listener');
+      },
+      required: false,
+    });
+    expect(down).toMatchObject({ status: 'down', required: false, error: 'ORA-12541: TNS:no listener' });
+
+    const slow = await runCheck({ check: () => new Promise(() => {}), timeoutMs: 20 });
+    expect(slow).toMatchObject({ status: 'down', error: 'Timed out after 20 ms' });
+  });
+
+  test('readinessStatus should only fail on required dependencies', () => {
+    const up = { status: 'up', required: true };
+    expect(readinessStatus({ oracle: up, firebase: up })).toBe('ready');
+    expect(readinessStatus({ oracle: up, tally: { status: 'down', required: false } })).toBe('ready');
+    expect(readinessStatus({ oracle: { status: 'down', required: true }, firebase: up })).toBe('not_ready');
+  });
+
+  test('readiness should be not_ready without an Oracle pool or Firebase', async () => {
+    const report = await healthService.readiness();
+
+    expect(report.status).toBe('not_ready');
+    expect(report.checks.oracle).toMatchObject({ status: 'down', error: 'Oracle connection pool is not initialized' });
+    expect(report.checks.firebase).toMatchObject({ status: 'down', required: true });
+  });
+});
@@ -0,0 +1,47 @@
+// tests/unit/services/idempotency.service.spec.js
+import { test, expect } from '@playwright/test';
+import { requestFingerprint, replayDecision } from '../../../services/idempotency.service.js';
+
+const now = new Date('2026-03-01T10:00:00Z');
+const fingerprint = requestFingerprint({ body: { header: { customer_code: '1106' }, lines: [] }, ifMatch: null });
+
+const record = overrides => ({
+  STATUS: 'completed',
+  REQUEST_HASH: fingerprint,
+  CREATED_AT: new Date('2026-03-01T09:59:30Z'),
+  EXPIRES_AT: new Date('2026-03-02T09:59:30Z'),
+  ...overrides,
+});
+
+test.describe('Idempotency Service', () => {
+  test('requestFingerprint should ignore key order but not values', () => {
+    const a = requestFingerprint({ body: { lines: [{ item_code: 'W-1', quantity: 2 }], header: { order_no: 'SO-1' } } });
+    const b = requestFingerprint({ body: { header: { order_no: 'SO-1' }, lines: [{ quantity: 2, item_code: 'W-1' }] } });
+    const c = requestFingerprint({ body: { header: { order_no: 'SO-1' }, lines: [{ quantity: 3, item_code: 'W-1' }] } });
+
+    expect(a).toBe(b);
+    expect(a).not.toBe(c);
+    expect(a).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('replayDecision should replay a completed request with the same body', () => {
+    expect(replayDecision(record(), fingerprint, now)).toBe('replay');
+    expect(replayDecision(null, fingerprint, now)).toBe('proceed');
+  });
+
+  test('replayDecision should reject a reused key with a different body', () => {
+    expect(replayDecision(record({ REQUEST_HASH: 'other' }), fingerprint, now)).toBe('mismatch');
+  });
+
+  test('replayDecision should hold repeats while the first request runs', () => {
+    expect(replayDecision(record({ STATUS: 'processing' }), fingerprint, now)).toBe('in_progress');
+    expect(
+      replayDecision(record({ STATUS: 'processing', CREATED_AT: new Date('2026-03-01T09:00:00Z') }), fingerprint, now),
+    ).toBe('proceed');
+  });
+
+  test('replayDecision should let an expired key be used again', () => {
+    const expired = record({ REQUEST_HASH: 'other', EXPIRES_AT: new Date('2026-03-01T09:00:00Z') });
+    expect(replayDecision(expired, fingerprint, now)).toBe('proceed');
+  });
+});
@@ -0,0 +1,95 @@
+// tests/unit/services/inventory.service.spec.js
+import { test, expect } from '@playwright/test';
+import inventoryService, {
+  signedQuantity,
+  summarizeAvailability,
+  planStockAdjustments,
+} from '../../../services/inventory.service.js';
+import { stockMovementSchema, stockLevelsSchema } from '../../../schemas/stock-item.schema.js';
+import { validate } from '../../../utils/schema.js';
+
+test.describe('Inventory Service', () => {
+  test('signedQuantity should make issues negative and keep adjustment signs', () => {
+    expect(signedQuantity('receipt', 5)).toBe(5);
+    expect(signedQuantity('opening', -5)).toBe(5);
+    expect(signedQuantity('issue', 5)).toBe(-5);
+    expect(signedQuantity('adjustment', -2.5)).toBe(-2.5);
+  });
+
+  test('summarizeAvailability should flag items below their minimum', () => {
+    const row = { ON_HAND: 60, RESERVED: 25, AVAILABLE: 35, MIN_STOCK_LEVEL: 50, MAX_STOCK_LEVEL: 1000 };
+    const godowns = [
+      { GODOWN: 'Main Location', ON_HAND: 40 },
+      { GODOWN: 'Pune', ON_HAND: 20 },
+    ];
+
+    expect(summarizeAvailability(row, godowns)).toEqual({
+      on_hand: 60,
+      reserved: 25,
+      available: 35,
+      min_stock_level: 50,
+      max_stock_level: 1000,
+      below_minimum: true,
+      godowns: [
+        { godown: 'Main Location', on_hand: 40 },
+        { godown: 'Pune', on_hand: 20 },
+      ],
+      balance_synced_at: null,
+    });
+    expect(summarizeAvailability({ ON_HAND: 0, RESERVED: 0, AVAILABLE: 0, MIN_STOCK_LEVEL: null }).below_minimum).toBe(
+      false,
+    );
+  });
+
+  test('transitionOperations should reserve on approve, release on cancel and issue on dispatch', () => {
+    const principal = { uid: 'admin-uid', role: 'admin' };
+
+    const [reserve] = inventoryService.transitionOperations('approve', 'SO-1', principal);
+    expect(reserve.sql).toContain('INSERT INTO stock_reservations');
+    expect(reserve.sql).toContain('i.deleted_at IS NULL');
+    expect(reserve.binds).toEqual({ order_no: 'SO-1' });
+
+    const [release] = inventoryService.transitionOperations('cancel', 'SO-1', principal);
+    expect(release.binds).toEqual({ status: 'released', order_no: 'SO-1' });
+
+    const [issue, consume] = inventoryService.transitionOperations('dispatch', 'SO-1', principal);
+    expect(issue.sql).toContain("'issue', -quantity");
+    expect(issue.binds).toEqual({ godown: 'Main Location', created_by: 'admin-uid', order_no: 'SO-1' });
+    expect(consume.binds.status).toBe('consumed');
+
+    expect(inventoryService.transitionOperations('submit', 'SO-1', principal)).toEqual([]);
+  });
+
+  test('stockMovementSchema should only allow signed quantities on adjustments', () => {
+    expect(validate(stockMovementSchema, { movement_type: 'issue', quantity: -3 }).errors).toEqual([
+      { field: 'quantity', error: 'must be positive; only adjustments can be negative' },
+    ]);
+    expect(validate(stockMovementSchema, { movement_type: 'adjustment', quantity: 0 }).errors[0].error).toBe(
+      'must not be 0',
+    );
+    expect(validate(stockMovementSchema, { movement_type: 'adjustment', quantity: '-3' }).errors).toEqual([]);
+    expect(validate(stockLevelsSchema, { min_stock_level: 50, max_stock_level: 10 }).errors[0].field).toBe(
+      'max_stock_level',
+    );
+  });
+
+  test('planStockAdjustments should move the ledger to the Tally closing stock', () => {
+    const balances = [
+      { item_code: 'W-1', godown: 'Pune', closing_qty: 20 },
+      { item_code: 'W-1', godown: 'Pune', closing_qty: 5 },
+      { item_code: 'F-1', godown: 'Main Location', closing_qty: 12 },
+      { item_code: 'X-1', godown: 'Main Location', closing_qty: null },
+    ];
+    const ledger = [
+      { ITEM_CODE: 'W-1', GODOWN: 'Pune', ON_HAND: 30 },
+      { ITEM_CODE: 'W-1', GODOWN: 'Nashik', ON_HAND: 4 },
+      { ITEM_CODE: 'F-1', GODOWN: 'Main Location', ON_HAND: 12 },
+      { ITEM_CODE: 'X-1', GODOWN: 'Main Location', ON_HAND: 7 },
+    ];
+
+    expect(planStockAdjustments(balances, ledger)).toEqual([
+      { item_code: 'W-1', godown: 'Pune', quantity: -5 },
+      { item_code: 'W-1', godown: 'Nashik', quantity: -4 },
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+// tests/unit/services/invite.service.spec.js
+import { test, expect } from '@playwright/test';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  generateInviteToken,
+  hashInviteToken,
+  normalizeMobile,
+  maskContact,
+  inviteDestination,
+  contactMatches,
+  inviteMessage,
+} from '../../../services/invite.service.js';
+import { FileSender, createSender, redactLinkTokens } from '../../../services/notify/senders.js';
+
+const customer = {
+  CUSTOMER_CODE: '1106',
+  CUSTOMER_NAME: 'ALLOY METAL SURFACE TECHNOLOGIES',
+  EMAIL: 'Distributor@Test.com ',
+  MOBILE_NUMBER: '9876543212',
+};
+
+test.describe('Invite Service', () => {
+  test('generateInviteToken should return a random token and its hash', () => {
+    const first = generateInviteToken();
+    const second = generateInviteToken();
+
+    expect(first.token).not.toBe(second.token);
+    expect(first.token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(first.tokenHash).toBe(hashInviteToken(first.token));
+    expect(first.tokenHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('normalizeMobile should compare the last 10 digits', () => {
+    expect(normalizeMobile('+91 98765-43212')).toBe('9876543212');
+    expect(normalizeMobile('12345')).toBeNull();
+    expect(normalizeMobile(null)).toBeNull();
+  });
+
+  test('inviteDestination should prefer email and honour the requested channel', () => {
+    expect(inviteDestination(customer)).toEqual({ channel: 'email', to: 'distributor@test.com' });
+    expect(inviteDestination(customer, 'sms')).toEqual({ channel: 'sms', to: '9876543212' });
+    expect(inviteDestination({ ...customer, EMAIL: null })).toEqual({ channel: 'sms', to: '9876543212' });
+    expect(inviteDestination({ ...customer, MOBILE_NUMBER: '' }, 'sms')).toBeNull();
+  });
+
+  test('contactMatches should accept a matching email or mobile', () => {
+    expect(contactMatches(customer, { emails: ['distributor@test.com'] })).toBe(true);
+    expect(contactMatches(customer, { mobiles: ['+919876543212'] })).toBe(true);
+    expect(contactMatches(customer, { emails: ['someone@else.com'], mobiles: ['9999999999'] })).toBe(false);
+    expect(contactMatches({ ...customer, EMAIL: null, MOBILE_NUMBER: null }, { emails: [null] })).toBe(false);
+  });
+
+  test('maskContact should hide most of the address', () => {
+    expect(maskContact('email', 'distributor@test.com')).toBe('di***@test.com');
+    expect(maskContact('sms', '9876543212')).toBe('******3212');
+  });
+
+  test('inviteMessage should carry the link and expiry', () => {
+    const expiresAt = new Date('2026-01-08T00:00:00Z');
+    const message = inviteMessage({
+      channel: 'email',
+      to: 'distributor@test.com',
+      customer,
+      link: 'http://localhost:5173/activate?token=abc',
+      expiresAt,
+    });
+
+    expect(message.to).toBe('distributor@test.com');
+    expect(message.text).toContain('http://localhost:5173/activate?token=abc');
+    expect(message.text).toContain('2026-01-08T00:00:00.000Z');
+  });
+
+  test('FileSender should write the message to the outbox', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    try {
+      const { reference } = await new FileSender(dir).send({ channel: 'sms', to: '9876543212', subject: 'Hi', text: 'x' });
+      const written = JSON.parse(await readFile(reference, 'utf8'));
+
+      expect(path.dirname(reference)).toBe(dir);
+      expect(written).toMatchObject({ channel: 'sms', to: '9876543212', text: 'x' });
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('redactLinkTokens should hide the invite token in activation links', () => {
+    expect(redactLinkTokens('Open http://localhost:5173/activate?token=abc-_9 now')).toBe(
+      'Open http://localhost:5173/activate?token=[REDACTED] now',
+    );
+    expect(redactLinkTokens('http://x/activate?a=1&token=abc&b=2')).toBe('http://x/activate?a=1&token=[REDACTED]&b=2');
+  });
+
+  test('createSender should reject unknown senders', () => {
+    expect(() => createSender('carrier-pigeon')).toThrow(/Unknown sender/);
+  });
+});
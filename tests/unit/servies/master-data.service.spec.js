@@ -0,0 +1,82 @@
+// tests/unit/services/master-data.service.spec.js
+import { test, expect } from '@playwright/test';
+import masterDataService, {
+  MASTER_DATA,
+  APP_OWNED_FIELDS,
+  diffRecord,
+  planUpsert,
+} from '../../../services/master-data.service.js';
+
+const items = MASTER_DATA.stock_item;
+const customers = MASTER_DATA.customer;
+
+test.describe('Master Data Upsert', () => {
+  test('diffRecord should report changed fields only', () => {
+    const current = { stock_item_name: 'Rod', uom: 'Nos', gst: '18 %', rate: 150, hsn: '8311', parent_group: 'A' };
+    const incoming = { stock_item_name: 'Rod ', uom: 'Nos', gst: 18, rate: 165.5, hsn: '8311', parent_group: 'A' };
+    expect(diffRecord(items, current, incoming)).toEqual([{ field: 'rate', from: 150, to: 165.5 }]);
+  });
+
+  test('diffRecord should leave fields the source does not carry', () => {
+    expect(diffRecord(items, { rate: 150, uom: 'Nos' }, { rate: 150 })).toEqual([]);
+  });
+
+  test('diffRecord should never touch app-owned customer columns', () => {
+    const current = { customer_name: 'Acme', status: 'active', role: 'distributor', password: 'x', firebase_uid: 'u1' };
+    const incoming = { customer_name: 'Acme', status: 'inactive', role: 'direct', password: null, firebase_uid: null };
+    expect(diffRecord(customers, current, incoming)).toEqual([]);
+    APP_OWNED_FIELDS.forEach(field => expect(customers.fields).not.toContain(field));
+  });
+
+  test('diffRecord should not clear stored values the source leaves empty', () => {
+    const current = { customer_name: 'Acme', email: 'a@acme.test', state: 'KA' };
+    const incoming = { customer_name: 'Acme', email: null, state: '  ' };
+    expect(diffRecord(customers, current, incoming)).toEqual([]);
+  });
+
+  test('planUpsert should update Tally rate and customer type changes on existing records', () => {
+    const item = { item_code: 'A1', stock_item_name: 'Rod', uom: 'Nos', gst: 18, rate: 150 };
+    const itemPlan = planUpsert(items, new Map([['A1', item]]), [{ ...item, rate: 172.5 }]);
+    expect(itemPlan.updates).toEqual([
+      expect.objectContaining({ key: 'A1', changes: [{ field: 'rate', from: 150, to: 172.5 }] }),
+    ]);
+
+    const customer = { customer_code: 'C1', customer_name: 'Acme', customer_type: 'distributor' };
+    const customerPlan = planUpsert(customers, new Map([['C1', customer]]), [{ ...customer, customer_type: 'corporate' }]);
+    expect(customerPlan.updates[0].changes).toEqual([{ field: 'customer_type', from: 'distributor', to: 'corporate' }]);
+  });
+
+  test('upsert should report a changed Tally rate in the diff report', async () => {
+    masterDataService.loadExisting = async () => new Map([['A1', { item_code: 'A1', rate: 150 }]]);
+    try {
+      const result = await masterDataService.upsert('stock_item', [{ item_code: 'A1', rate: 172.5 }], { dryRun: true });
+      expect(result.counts).toMatchObject({ updated: 1, unchanged: 0 });
+      expect(result.changes).toEqual([
+        { key: 'A1', action: 'update', changes: [{ field: 'rate', from: 150, to: 172.5 }] },
+      ]);
+    } finally {
+      delete masterDataService.loadExisting;
+    }
+  });
+
+  test('planUpsert should split inserts, updates, unchanged and skipped', () => {
+    const existing = new Map([
+      ['A1', { item_code: 'A1', rate: 100 }],
+      ['A2', { item_code: 'A2', rate: 200 }],
+    ]);
+    const plan = planUpsert(items, existing, [
+      { item_code: 'A1', rate: 110 },
+      { item_code: 'A2', rate: 200 },
+      { item_code: 'A3', stock_item_name: 'New', rate: 50 },
+      { item_code: '', stock_item_name: 'No code' },
+      { item_code: 'A1', rate: 120 },
+    ]);
+
+    expect(plan.updates).toEqual([
+      expect.objectContaining({ key: 'A1', changes: [{ field: 'rate', from: 100, to: 110 }] }),
+    ]);
+    expect(plan.unchanged.map(u => u.key)).toEqual(['A2']);
+    expect(plan.inserts.map(i => i.key)).toEqual(['A3']);
+    expect(plan.skipped.map(s => s.error)).toEqual(['Missing item_code', 'Duplicate item_code in batch']);
+  });
+});
@@ -1,5 +1,6 @@
 // tests/unit/services/oracle.service.spec.js
 import { test, expect } from '@playwright/test';
+import { statementLabel } from '../../../services/oracle.service.js';
 
 // Mock Oracle Service
 const createMockOracleService = () => {
@@ -150,4 +151,13 @@ test.describe('Oracle Service', () => {
       'Database not connected'
     );
   });
+
+  test('statementLabel should name the verb and first table', () => {
+    expect(statementLabel('SELECT * FROM stock_item WHERE item_code = :1')).toBe('select stock_item');
+    expect(statementLabel(`
+      UPDATE orders o SET status = :to WHERE o.order_no = :order_no`)).toBe('update orders');
+    expect(statementLabel('INSERT INTO order_items (remarks) VALUES (\'from stock\')')).toBe('insert order_items');
+    expect(statementLabel('DELETE FROM stock_balances')).toBe('delete stock_balances');
+    expect(statementLabel('BEGIN purge_orders; END;')).toBe('begin');
+  });
 });
@@ -0,0 +1,41 @@
+// tests/unit/services/order-number.service.spec.js
+import { test, expect } from '@playwright/test';
+import orderNumberService, { periodKey, formatOrderNumber, resolveSeries } from '../../../services/order-number.service.js';
+
+test.describe('Order Number Series', () => {
+  test('resolveSeries should pick the corporate series for corporate vouchers', () => {
+    expect(resolveSeries('Distributor Order-Web Based').name).toBe('distributor');
+    expect(resolveSeries('Corporate Order-Web Based').name).toBe('corporate');
+    expect(resolveSeries(undefined).name).toBe('distributor');
+  });
+
+  test('periodKey should bucket by day for daily reset', () => {
+    expect(periodKey(new Date(2026, 0, 5), 'daily')).toBe('05-01-26');
+  });
+
+  test('periodKey should bucket April to March for financial year reset', () => {
+    expect(periodKey(new Date(2026, 3, 1), 'financial_year')).toBe('FY2627');
+    expect(periodKey(new Date(2027, 2, 31), 'financial_year')).toBe('FY2627');
+    expect(periodKey(new Date(2026, 2, 31), 'financial_year')).toBe('FY2526');
+  });
+
+  test('formatOrderNumber should keep the SQ-DD-MM-YY-NNNN format', () => {
+    const series = { name: 'distributor', prefix: 'SQ', reset: 'daily' };
+    expect(formatOrderNumber(series, '05-01-26', 7)).toBe('SQ-05-01-26-0007');
+  });
+
+  test('formatOrderNumber should use five digits for financial year series', () => {
+    const series = { name: 'corporate', prefix: 'CQ', reset: 'financial_year' };
+    expect(formatOrderNumber(series, 'FY2627', 42)).toBe('CQ-FY2627-00042');
+  });
+
+  test('markUsedOperation should only consume the caller\'s live reservation', async () => {
+    const operation = orderNumberService.markUsedOperation('SQ-05-01-26-0007', 'uid-1');
+
+    expect(operation.binds).toEqual({ order_no: 'SQ-05-01-26-0007', uid: 'uid-1' });
+    expect(operation.sql).toMatch(/status = 'reserved' AND reserved_by = :uid/);
+    expect(operation.sql).toContain('expires_at > SYSTIMESTAMP');
+    expect(operation).toMatchObject({ expectRows: true, noRowsCode: 'RESERVATION_EXPIRED' });
+    expect(await orderNumberService.isReservedBy('', 'uid-1')).toBe(false);
+  });
+});
@@ -0,0 +1,33 @@
+// tests/unit/services/order-status.service.spec.js
+import { test, expect } from '@playwright/test';
+import { checkTransition } from '../../../services/order-status.service.js';
+
+test.describe('Order Status Workflow', () => {
+  test('admins should move an order along the lifecycle', () => {
+    expect(checkTransition('approve', 'pending', 'admin')).toMatchObject({ ok: true, to: 'approved' });
+    expect(checkTransition('dispatch', 'approved', 'admin')).toMatchObject({ ok: true, to: 'dispatched' });
+    expect(checkTransition('invoice', 'dispatched', 'admin')).toMatchObject({ ok: true, to: 'invoiced' });
+  });
+
+  test('should reject illegal jumps with 409', () => {
+    const result = checkTransition('invoice', 'pending', 'admin');
+    expect(result.ok).toBe(false);
+    expect(result.status).toBe(409);
+  });
+
+  test('distributors should not approve orders', () => {
+    const result = checkTransition('approve', 'pending', 'distributor');
+    expect(result.ok).toBe(false);
+    expect(result.status).toBe(403);
+  });
+
+  test('customers may cancel only before approval', () => {
+    expect(checkTransition('cancel', 'pending', 'corporate').ok).toBe(true);
+    expect(checkTransition('cancel', 'approved', 'corporate').status).toBe(409);
+    expect(checkTransition('cancel', 'approved', 'admin')).toMatchObject({ ok: true, requiresReason: true });
+  });
+
+  test('should reject unknown actions', () => {
+    expect(checkTransition('archive', 'pending', 'admin').status).toBe(400);
+  });
+});
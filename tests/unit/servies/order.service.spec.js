@@ -0,0 +1,97 @@
+// tests/unit/services/order.service.spec.js
+import { test, expect } from '@playwright/test';
+import oracleService from '../../../services/oracle.service.js';
+import orderService, { normalizeOrderDocument } from '../../../services/order.service.js';
+import { ConflictError } from '../../../utils/errors.js';
+
+test.describe('Order Document', () => {
+  test('should pass through a { header, lines } document', () => {
+    const doc = normalizeOrderDocument({
+      header: { order_no: 'SQ-01-01-26-0001', customer_code: 1106, unknown: 'x' },
+      lines: [{ item_code: 'CAST001', quantity: 2 }],
+    });
+
+    expect(doc.header).toEqual({ order_no: 'SQ-01-01-26-0001', customer_code: 1106 });
+    expect(doc.lines).toHaveLength(1);
+  });
+
+  test('should fold legacy flat rows into one header and lines', () => {
+    const doc = normalizeOrderDocument([
+      { order_no: 'SQ-1', date: '2026-01-15', customer_code: 1106, item_code: 'A', quantity: 1, total_amount: 99 },
+      { id: 7, order_no: 'SQ-1', date: '2026-01-15', customer_code: 1106, item_code: 'B', quantity: 3 },
+    ]);
+
+    expect(doc.header.order_no).toBe('SQ-1');
+    expect(doc.header.order_date).toBe('2026-01-15');
+    expect(doc.header.customer_code).toBe(1106);
+    expect(doc.lines).toEqual([
+      { item_code: 'A', quantity: 1 },
+      { id: 7, item_code: 'B', quantity: 3 },
+    ]);
+  });
+
+  test('should accept header.date as order_date', () => {
+    const doc = normalizeOrderDocument({ header: { date: '2026-02-01' } });
+    expect(doc.header.order_date).toBe('2026-02-01');
+    expect(doc.lines).toEqual([]);
+  });
+
+  test('should return an empty document for invalid input', () => {
+    expect(normalizeOrderDocument(null)).toEqual({ header: {}, lines: [] });
+  });
+
+  test('restoreLines should only apply to the expected order version', async () => {
+    const executeTransaction = oracleService.executeTransaction;
+    const getOrderByNumber = orderService.getOrderByNumber;
+    let operations;
+    oracleService.executeTransaction = async ops => {
+      operations = ops;
+      throw new ConflictError('Order was changed by someone else', { code: 'STALE_VERSION' });
+    };
+    orderService.getOrderByNumber = async () => ({ header: { VERSION: 4 }, lines: [] });
+
+    try {
+      await expect(orderService.restoreLines('SQ-1', [7], { expectedVersion: 3 })).rejects.toMatchObject({
+        status: 409,
+        code: 'STALE_VERSION',
+        details: { currentVersion: 4 },
+      });
+      expect(operations[0].sql).toContain('AND version = :expected_version');
+      expect(operations[0].binds).toEqual({ order_no: 'SQ-1', expected_version: 3 });
+    } finally {
+      oracleService.executeTransaction = executeTransaction;
+      orderService.getOrderByNumber = getOrderByNumber;
+    }
+  });
+
+  test('updateOrder should fail when an updated line is not a current line of the order', async () => {
+    const getConnection = oracleService.getConnection;
+    const statements = [];
+    let rolledBack = false;
+    oracleService.getConnection = async () => ({
+      execute: async (sql, binds) => {
+        if (/^\s*UPDATE/.test(sql)) statements.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+        return { rows: [], rowsAffected: /UPDATE order_items/.test(sql) && binds.id === 99 ? 0 : 1 };
+      },
+      commit: async () => {},
+      rollback: async () => {
+        rolledBack = true;
+      },
+      close: async () => {},
+    });
+
+    try {
+      await expect(
+        orderService.updateOrder('SQ-1', { lines: [{ id: 99, quantity: 2 }] }, { expectedVersion: 3 }),
+      ).rejects.toMatchObject({
+        status: 409,
+        code: 'UNKNOWN_LINE',
+        message: 'Line 99 is not a current line of this order',
+      });
+      expect(statements).toEqual(['UPDATE orders', 'UPDATE order_items']);
+      expect(rolledBack).toBe(true);
+    } finally {
+      oracleService.getConnection = getConnection;
+    }
+  });
+});
@@ -0,0 +1,92 @@
+// tests/unit/services/price-list.service.spec.js
+import { test, expect } from '@playwright/test';
+import { ruleMatches, selectPriceRule, applyPriceRule } from '../../../services/price-list.service.js';
+import { priceRuleSchema } from '../../../schemas/price-rule.schema.js';
+import { validate } from '../../../utils/schema.js';
+
+const customer = { CUSTOMER_CODE: '1106', CUSTOMER_TYPE: 'distributor' };
+const item = { ITEM_CODE: 'W-1', PARENT_GROUP: 'Welding Alloys', RATE: 150 };
+const context = { customer, item, quantity: 10, date: new Date(2026, 3, 15, 14, 30) };
+
+const rule = (id, values) => ({ ID: id, MIN_QUANTITY: 0, ...values });
+
+test.describe('Price List Service', () => {
+  test('ruleMatches should check customer, item, quantity and validity days', () => {
+    expect(ruleMatches(rule(1, { CUSTOMER_TYPE: 'Distributor', PARENT_GROUP: 'welding alloys ' }), context)).toBe(true);
+    expect(ruleMatches(rule(2, { CUSTOMER_CODE: '1107' }), context)).toBe(false);
+    expect(ruleMatches(rule(3, { CUSTOMER_TYPE: 'direct' }), context)).toBe(false);
+    expect(ruleMatches(rule(4, { ITEM_CODE: 'W-2' }), context)).toBe(false);
+    expect(ruleMatches(rule(5, { MIN_QUANTITY: 25 }), context)).toBe(false);
+
+    // Both validity days are included whatever the time of day
+    expect(ruleMatches(rule(6, { VALID_FROM: new Date(2026, 3, 15), VALID_TO: new Date(2026, 3, 15) }), context)).toBe(
+      true,
+    );
+    expect(ruleMatches(rule(7, { VALID_TO: new Date(2026, 3, 14) }), context)).toBe(false);
+    expect(ruleMatches(rule(8, { VALID_FROM: new Date(2026, 3, 16) }), context)).toBe(false);
+  });
+
+  test('selectPriceRule should prefer the most specific rule', () => {
+    const everyone = rule(1, { DISC_PERCENTAGE: 2 });
+    const byType = rule(2, { CUSTOMER_TYPE: 'distributor', DISC_PERCENTAGE: 5 });
+    const byTypeAndItem = rule(3, { CUSTOMER_TYPE: 'distributor', ITEM_CODE: 'W-1', RATE: 140 });
+    const byCustomer = rule(4, { CUSTOMER_CODE: '1106', PARENT_GROUP: 'Welding Alloys', DISC_PERCENTAGE: 8 });
+    const quantityBreak = rule(5, { CUSTOMER_CODE: '1106', PARENT_GROUP: 'Welding Alloys', MIN_QUANTITY: 10 });
+
+    expect(selectPriceRule([everyone, byType], context)).toBe(byType);
+    expect(selectPriceRule([everyone, byType, byTypeAndItem], context)).toBe(byTypeAndItem);
+    expect(selectPriceRule([byTypeAndItem, byCustomer], context)).toBe(byCustomer);
+    expect(selectPriceRule([byCustomer, quantityBreak], context)).toBe(quantityBreak);
+    expect(selectPriceRule([byCustomer, quantityBreak], { ...context, quantity: 5 })).toBe(byCustomer);
+    expect(selectPriceRule([rule(9, { ITEM_CODE: 'W-2' })], context)).toBeNull();
+  });
+
+  test('selectPriceRule should break ties on the latest valid_from, then the newest rule', () => {
+    const older = rule(1, { VALID_FROM: new Date(2026, 0, 1) });
+    const newer = rule(2, { VALID_FROM: new Date(2026, 3, 1) });
+    expect(selectPriceRule([newer, older], context)).toBe(newer);
+    expect(selectPriceRule([rule(3, {}), rule(7, {})], context).ID).toBe(7);
+  });
+
+  test('applyPriceRule should take rate and discounts from the rule', () => {
+    const line = { item_code: 'W-1', quantity: 10, disc_percentage: 30, spl_disc_percentage: 10 };
+
+    expect(applyPriceRule(line, item, rule(4, { RATE: 140, DISC_PERCENTAGE: 5 }))).toEqual({
+      rate: 140,
+      disc_percentage: 5,
+      spl_disc_percentage: 0,
+      price_rule_id: 4,
+    });
+    expect(applyPriceRule(line, item, rule(5, { DISC_PERCENTAGE: 5 })).rate).toBe(150);
+    expect(applyPriceRule(line, item, null)).toEqual({
+      rate: 150,
+      disc_percentage: 0,
+      spl_disc_percentage: 0,
+      price_rule_id: null,
+    });
+    expect(applyPriceRule(line, item, null, { clientDiscounts: true })).toEqual({
+      rate: 150,
+      disc_percentage: 30,
+      spl_disc_percentage: 10,
+      price_rule_id: null,
+    });
+    expect(applyPriceRule(line, { ...item, RATE: null }, null).rate).toBeNull();
+  });
+
+  test('priceRuleSchema should reject ambiguous or empty rules', () => {
+    const { errors } = validate(priceRuleSchema, {
+      customer_code: '1106',
+      customer_type: 'distributor',
+      item_code: 'W-1',
+      parent_group: 'Welding Alloys',
+      valid_from: '2026-04-01',
+      valid_to: '2026-03-01',
+    });
+
+    expect(errors.map(error => error.field)).toEqual(['customer_type', 'parent_group', 'valid_to', 'body']);
+    expect(validate(priceRuleSchema, { customer_type: 'distributor', disc_percentage: '5 %' })).toEqual({
+      value: { customer_type: 'distributor', disc_percentage: 5 },
+      errors: [],
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// tests/unit/services/pricing.service.spec.js
+import { test, expect } from '@playwright/test';
+import {
+  priceLine,
+  summarizeLines,
+  findMismatches,
+  isIntraState,
+  parseNumber,
+  lineInputError,
+} from '../../../services/pricing.service.js';
+
+test.describe('Pricing Engine', () => {
+  test('parseNumber should handle GST and padded rate strings', () => {
+    expect(parseNumber('18 %')).toBe(18);
+    expect(parseNumber(' 150.00 ')).toBe(150);
+    expect(parseNumber(null)).toBe(0);
+    expect(parseNumber('-5')).toBe(-5);
+  });
+
+  test('lineInputError should reject non-positive quantities and out-of-range discounts', () => {
+    expect(lineInputError({ quantity: 2, disc_percentage: 10, spl_disc_percentage: 0 })).toBeNull();
+    expect(lineInputError({ quantity: 0 })).toBe('Quantity must be greater than 0');
+    expect(lineInputError({ quantity: 2, disc_percentage: '-5' })).toBe('Discounts must be between 0 and 100');
+    expect(lineInputError({ quantity: 2, spl_disc_percentage: 101 })).toBe('Discounts must be between 0 and 100');
+  });
+
+  test('isIntraState should compare states case-insensitively', () => {
+    expect(isIntraState('maharashtra ', 'Maharashtra')).toBe(true);
+    expect(isIntraState('Delhi', 'Maharashtra')).toBe(false);
+    expect(isIntraState('not_applicable', 'Maharashtra')).toBe(true);
+  });
+
+  test('priceLine should apply discounts and split GST intra-state', () => {
+    const line = priceLine(
+      { item_code: 'CAST001', quantity: 10, disc_percentage: 10, spl_disc_percentage: 5 },
+      { rate: 100, gst: '18 %' },
+      { intraState: true },
+    );
+
+    expect(line.gross_amount).toBe(1000);
+    expect(line.disc_amount).toBe(100);
+    expect(line.spl_disc_amount).toBe(45);
+    expect(line.amount).toBe(855);
+    expect(line.net_rate).toBe(85.5);
+    expect(line.cgst).toBe(76.95);
+    expect(line.sgst).toBe(76.95);
+    expect(line.igst).toBe(0);
+  });
+
+  test('priceLine should charge IGST inter-state', () => {
+    const line = priceLine({ quantity: 3 }, { rate: 151, gst: 18 }, { intraState: false });
+
+    expect(line.amount).toBe(453);
+    expect(line.igst).toBe(81.54);
+    expect(line.cgst + line.sgst).toBe(0);
+  });
+
+  test('summarizeLines should total amounts and taxes', () => {
+    const totals = summarizeLines([
+      { quantity: 2, amount: 100, cgst: 9, sgst: 9, igst: 0 },
+      { quantity: 1, amount: 50.5, cgst: 4.55, sgst: 4.54, igst: 0 },
+    ]);
+
+    expect(totals.total_quantity).toBe(3);
+    expect(totals.total_amount_without_tax).toBe(150.5);
+    expect(totals.total_amount).toBe(177.59);
+  });
+
+  test('findMismatches should ignore rounding and missing client values', () => {
+    const computed = { amount: 855, cgst: 76.95 };
+    expect(findMismatches({ amount: 855.004 }, computed, ['amount', 'cgst'])).toEqual([]);
+    expect(findMismatches({ amount: 900 }, computed, ['amount'])).toEqual([
+      { field: 'amount', client: 900, expected: 855 },
+    ]);
+  });
+});
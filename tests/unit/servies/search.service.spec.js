@@ -0,0 +1,79 @@
+// tests/unit/services/search.service.spec.js
+import { test, expect } from '@playwright/test';
+import {
+  normalizeSearchText,
+  tokenizeQuery,
+  parseSearchLimit,
+  buildSearchQuery,
+  matchesQuery,
+  matchRank,
+  STOCK_ITEM_SEARCH,
+  MAX_SEARCH_LIMIT,
+} from '../../../services/search.service.js';
+
+test.describe('Search Service', () => {
+  test('normalizeSearchText should ignore case and punctuation', () => {
+    expect(normalizeSearchText('200 NB')).toBe('200NB');
+    expect(normalizeSearchText('200-nb')).toBe('200NB');
+    expect(normalizeSearchText(null)).toBe('');
+  });
+
+  test('tokenizeQuery should split on whitespace and drop empty tokens', () => {
+    expect(tokenizeQuery('  pipe 200nb  ')).toEqual(['PIPE', '200NB']);
+    expect(tokenizeQuery('- /')).toEqual([]);
+  });
+
+  test('parseSearchLimit should default, cap and reject', () => {
+    expect(parseSearchLimit(undefined)).toBe(20);
+    expect(parseSearchLimit('1000')).toBe(MAX_SEARCH_LIMIT);
+    expect(parseSearchLimit('abc')).toBeNull();
+  });
+
+  test('buildSearchQuery should bind every token and rank prefix matches first', () => {
+    const query = buildSearchQuery(STOCK_ITEM_SEARCH, '200 NB', 10);
+    expect(query.binds).toEqual({ q: '200NB', limit: 10, t0: '200', t1: 'NB' });
+    expect(query.sql).toContain(":q || '%' THEN 1");
+    expect(query.sql).toContain('ORDER BY match_rank, stock_item_name');
+    expect(query.sql).not.toContain('200');
+  });
+
+  test('buildSearchQuery should filter on containment and use prefixes only to rank', () => {
+    const { sql } = buildSearchQuery(STOCK_ITEM_SEARCH, '200 NB');
+    const [select, where] = sql.split('WHERE');
+    expect(where).toContain('INSTR(');
+    expect(where).not.toContain('LIKE');
+    expect(select).toContain("REGEXP_REPLACE(UPPER(hsn), '[^A-Z0-9]', '') LIKE :t1 || '%'");
+    expect(select).toContain('ELSE 5');
+  });
+
+  test('a token in the middle of a name should still match, ranked below prefix hits', () => {
+    const items = [
+      { item_code: 'X100', stock_item_name: 'MS PIPE 200 NB', hsn: '7306' },
+      { item_code: 'P200', stock_item_name: 'Pipe 200nb Flanged', hsn: '7306' },
+      { item_code: '200-NB', stock_item_name: 'Bend', hsn: '7307' },
+      { item_code: 'R1', stock_item_name: 'Rod', hsn: '8311' },
+    ];
+
+    // Filtered and ordered as the SQL does: match_rank, then name
+    const search = q =>
+      items
+        .filter(item => matchesQuery(STOCK_ITEM_SEARCH, item, q))
+        .map(item => [matchRank(STOCK_ITEM_SEARCH, item, q), item.stock_item_name, item.item_code])
+        .sort((a, b) => a[0] - b[0] || a[1].localeCompare(b[1]))
+        .map(([rank, , code]) => [code, rank]);
+
+    expect(search('PIPE 200')).toEqual([
+      ['P200', 2],
+      ['X100', 5],
+    ]);
+    expect(search('200NB')).toEqual([
+      ['200-NB', 0],
+      ['X100', 5],
+      ['P200', 5],
+    ]);
+  });
+
+  test('buildSearchQuery should return null for an empty query', () => {
+    expect(buildSearchQuery(STOCK_ITEM_SEARCH, '   ')).toBeNull();
+  });
+});
@@ -0,0 +1,153 @@
+// tests/unit/services/stock-import.service.spec.js
+import { test, expect } from '@playwright/test';
+import { deflateRawSync } from 'node:zlib';
+import stockImportService, {
+  parseStockRows,
+  parseImportNumber,
+  detectFormat,
+} from '../../../services/stock-import.service.js';
+import { parseCsv } from '../../../services/import/csv.js';
+import { readXlsx, XLSX_LIMIT_EXCEEDED } from '../../../services/import/xlsx.js';
+
+// Zip archive of deflated entries; CRCs are left 0 since readZip does not check them
+const zip = files => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name);
+    const data = deflateRawSync(Buffer.from(content));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += 30 + nameBuffer.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const SAMPLE_CSV = [
+  'S.No,Item_Code,Stock_Item_Name,HSN_Code,GST%,Selling_rate',
+  '1,,1No of Postpaid Connection-Plan,,18 %, 150.00 ',
+  '2,ICBP2001010,200 NBX1010 R X 90 DEG WITH ROTATING FLANGES,73069090,18 %, 151.00 ',
+  '',
+  '3,ICBP2001260,"200 NBX1260 R X 90 DEG, ""ROTATING"" FLANGES",73069090,,abc',
+  '4,ICBP2001010,Duplicate,73069090,18 %,1',
+].join('\r\n');
+
+test.describe('Stock Import Service', () => {
+  test('parseCsv should handle quotes, embedded commas and CRLF', () => {
+    expect(parseCsv('a,"b, ""c""",d\r\n"x\ny",,\n')).toEqual([
+      ['a', 'b, "c"', 'd'],
+      ['x\ny', '', ''],
+    ]);
+    expect(parseCsv('\uFEFFItem_Code\n1')).toEqual([['Item_Code'], ['1']]);
+  });
+
+  test('parseImportNumber should normalise GST strings and padded numbers', () => {
+    expect(parseImportNumber('18 %')).toBe(18);
+    expect(parseImportNumber(' 150.00 ')).toBe(150);
+    expect(parseImportNumber('1,250.50')).toBe(1250.5);
+    expect(parseImportNumber('  ')).toBeNull();
+    expect(parseImportNumber('abc')).toBeNaN();
+  });
+
+  test('parseStockRows should map the stock_item.csv layout and report bad rows by line', () => {
+    const { records, errors } = parseStockRows(parseCsv(SAMPLE_CSV));
+
+    expect(records).toEqual([
+      {
+        row: 3,
+        record: {
+          item_code: 'ICBP2001010',
+          stock_item_name: '200 NBX1010 R X 90 DEG WITH ROTATING FLANGES',
+          hsn: '73069090',
+          gst: 18,
+          rate: 151,
+        },
+      },
+    ]);
+    expect(errors).toEqual([
+      { row: 2, item_code: null, field: 'item_code', error: 'is required' },
+      { row: 5, item_code: 'ICBP2001260', field: 'rate', error: "'abc' is not a number" },
+      { row: 6, item_code: 'ICBP2001010', field: 'item_code', error: 'duplicates row 3' },
+    ]);
+  });
+
+  test('parseStockRows should require the key columns in the header', () => {
+    expect(() => parseStockRows([['S.No', 'Name'], ['1', 'x']])).toThrow(/Item_Code and Stock_Item_Name/);
+    expect(() => parseStockRows([[''], []])).toThrow(/empty/);
+  });
+
+  test('readXlsx should read the first sheet with shared strings and percent formats', async () => {
+    const workbook = zip({
+      'xl/workbook.xml':
+        '<workbook xmlns:r="r"><sheets><sheet name="Items" sheetId="1" r:id="rId1"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels':
+        '<Relationships><Relationship Id="rId1" Target="worksheets/items.xml"/></Relationships>',
+      'xl/sharedStrings.xml':
+        '<sst><si><t>Item_Code</t></si><si><t>Stock_Item_Name</t></si><si><r><t>Weld </t></r><r><t>Rod</t></r></si></sst>',
+      'xl/styles.xml': '<styleSheet><cellXfs><xf numFmtId="0"/><xf numFmtId="9"/></cellXfs></styleSheet>',
+      'xl/worksheets/items.xml':
+        '<worksheet><sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c>' +
+        '<c r="C1" t="inlineStr"><is><t>GST%</t></is></c><c r="D1" t="inlineStr"><is><t>Rate</t></is></c></row>' +
+        '<row r="3"><c r="A3"><v>1001</v></c><c r="B3" t="s"><v>2</v></c><c r="C3" s="1"><v>0.18</v></c>' +
+        '<c r="D3"><v>150.5</v></c></row>' +
+        '</sheetData></worksheet>',
+    });
+
+    expect(detectFormat(workbook)).toBe('xlsx');
+    expect(detectFormat(Buffer.from(SAMPLE_CSV))).toBe('csv');
+
+    const rows = await readXlsx(workbook);
+    expect(rows).toEqual([['Item_Code', 'Stock_Item_Name', 'GST%', 'Rate'], [], ['1001', 'Weld Rod', '18 %', '150.5']]);
+    expect(parseStockRows(rows).records[0].record).toEqual({
+      item_code: '1001',
+      stock_item_name: 'Weld Rod',
+      gst: 18,
+      rate: 150.5,
+    });
+  });
+
+  test('readXlsx should stop inflating past the size limit', async () => {
+    const bomb = zip({ 'xl/worksheets/sheet1.xml': `<worksheet>${' '.repeat(1024 * 1024)}</worksheet>` });
+    expect(bomb.length).toBeLessThan(4096);
+
+    await expect(readXlsx(bomb, { maxBytes: 64 * 1024 })).rejects.toMatchObject({ code: XLSX_LIMIT_EXCEEDED });
+  });
+
+  test('readXlsx should reject sheets past the row limit', async () => {
+    const workbook = zip({
+      'xl/worksheets/sheet1.xml':
+        '<worksheet><sheetData><row r="1048576"><c r="A1048576"><v>1</v></c></row></sheetData></worksheet>',
+    });
+
+    await expect(readXlsx(workbook)).rejects.toThrow(/more than 50000 rows/);
+    await expect(stockImportService.readRows(workbook)).rejects.toMatchObject({
+      status: 400,
+      code: 'IMPORT_FILE_TOO_LARGE',
+    });
+  });
+});
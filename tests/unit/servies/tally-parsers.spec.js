@@ -0,0 +1,160 @@
+// tests/unit/services/tally-parsers.spec.js
+import { test, expect } from '@playwright/test';
+import {
+  extractMobileNumber,
+  shouldSkipLedger,
+  parseTallyCustomers,
+  parseTallyItems,
+  parseTallyStockBalances,
+} from '../../../services/tally/parsers.js';
+import tallySyncService, { runStatus } from '../../../services/tally-sync.service.js';
+import oracleService from '../../../services/oracle.service.js';
+
+const envelope = messages => `<ENVELOPE><BODY><IMPORTDATA><REQUESTDATA>${messages}</REQUESTDATA></IMPORTDATA></BODY></ENVELOPE>`;
+
+const customersXml = envelope(`
+  <TALLYMESSAGE>
+    <LEDGER NAME="Acme Traders">
+      <LANGUAGENAME.LIST><NAME.LIST><NAME>Acme Traders</NAME><NAME>CUST001</NAME></NAME.LIST></LANGUAGENAME.LIST>
+      <PARENT>Sundry Debtors</PARENT>
+      <LEDGERMOBILE>+91 98765-43210</LEDGERMOBILE>
+      <EMAIL>-</EMAIL>
+      <STATE>Gujarat</STATE>
+      <UDF:_UDF_788560154.LIST><UDF:_UDF_788560154>Distributor</UDF:_UDF_788560154></UDF:_UDF_788560154.LIST>
+    </LEDGER>
+  </TALLYMESSAGE>
+  <TALLYMESSAGE>
+    <LEDGER NAME="Cash"><NAME.LIST><NAME>Cash</NAME></NAME.LIST><PARENT>Cash-in-Hand</PARENT></LEDGER>
+  </TALLYMESSAGE>
+  <TALLYMESSAGE>
+    <LEDGER NAME="Vendor"><NAME.LIST><NAME>Vendor Co</NAME></NAME.LIST><PARENT>Sundry Creditors</PARENT></LEDGER>
+  </TALLYMESSAGE>`);
+
+const itemsXml = envelope(`
+  <TALLYMESSAGE>
+    <STOCKITEM NAME="Welding Rod 200 NB">
+      <NAME>Welding Rod 200 NB</NAME>
+      <PARENT>Consumables</PARENT>
+      <BASEUNITS>Nos</BASEUNITS>
+      <OPENINGRATE>150.00/Nos</OPENINGRATE>
+      <MAILINGNAME.LIST><MAILINGNAME>WR-200</MAILINGNAME></MAILINGNAME.LIST>
+      <GSTDETAILS.LIST><STATEWISEDETAILS.LIST><RATEDETAILS.LIST><GSTRATE>9</GSTRATE></RATEDETAILS.LIST><RATEDETAILS.LIST><GSTRATE>18</GSTRATE></RATEDETAILS.LIST></STATEWISEDETAILS.LIST></GSTDETAILS.LIST>
+      <HSNDETAILS.LIST><APPLICABLEFROM>20170701</APPLICABLEFROM><HSNCODE>8311</HSNCODE></HSNDETAILS.LIST>
+      <HSNDETAILS.LIST><APPLICABLEFROM>20220401</APPLICABLEFROM><HSNCODE>83112000</HSNCODE></HSNDETAILS.LIST>
+      <DESCRIPTION>Bad &#4; char</DESCRIPTION>
+    </STOCKITEM>
+  </TALLYMESSAGE>`);
+
+test.describe('Tally Parsers', () => {
+  test('extractMobileNumber should normalise Indian numbers', () => {
+    expect(extractMobileNumber('09876543210')).toBe('9876543210');
+    expect(extractMobileNumber('+91 98765 43210')).toBe('9876543210');
+    expect(extractMobileNumber('12345')).toBeNull();
+    expect(extractMobileNumber('N/A')).toBeNull();
+  });
+
+  test('shouldSkipLedger should skip system ledgers', () => {
+    expect(shouldSkipLedger('Output CGST 9%')).toBe(true);
+    expect(shouldSkipLedger('Acme Traders')).toBe(false);
+  });
+
+  test('parseTallyCustomers should keep only Sundry Debtors', async () => {
+    const customers = await parseTallyCustomers(customersXml);
+    expect(customers).toEqual([
+      {
+        customer_code: 'CUST001',
+        customer_name: 'Acme Traders',
+        email: null,
+        mobile_number: '9876543210',
+        state: 'Gujarat',
+        customer_type: 'distributor',
+        role: 'distributor',
+        parent_group: 'Sundry Debtors',
+      },
+    ]);
+  });
+
+  test('parseTallyItems should read code, GST, latest HSN and rate', async () => {
+    const items = await parseTallyItems(itemsXml);
+    expect(items).toEqual([
+      {
+        stock_item_name: 'Welding Rod 200 NB',
+        item_code: 'WR-200',
+        parent_group: 'Consumables',
+        uom: 'Nos',
+        gst: 18,
+        hsn: '83112000',
+        rate: 150,
+      },
+    ]);
+  });
+
+  test('parseTallyStockBalances should read batch allocations per godown', async () => {
+    const xml = envelope(`
+      <STOCKITEM NAME="Welding Rod 3.15mm">
+        <MAILINGNAME.LIST><MAILINGNAME>W-1</MAILINGNAME></MAILINGNAME.LIST>
+        <BASEUNITS>Kg</BASEUNITS>
+        <CLOSINGBALANCE> 30 Kg</CLOSINGBALANCE>
+        <BATCHALLOCATIONS.LIST>
+          <GODOWNNAME>Pune</GODOWNNAME><BATCHNAME>B-7</BATCHNAME>
+          <CLOSINGBALANCE> 1,020.5 Kg</CLOSINGBALANCE><CLOSINGVALUE>-153075.00</CLOSINGVALUE>
+          <CLOSINGRATE>150.00/Kg</CLOSINGRATE>
+        </BATCHALLOCATIONS.LIST>
+      </STOCKITEM>
+      <STOCKITEM NAME="Flux">
+        <MAILINGNAME.LIST><MAILINGNAME>F-1</MAILINGNAME></MAILINGNAME.LIST>
+        <BASEUNITS>Nos</BASEUNITS>
+        <OPENINGBALANCE> 4 Nos</OPENINGBALANCE><CLOSINGBALANCE> 12 Nos</CLOSINGBALANCE>
+      </STOCKITEM>
+      <STOCKITEM NAME="No Code"><CLOSINGBALANCE> 1 Nos</CLOSINGBALANCE></STOCKITEM>`);
+
+    const balances = await parseTallyStockBalances(xml, { defaultGodown: 'Main Location' });
+
+    expect(balances).toHaveLength(2);
+    expect(balances[0]).toMatchObject({
+      item_code: 'W-1',
+      godown: 'Pune',
+      batch_name: 'B-7',
+      uom: 'Kg',
+      closing_qty: 1020.5,
+      closing_value: 153075,
+      closing_rate: 150,
+    });
+    expect(balances[1]).toMatchObject({
+      item_code: 'F-1',
+      godown: 'Main Location',
+      batch_name: null,
+      opening_qty: 4,
+      closing_qty: 12,
+    });
+  });
+
+  test('runStatus should distinguish success, partial and failed runs', () => {
+    const counts = { received: 1, inserted: 1, updated: 0, skipped: 0, failed: 0 };
+    const none = { received: 0, inserted: 0, updated: 0, skipped: 0, failed: 0 };
+    expect(runStatus({ customers: counts }, [])).toBe('success');
+    expect(runStatus({ customers: counts }, [{ error: 'x' }])).toBe('partial');
+    expect(runStatus({ customers: none }, [{ error: 'x' }])).toBe('failed');
+  });
+
+  test('createRun should report a run held by another instance as a conflict', async () => {
+    const executeQuery = oracleService.executeQuery;
+    const statements = [];
+    oracleService.executeQuery = async sql => {
+      statements.push(sql.trim().split(/\s+/)[0]);
+      if (/^\s*INSERT/.test(sql)) {
+        throw Object.assign(new Error('ORA-00001: unique constraint (APP.TALLY_SYNC_LOG_RUNNING_UX) violated'), {
+          errorNum: 1,
+        });
+      }
+      return { rowsAffected: 0 };
+    };
+
+    try {
+      await expect(tallySyncService.createRun('schedule')).rejects.toMatchObject({ status: 409, code: 'SYNC_RUNNING' });
+      expect(statements).toEqual(['UPDATE', 'INSERT']);
+    } finally {
+      oracleService.executeQuery = executeQuery;
+    }
+  });
+});
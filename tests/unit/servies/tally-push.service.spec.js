@@ -0,0 +1,110 @@
+// tests/unit/services/tally-push.service.spec.js
+import { test, expect } from '@playwright/test';
+import http from 'http';
+import tallyClient from '../../../services/tally/client.js';
+import { buildSalesOrderXml, tallyDate } from '../../../services/tally/vouchers.js';
+import { parseImportResponse } from '../../../services/tally/parsers.js';
+import oracleService from '../../../services/oracle.service.js';
+import tallyPushService, { pushOutcome } from '../../../services/tally-push.service.js';
+
+const order = {
+  header: {
+    ORDER_NO: 'SQ-05-01-26-0007',
+    VOUCHER_TYPE: 'Distributor Order-Web Based',
+    ORDER_DATE: new Date(2026, 0, 5),
+    DELIVERY_DATE: new Date(2026, 0, 12),
+    CUSTOMER_NAME: 'Acme & Sons',
+    REMARKS: 'Urgent <rush>',
+    TOTAL_CGST_AMOUNT: 13.5,
+    TOTAL_SGST_AMOUNT: 13.5,
+    TOTAL_IGST_AMOUNT: 0,
+    TOTAL_AMOUNT: 177,
+  },
+  lines: [{ ITEM_NAME: 'Welding Rod', QUANTITY: 1, UOM: 'Nos', RATE: 150, DISC_PERCENTAGE: 0, AMOUNT: 150 }],
+};
+
+const CREATED_RESPONSE = `<RESPONSE><CREATED>1</CREATED><ALTERED>0</ALTERED><LASTVCHID>4321</LASTVCHID><ERRORS>0</ERRORS><EXCEPTIONS>0</EXCEPTIONS></RESPONSE>`;
+const REJECTED_RESPONSE = `<ENVELOPE><BODY><DATA><IMPORTRESULT><LINEERROR>Ledger 'Acme &amp; Sons' does not exist!</LINEERROR><CREATED>0</CREATED><ERRORS>1</ERRORS></IMPORTRESULT></DATA></BODY></ENVELOPE>`;
+
+// Minimal stand-in for Tally's HTTP server
+const startTallyStub = respond =>
+  new Promise(resolve => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        received.push(body);
+        res.writeHead(200, { 'Content-Type': 'text/xml' });
+        res.end(respond(body));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+
+test.describe('Tally Sales Order Push', () => {
+  test('buildSalesOrderXml should produce an escaped Sales Order import', () => {
+    const xml = buildSalesOrderXml(order, { company: 'Test Co' });
+    expect(xml).toContain('<TALLYREQUEST>Import Data</TALLYREQUEST>');
+    expect(xml).toContain('VCHTYPE="Distributor Order-Web Based"');
+    expect(xml).toContain('<VOUCHERNUMBER>SQ-05-01-26-0007</VOUCHERNUMBER>');
+    expect(xml).toContain('<PARTYLEDGERNAME>Acme &amp; Sons</PARTYLEDGERNAME>');
+    expect(xml).toContain('<NARRATION>Urgent &lt;rush&gt;</NARRATION>');
+    expect(xml).toContain('<AMOUNT>-177.00</AMOUNT>');
+    expect(xml).toContain('<ALLINVENTORYENTRIES.LIST>');
+    expect(xml).toContain('<ORDERDUEDATE>20260112</ORDERDUEDATE>');
+    expect(xml).toContain('<LEDGERNAME>Output CGST</LEDGERNAME>');
+    expect(xml).not.toContain('Output IGST');
+  });
+
+  test('tallyDate should format as YYYYMMDD', () => {
+    expect(tallyDate(new Date(2026, 0, 5))).toBe('20260105');
+  });
+
+  test('should record the voucher id when Tally creates the voucher', async () => {
+    const stub = await startTallyStub(() => CREATED_RESPONSE);
+    try {
+      const response = await tallyClient.post(buildSalesOrderXml(order), { url: stub.url });
+      expect(stub.received[0]).toContain('SQ-05-01-26-0007');
+      expect(pushOutcome(await parseImportResponse(response))).toEqual({
+        status: 'pushed',
+        voucherId: '4321',
+        error: null,
+      });
+    } finally {
+      stub.server.close();
+    }
+  });
+
+  test('should report LINEERROR messages when Tally rejects the voucher', async () => {
+    const stub = await startTallyStub(() => REJECTED_RESPONSE);
+    try {
+      const response = await tallyClient.post(buildSalesOrderXml(order), { url: stub.url });
+      expect(pushOutcome(await parseImportResponse(response))).toEqual({
+        status: 'failed',
+        voucherId: null,
+        error: "Ledger 'Acme & Sons' does not exist!",
+      });
+    } finally {
+      stub.server.close();
+    }
+  });
+
+  test('claim should take over a pending push older than the claim window', async () => {
+    const executeQuery = oracleService.executeQuery;
+    const calls = [];
+    oracleService.executeQuery = async (sql, binds) => {
+      calls.push({ sql, binds });
+      return { rowsAffected: 1 };
+    };
+
+    try {
+      expect(await tallyPushService.claim('SQ-05-01-26-0007', 15)).toBe(true);
+      expect(calls[0].sql).toContain('tally_push_claimed_at = SYSTIMESTAMP');
+      expect(calls[0].sql).toMatch(/tally_push_status = 'pending'\s+AND \(tally_push_claimed_at IS NULL/);
+      expect(calls[0].binds).toMatchObject({ order_no: 'SQ-05-01-26-0007', minutes: 15 });
+    } finally {
+      oracleService.executeQuery = executeQuery;
+    }
+  });
+});
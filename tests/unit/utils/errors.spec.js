@@ -0,0 +1,117 @@
+// tests/unit/utils/errors.spec.js
+import { test, expect } from '@playwright/test';
+import {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+  translateOracleError,
+  toAppError,
+} from '../../../utils/errors.js';
+import { renderError, errorHandler } from '../../../middleware/error-handler.js';
+
+const oracleError = (errorNum, message) => Object.assign(new Error(message), { errorNum });
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null, headersSent: false };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = payload => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+};
+
+test.describe('Typed errors', () => {
+  test('subclasses should carry their status and code', () => {
+    const error = new ConflictError('Order changed');
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.status).toBe(409);
+    expect(error.code).toBe('CONFLICT');
+
+    const validation = new ValidationError(undefined, { details: [{ field: 'qty', error: 'is required' }] });
+    expect(validation.status).toBe(422);
+    expect(validation.message).toBe('Validation failed');
+    expect(validation.details).toHaveLength(1);
+  });
+
+  test('a custom code should override the default', () => {
+    expect(new ConflictError('Stale', { code: 'NO_ROWS_AFFECTED' }).code).toBe('NO_ROWS_AFFECTED');
+  });
+});
+
+test.describe('Oracle error translation', () => {
+  test('should map a unique constraint violation to 409', () => {
+    const error = translateOracleError(
+      oracleError(1, 'ORA-00001: unique constraint (PORTAL.CUSTOMER_PK) violated'),
+    );
+    expect(error.status).toBe(409);
+    expect(error.code).toBe('DUPLICATE_RECORD');
+    expect(error.details).toEqual({ constraint: 'customer_pk' });
+    expect(error.message).not.toContain('ORA-');
+  });
+
+  test('should name the column for missing and oversized values', () => {
+    const missing = translateOracleError(
+      oracleError(1400, 'ORA-01400: cannot insert NULL into ("PORTAL"."ORDERS"."ITEM_CODE")'),
+    );
+    expect(missing.status).toBe(422);
+    expect(missing.details).toEqual({ table: 'orders', column: 'item_code' });
+    expect(missing.message).toBe('A required value is missing (item_code)');
+
+    const tooLarge = translateOracleError(
+      oracleError(12899, 'ORA-12899: value too large for column "PORTAL"."CUSTOMER"."EMAIL" (actual: 120, maximum: 100)'),
+    );
+    expect(tooLarge.code).toBe('VALUE_TOO_LARGE');
+    expect(tooLarge.details.column).toBe('email');
+  });
+
+  test('should report connection failures as 503', () => {
+    expect(translateOracleError(oracleError(12541, 'ORA-12541: TNS:no listener')).status).toBe(503);
+    expect(toAppError(new Error('NJS-500: connection to the Oracle Database was broken')).status).toBe(503);
+  });
+
+  test('should ignore unknown errors', () => {
+    expect(translateOracleError(oracleError(942, 'ORA-00942: table or view does not exist'))).toBeNull();
+    expect(translateOracleError(new Error('boom'))).toBeNull();
+  });
+});
+
+test.describe('toAppError', () => {
+  test('should keep AppErrors as they are', () => {
+    const error = new NotFoundError('Order not found');
+    expect(toAppError(error)).toBe(error);
+  });
+
+  test('should map body parser failures', () => {
+    expect(toAppError(Object.assign(new Error('Unexpected token'), { type: 'entity.parse.failed' })).status).toBe(400);
+    expect(toAppError(Object.assign(new Error('too large'), { type: 'entity.too.large' })).status).toBe(413);
+  });
+
+  test('should hide the message of unknown errors', () => {
+    const error = toAppError(new TypeError("Cannot read properties of undefined (reading 'ROWS')"));
+    expect(error.status).toBe(500);
+    expect(error.message).toBe('Internal server error');
+  });
+});
+
+test.describe('Error responses', () => {
+  test('renderError should produce the common shape', () => {
+    const body = renderError(new NotFoundError('Order not found'), 'abc-123');
+    expect(body).toEqual({ success: false, error: 'Order not found', code: 'NOT_FOUND', correlationId: 'abc-123' });
+  });
+
+  test('errorHandler should respond with the translated status', () => {
+    const res = mockResponse();
+    const req = { correlationId: 'abc-123', method: 'POST', originalUrl: '/orders' };
+    errorHandler(oracleError(2291, 'ORA-02291: integrity constraint (PORTAL.ORDERS_ITEM_FK) violated'), req, res);
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.code).toBe('REFERENCE_NOT_FOUND');
+    expect(res.body.details).toEqual({ constraint: 'orders_item_fk' });
+    expect(res.body.correlationId).toBe('abc-123');
+  });
+});
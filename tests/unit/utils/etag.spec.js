@@ -0,0 +1,24 @@
+// tests/unit/utils/etag.spec.js
+import { test, expect } from '@playwright/test';
+import { versionTag, parseVersionTag } from '../../../utils/etag.js';
+
+test.describe('Version ETags', () => {
+  test('versionTag should quote the version', () => {
+    expect(versionTag(3)).toBe('"3"');
+  });
+
+  test('parseVersionTag should read strong, weak and bare versions', () => {
+    expect(parseVersionTag('"3"')).toBe(3);
+    expect(parseVersionTag('W/"12"')).toBe(12);
+    expect(parseVersionTag(' 7 ')).toBe(7);
+  });
+
+  test('parseVersionTag should reject anything else', () => {
+    expect(parseVersionTag(undefined)).toBeNull();
+    expect(parseVersionTag('')).toBeNull();
+    expect(parseVersionTag('*')).toBeNull();
+    expect(parseVersionTag('"0"')).toBeNull();
+    expect(parseVersionTag('"3", "4"')).toBeNull();
+    expect(parseVersionTag('"abc"')).toBeNull();
+  });
+});
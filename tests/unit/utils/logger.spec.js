@@ -0,0 +1,59 @@
+// tests/unit/utils/logger.spec.js
+import { test, expect } from '@playwright/test';
+import { redact, redactBinds, formatEntry, isSensitiveName } from '../../../utils/logger.js';
+
+test.describe('Logger', () => {
+  test('isSensitiveName should catch credentials and contact details', () => {
+    expect(isSensitiveName('password')).toBe(true);
+    expect(isSensitiveName('NEW_PASSWORD')).toBe(true);
+    expect(isSensitiveName('token_hash')).toBe(true);
+    expect(isSensitiveName('email')).toBe(true);
+    expect(isSensitiveName('mobile_number')).toBe(true);
+    expect(isSensitiveName('order_no')).toBe(false);
+  });
+
+  test('redact should hide sensitive keys at any depth and serialize errors', () => {
+    const error = Object.assign(new Error('ORA-00001: unique constraint violated'), { errorNum: 1 });
+    const value = redact({
+      customer_code: '1106',
+      password: 'Secret@123',
+      contact: { email: 'a@b.com', state: 'RJ' },
+      lines: [{ item_code: 'W-1', token: 'abc' }],
+      error,
+    });
+
+    expect(value).toMatchObject({
+      customer_code: '1106',
+      password: '[redacted]',
+      contact: { email: '[redacted]', state: 'RJ' },
+      lines: [{ item_code: 'W-1', token: '[redacted]' }],
+      error: { name: 'Error', message: 'ORA-00001: unique constraint violated', errorNum: 1 },
+    });
+    expect(value.error.stack).toContain('ORA-00001');
+  });
+
+  test('redactBinds should keep named binds and only count positional ones', () => {
+    expect(redactBinds({ order_no: 'SO-1', email: 'a@b.com' })).toEqual({ order_no: 'SO-1', email: '[redacted]' });
+    expect(redactBinds(['a@b.com', 'Secret@123'])).toBe('[2 positional binds]');
+    expect(redactBinds(undefined)).toEqual({});
+  });
+
+  test('formatEntry should add the level, message and correlation id', () => {
+    const entry = formatEntry(
+      'info',
+      'request completed',
+      { status: 200, authorization: 'Bearer x' },
+      { correlationId: 'c-12345678' },
+    );
+
+    expect(entry).toMatchObject({
+      level: 'info',
+      msg: 'request completed',
+      correlation_id: 'c-12345678',
+      status: 200,
+      authorization: '[redacted]',
+    });
+    expect(Date.parse(entry.time)).not.toBeNaN();
+    expect(formatEntry('warn', 'x')).not.toHaveProperty('correlation_id');
+  });
+});
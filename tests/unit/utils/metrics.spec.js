@@ -0,0 +1,67 @@
+// tests/unit/utils/metrics.spec.js
+import { test, expect } from '@playwright/test';
+import { MetricsRegistry, formatLabels } from '../../../utils/metrics.js';
+
+test.describe('Metrics', () => {
+  test('counters should render one sample per label set', () => {
+    const registry = new MetricsRegistry();
+    const requests = registry.counter('http_requests_total', 'HTTP requests', ['route', 'status']);
+    requests.inc({ route: '/orders', status: 200 });
+    requests.inc({ route: '/orders', status: 200 });
+    requests.inc({ route: '/orders', status: 409 });
+
+    expect(registry.render()).toBe(
+      [
+        '# HELP http_requests_total HTTP requests',
+        '# TYPE http_requests_total counter',
+        'http_requests_total{route="/orders",status="200"} 2',
+        'http_requests_total{route="/orders",status="409"} 1',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  test('histograms should render cumulative buckets, sum and count', async () => {
+    const registry = new MetricsRegistry();
+    const durations = registry.histogram('query_seconds', 'Query time', ['statement'], [0.1, 1]);
+    durations.observe({ statement: 'select orders' }, 0.05);
+    durations.observe({ statement: 'select orders' }, 0.5);
+    durations.observe({ statement: 'select orders' }, 3);
+
+    const text = registry.render();
+    expect(text).toContain('query_seconds_bucket{statement="select orders",le="0.1"} 1');
+    expect(text).toContain('query_seconds_bucket{statement="select orders",le="1"} 2');
+    expect(text).toContain('query_seconds_bucket{statement="select orders",le="+Inf"} 3');
+    expect(text).toContain('query_seconds_sum{statement="select orders"} 3.55');
+    expect(text).toContain('query_seconds_count{statement="select orders"} 3');
+  });
+
+  test('histogram time should record the outcome and rethrow', async () => {
+    const registry = new MetricsRegistry();
+    const durations = registry.histogram('call_seconds', 'Call time', ['outcome']);
+
+    expect(await durations.time({}, async () => 'done')).toBe('done');
+    await expect(durations.time({}, async () => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+
+    const text = registry.render();
+    expect(text).toContain('call_seconds_count{outcome="ok"} 1');
+    expect(text).toContain('call_seconds_count{outcome="error"} 1');
+  });
+
+  test('gauges should be read at render time and skipped when empty', () => {
+    const registry = new MetricsRegistry();
+    let open = null;
+    registry.gauge('pool_open', 'Open connections', () => open);
+
+    expect(registry.render()).toContain('# TYPE pool_open gauge');
+    expect(registry.render()).not.toMatch(/^pool_open /m);
+    open = 4;
+    expect(registry.render()).toContain('pool_open 4');
+    expect(() => registry.gauge('pool_open', 'again', () => 1)).toThrow(/already registered/);
+  });
+
+  test('formatLabels should escape quotes, backslashes and newlines', () => {
+    expect(formatLabels({ path: 'a"b\\c\nd' })).toBe('{path="a\\"b\\\\c\\nd"}');
+    expect(formatLabels({})).toBe('');
+  });
+});
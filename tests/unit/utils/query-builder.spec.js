@@ -0,0 +1,51 @@
+// tests/unit/utils/query-builder.spec.js
+import { test, expect } from '@playwright/test';
+import { buildListQuery, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../../../utils/query-builder.js';
+
+const spec = {
+  table: 'orders',
+  where: ['customer_code = :owner_code'],
+  binds: { owner_code: 'C001' },
+  filters: {
+    status: { column: 'status', op: 'in' },
+    order_date_from: { column: 'order_date', op: 'gte', type: 'date' },
+    min_total: { column: 'total_amount', op: 'gte', type: 'number' },
+  },
+  sortable: ['order_no', 'order_date'],
+  defaultSort: '-order_date',
+  tiebreaker: 'id',
+};
+
+test.describe('List Query Builder', () => {
+  test('should apply default sort, tiebreaker and page size', () => {
+    const built = buildListQuery(spec, {});
+    expect(built.errors).toEqual([]);
+    expect(built.sql).toContain('WHERE customer_code = :owner_code');
+    expect(built.sql).toContain('ORDER BY order_date DESC, id ASC');
+    expect(built.pageBinds).toEqual({ offset: 0, limit: DEFAULT_PAGE_SIZE });
+  });
+
+  test('should bind whitelisted filters', () => {
+    const built = buildListQuery(spec, { status: 'pending,approved', min_total: '1000' });
+    expect(built.sql).toContain('status IN (:f0_0, :f0_1)');
+    expect(built.sql).toContain('total_amount >= :f2');
+    expect(built.binds).toMatchObject({ f0_0: 'pending', f0_1: 'approved', f2: 1000 });
+    expect(built.countSql).toContain('status IN (:f0_0, :f0_1)');
+  });
+
+  test('should honour multi-column sort and paging', () => {
+    const built = buildListQuery(spec, { sort: 'order_no,-order_date', page: '3', pageSize: '20' });
+    expect(built.sql).toContain('ORDER BY order_no ASC, order_date DESC, id ASC');
+    expect(built.pageBinds).toEqual({ offset: 40, limit: 20 });
+  });
+
+  test('should reject unknown sort fields and bad paging', () => {
+    const built = buildListQuery(spec, { sort: 'password', page: '0', pageSize: String(MAX_PAGE_SIZE + 1) });
+    expect(built.errors.map(e => e.field)).toEqual(['sort', 'page', 'pageSize']);
+  });
+
+  test('should reject values that do not match the filter type', () => {
+    const built = buildListQuery(spec, { min_total: 'lots' });
+    expect(built.errors).toEqual([{ field: 'min_total', error: 'Invalid value for min_total' }]);
+  });
+});
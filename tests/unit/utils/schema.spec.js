@@ -0,0 +1,81 @@
+// tests/unit/utils/schema.spec.js
+import { test, expect } from '@playwright/test';
+import { validate } from '../../../utils/schema.js';
+import { createOrderBody, updateOrderBody, restoreLinesSchema } from '../../../schemas/order.schema.js';
+import { updateCustomerSchema } from '../../../schemas/customer.schema.js';
+import { adminSignupSchema } from '../../../schemas/admin.schema.js';
+
+const validOrder = () => ({
+  header: { customer_code: 'C001', order_date: '2026-01-05', status: 'pending' },
+  lines: [{ item_code: 'A1', quantity: '5', gst: '18 %', disc_percentage: ' 2.5 ' }],
+});
+
+test.describe('Schema Validation', () => {
+  test('should coerce numbers, percentages and dates', () => {
+    const { value, errors } = validate(createOrderBody(validOrder()), validOrder());
+    expect(errors).toEqual([]);
+    expect(value.lines[0]).toMatchObject({ quantity: 5, gst: 18, disc_percentage: 2.5 });
+    expect(value.header.order_date).toBeInstanceOf(Date);
+  });
+
+  test('should report every problem with its field path', () => {
+    const body = validOrder();
+    body.header.status = 'shipped';
+    body.header.order_date = '05/01/2026';
+    body.lines[0].quantity = 'five';
+    body.lines.push({ quantity: 1 });
+
+    const { errors } = validate(createOrderBody(body), body);
+    expect(errors).toEqual([
+      { field: 'header.order_date', error: 'must be a date (YYYY-MM-DD)' },
+      { field: 'header.status', error: expect.stringContaining('must be one of') },
+      { field: 'lines[0].quantity', error: 'must be a number' },
+      { field: 'lines[1].item_code', error: 'is required' },
+    ]);
+  });
+
+  test('should require lines on create', () => {
+    const { errors } = validate(createOrderBody({ header: { customer_code: 'C1' } }), { header: { customer_code: 'C1' } });
+    expect(errors).toEqual([{ field: 'lines', error: 'is required' }]);
+  });
+
+  test('should accept legacy flat arrays', () => {
+    const rows = [{ customer_code: 'C1', item_code: 'A1', quantity: '2', date: '2026-01-05' }];
+    const { value, errors } = validate(createOrderBody(rows), rows);
+    expect(errors).toEqual([]);
+    expect(value[0].quantity).toBe(2);
+  });
+
+  test('update lines need item_code and quantity only when new', () => {
+    const body = { lines: [{ id: 7, quantity: 3 }, { id: '8', _deleted: 'true' }, { quantity: 1 }] };
+    const { value, errors } = validate(updateOrderBody(body), body);
+    expect(value.lines[1]).toEqual({ id: 8, _deleted: true });
+    expect(errors).toEqual([{ field: 'lines[2].item_code', error: 'is required for new lines' }]);
+  });
+
+  test('customer updates should check enums and formats', () => {
+    const { errors } = validate(updateCustomerSchema, {
+      mobile_number: '98765',
+      email: 'not-an-email',
+      customer_type: 'wholesale',
+    });
+    expect(errors.map(e => e.field)).toEqual(['mobile_number', 'email', 'customer_type']);
+  });
+
+  test('restoring lines needs a list of line ids', () => {
+    expect(validate(restoreLinesSchema, { ids: ['12', 13] })).toEqual({ value: { ids: [12, 13] }, errors: [] });
+    expect(validate(restoreLinesSchema, { ids: [] }).errors).toEqual([
+      { field: 'ids', error: 'must contain at least 1 item(s)' },
+    ]);
+    expect(validate(restoreLinesSchema, { ids: ['x'] }).errors[0].field).toBe('ids[0]');
+  });
+
+  test('admin signup needs the firebase uid of the new admin', () => {
+    expect(validate(adminSignupSchema, { username: 'Ops', email: 'ops@example.com' }).errors).toEqual([
+      { field: 'firebase_uid', error: 'is required' },
+    ]);
+    expect(
+      validate(adminSignupSchema, { username: 'Ops', email: 'ops@example.com', firebase_uid: 'uid-2' }).errors,
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,150 @@
+// Application errors carry the HTTP status and a stable machine-readable
+// code; the central handler in middleware/error-handler.js renders them.
+
+export class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = 'Bad request', options = {}) {
+    super(message, { status: 400, code: 'BAD_REQUEST', ...options });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', options = {}) {
+    super(message, { status: 401, code: 'UNAUTHORIZED', ...options });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action', options = {}) {
+    super(message, { status: 403, code: 'FORBIDDEN', ...options });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { status: 404, code: 'NOT_FOUND', ...options });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict', options = {}) {
+    super(message, { status: 409, code: 'CONFLICT', ...options });
+  }
+}
+
+// A write that must name the version it was based on did not
+export class PreconditionRequiredError extends AppError {
+  constructor(message = 'Precondition required', options = {}) {
+    super(message, { status: 428, code: 'PRECONDITION_REQUIRED', ...options });
+  }
+}
+
+// details: [{ field, error }]
+export class ValidationError extends AppError {
+  constructor(message = 'Validation failed', options = {}) {
+    super(message, { status: 422, code: 'VALIDATION_FAILED', ...options });
+  }
+}
+
+// A system we depend on (Tally, Firebase) failed or refused the request
+export class UpstreamError extends AppError {
+  constructor(message = 'Upstream service failed', options = {}) {
+    super(message, { status: 502, code: 'UPSTREAM_ERROR', ...options });
+  }
+}
+
+export class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service temporarily unavailable', options = {}) {
+    super(message, { status: 503, code: 'SERVICE_UNAVAILABLE', ...options });
+  }
+}
+
+const DATABASE_UNAVAILABLE = {
+  status: 503,
+  code: 'DATABASE_UNAVAILABLE',
+  message: 'The database is temporarily unavailable',
+};
+
+const INVALID_DATE = { status: 422, code: 'INVALID_DATE', message: 'A date value is invalid' };
+
+// ORA error number -> response. Messages never include the ORA text.
+export const ORACLE_ERRORS = {
+  1: { status: 409, code: 'DUPLICATE_RECORD', message: 'A record with the same key already exists' },
+  54: { status: 409, code: 'RECORD_LOCKED', message: 'The record is being changed by someone else; try again' },
+  60: { status: 409, code: 'RECORD_LOCKED', message: 'The record is being changed by someone else; try again' },
+  1400: { status: 422, code: 'REQUIRED_VALUE_MISSING', message: 'A required value is missing' },
+  1407: { status: 422, code: 'REQUIRED_VALUE_MISSING', message: 'A required value is missing' },
+  1722: { status: 422, code: 'INVALID_NUMBER', message: 'A numeric value is invalid' },
+  1840: INVALID_DATE,
+  1841: INVALID_DATE,
+  1843: INVALID_DATE,
+  1847: INVALID_DATE,
+  1861: INVALID_DATE,
+  2290: { status: 422, code: 'CONSTRAINT_VIOLATION', message: 'A value is not allowed for this field' },
+  2291: { status: 422, code: 'REFERENCE_NOT_FOUND', message: 'A referenced record does not exist' },
+  2292: { status: 409, code: 'RECORD_IN_USE', message: 'The record is still referenced by other records' },
+  12899: { status: 422, code: 'VALUE_TOO_LARGE', message: 'A value is too long for its field' },
+  3113: DATABASE_UNAVAILABLE,
+  3114: DATABASE_UNAVAILABLE,
+  3135: DATABASE_UNAVAILABLE,
+  12170: DATABASE_UNAVAILABLE,
+  12514: DATABASE_UNAVAILABLE,
+  12541: DATABASE_UNAVAILABLE,
+};
+
+// "SCHEMA"."TABLE"."COLUMN" in ORA-01400 / ORA-12899 messages
+const oracleColumn = message => {
+  const match = /"[^"]+"\."([^"]+)"\."([^"]+)"/.exec(message || '');
+  return match ? { table: match[1].toLowerCase(), column: match[2].toLowerCase() } : null;
+};
+
+// Constraint name in ORA-00001 / ORA-02291 / ORA-02292 messages
+const oracleConstraint = message => {
+  const match = /constraint \(([^)]+)\)/i.exec(message || '');
+  return match ? match[1].split('.').pop().toLowerCase() : null;
+};
+
+// AppError for a node-oracledb error, or null when it is not one we know
+export const translateOracleError = error => {
+  const known = error?.errorNum != null ? ORACLE_ERRORS[error.errorNum] : null;
+  if (!known) return null;
+
+  const column = oracleColumn(error.message);
+  const constraint = oracleConstraint(error.message);
+  const details = column || constraint ? { ...column, ...(constraint ? { constraint } : {}) } : undefined;
+  const message = column ? `${known.message} (${column.column})` : known.message;
+
+  return new AppError(message, { status: known.status, code: known.code, details, cause: error });
+};
+
+// Anything thrown in a request, as an AppError. Unknown errors become a
+// generic 500 so internal messages never reach the client.
+export const toAppError = error => {
+  if (error instanceof AppError) return error;
+
+  const oracle = translateOracleError(error);
+  if (oracle) return oracle;
+
+  // body-parser: malformed JSON, payload too large
+  if (error?.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', { cause: error });
+  }
+  if (error?.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE', cause: error });
+  }
+
+  if (/^NJS-(040|076|500|503)/.test(error?.message || '') || error?.message === 'Oracle pool not initialized') {
+    return new AppError(DATABASE_UNAVAILABLE.message, { ...DATABASE_UNAVAILABLE, cause: error });
+  }
+
+  return new AppError('Internal server error', { cause: error });
+};
@@ -0,0 +1,11 @@
+// Order versions travel as strong ETags: ETag: "3" on reads, If-Match: "3"
+// on writes. Weak tags (W/"3") and bare numbers are accepted too.
+
+export const versionTag = version => `"${version}"`;
+
+// Version number from an If-Match value, or null when absent or not a version
+export const parseVersionTag = value => {
+  const match = /^\s*(?:W\/)?"?(\d+)"?\s*$/.exec(String(value ?? ''));
+  const version = match ? Number(match[1]) : NaN;
+  return Number.isSafeInteger(version) && version > 0 ? version : null;
+};
@@ -17,6 +17,8 @@ export const validateEmail = (email) => {
   return emailRegex.test(email);
 };
 
+// Derives the next number from the latest one; not safe under concurrent use.
+// Order numbers are allocated by services/order-number.service.js.
 export const generateOrderNumber = (latestOrderNo) => {
   let nextSequence = '0001';
   const today = new Date();
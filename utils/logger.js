@@ -0,0 +1,68 @@
+import { getRequestContext } from '../middleware/request-context.js';
+import { LOG_LEVEL } from '../config/logging.js';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field and bind names whose values are never written to the log
+const SENSITIVE_NAME = /pass(word)?|secret|token|authorization|cookie|api_?key|otp|email|mobile/i;
+
+const MAX_DEPTH = 5;
+
+export const isSensitiveName = name => SENSITIVE_NAME.test(String(name));
+
+export const serializeError = error => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined ? { code: error.code } : {}),
+  ...(error.errorNum !== undefined ? { errorNum: error.errorNum } : {}),
+  stack: error.stack,
+});
+
+// Copy of value with sensitive keys replaced, errors serialized and
+// nesting cut off, so any log field is safe to JSON.stringify
+export const redact = (value, depth = 0) => {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, isSensitiveName(key) ? '[redacted]' : redact(item, depth + 1)]),
+  );
+};
+
+// Named binds keep their non-sensitive values. Positional binds have no
+// name to judge them by, so only their count is logged.
+export const redactBinds = binds => (Array.isArray(binds) ? `[${binds.length} positional binds]` : redact(binds || {}));
+
+// One log line: time, level, msg, the request's correlation id and fields
+export const formatEntry = (level, message, fields = {}, context = null) => ({
+  time: new Date().toISOString(),
+  level,
+  msg: message,
+  ...(context?.correlationId ? { correlation_id: context.correlationId } : {}),
+  ...redact(fields),
+});
+
+const createLogger = (bindings = {}) => {
+  const threshold = LOG_LEVELS[LOG_LEVEL] ?? LOG_LEVELS.info;
+
+  const write = level => (message, fields = {}) => {
+    if (LOG_LEVELS[level] < threshold) return;
+    const entry = formatEntry(level, message, { ...bindings, ...fields }, getRequestContext());
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    // Logger that adds the given fields to every line, e.g. { component: 'tally-sync' }
+    child: fields => createLogger({ ...bindings, ...fields }),
+  };
+};
+
+export default createLogger();
@@ -0,0 +1,157 @@
+// In-process metrics rendered in the Prometheus text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/)
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const escapeLabelValue = value =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+
+const formatValue = value => (value === Infinity ? '+Inf' : Number.isFinite(value) ? String(value) : 'NaN');
+
+// Numeric labels (histogram le) are written like sample values, so Infinity is +Inf
+export const formatLabels = labels => {
+  const entries = Object.entries(labels).map(
+    ([name, value]) => `${name}="${typeof value === 'number' ? formatValue(value) : escapeLabelValue(value)}"`,
+  );
+  return entries.length ? `{${entries.join(',')}}` : '';
+};
+
+// Label values in labelNames order; missing labels are empty strings
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const labelsFromKey = (labelNames, key) =>
+  Object.fromEntries(JSON.parse(key).map((value, i) => [labelNames[i], value]));
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    Object.assign(this, { name, help, labelNames, type: 'counter', values: new Map() });
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  samples() {
+    return [...this.values].map(([key, value]) => ({
+      name: this.name,
+      labels: labelsFromKey(this.labelNames, key),
+      value,
+    }));
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    Object.assign(this, { name, help, labelNames, buckets, type: 'histogram', values: new Map() });
+  }
+
+  observe(labels = {}, value) {
+    const key = labelKey(this.labelNames, labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // Resolves with the elapsed seconds once fn settles, recording
+  // outcome="ok" or "error" when the histogram has an outcome label
+  async time(labels, fn) {
+    const started = process.hrtime.bigint();
+    const record = outcome =>
+      this.observe(
+        this.labelNames.includes('outcome') ? { ...labels, outcome } : labels,
+        Number(process.hrtime.bigint() - started) / 1e9,
+      );
+    try {
+      const result = await fn();
+      record('ok');
+      return result;
+    } catch (error) {
+      record('error');
+      throw error;
+    }
+  }
+
+  samples() {
+    return [...this.values].flatMap(([key, entry]) => {
+      const labels = labelsFromKey(this.labelNames, key);
+      return [
+        ...this.buckets.map((bound, i) => ({
+          name: `${this.name}_bucket`,
+          labels: { ...labels, le: bound },
+          value: entry.counts[i],
+        })),
+        { name: `${this.name}_bucket`, labels: { ...labels, le: Infinity }, value: entry.count },
+        { name: `${this.name}_sum`, labels, value: entry.sum },
+        { name: `${this.name}_count`, labels, value: entry.count },
+      ];
+    });
+  }
+}
+
+// Read when rendered: collect() returns a number or [{ labels, value }]
+class Gauge {
+  constructor(name, help, collect) {
+    Object.assign(this, { name, help, collect, type: 'gauge' });
+  }
+
+  samples() {
+    const collected = this.collect();
+    if (collected == null) return [];
+    const values = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+    return values.map(({ labels = {}, value }) => ({ name: this.name, labels, value }));
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      let samples;
+      try {
+        samples = metric.samples();
+      } catch {
+        continue;
+      }
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      samples.forEach(({ name, labels, value }) => lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export default new MetricsRegistry();
@@ -0,0 +1,143 @@
+import OracleService from '../services/oracle.service.js';
+import { toOracleDate } from './helpers.js';
+import { BadRequestError } from './errors.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+const OPERATORS = {
+  eq: (column, bind) => `${column} = :${bind}`,
+  gte: (column, bind) => `${column} >= :${bind}`,
+  lte: (column, bind) => `${column} <= :${bind}`,
+  like: (column, bind) => `UPPER(${column}) LIKE '%' || UPPER(:${bind}) || '%'`,
+};
+
+const coerce = (value, type) => {
+  if (type === 'number') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  }
+  if (type === 'date') {
+    return toOracleDate(value) ?? undefined;
+  }
+  return String(value);
+};
+
+const parsePositiveInt = value => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// Builds a paged SELECT and matching COUNT from whitelisted query parameters.
+//
+// spec: {
+//   table, where: ['customer_type = :type'], binds: { type: 'distributor' },
+//   filters: { status: { column: 'status', op: 'in' }, from: { column: 'order_date', op: 'gte', type: 'date' } },
+//   sortable: ['order_date', 'order_no'], defaultSort: '-order_date', tiebreaker: 'id',
+// }
+// query: req.query, e.g. ?status=pending,approved&sort=-order_date,order_no&page=2&pageSize=25
+export const buildListQuery = (spec, query = {}) => {
+  const errors = [];
+  const where = [...(spec.where || [])];
+  const binds = { ...(spec.binds || {}) };
+
+  Object.entries(spec.filters || {}).forEach(([param, filter], index) => {
+    const raw = query[param];
+    if (raw === undefined || raw === '') return;
+
+    const column = filter.column || param;
+    const type = filter.type || 'string';
+
+    if (filter.op === 'in') {
+      const values = String(raw)
+        .split(',')
+        .map(v => v.trim())
+        .filter(Boolean)
+        .map(v => coerce(v, type));
+      if (!values.length || values.some(v => v === undefined)) {
+        errors.push({ field: param, error: `Invalid value for ${param}` });
+        return;
+      }
+      const names = values.map((value, i) => {
+        binds[`f${index}_${i}`] = value;
+        return `:f${index}_${i}`;
+      });
+      where.push(`${column} IN (${names.join(', ')})`);
+      return;
+    }
+
+    const value = coerce(raw, type);
+    if (value === undefined) {
+      errors.push({ field: param, error: `Invalid value for ${param}` });
+      return;
+    }
+    const bind = `f${index}`;
+    binds[bind] = value;
+    where.push((OPERATORS[filter.op] || OPERATORS.eq)(column, bind));
+  });
+
+  const sortParam = query.sort || spec.defaultSort || '';
+  const orderBy = String(sortParam)
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(s => {
+      const desc = s.startsWith('-');
+      const field = desc ? s.slice(1) : s;
+      if (!(spec.sortable || []).includes(field)) {
+        errors.push({ field: 'sort', error: `Cannot sort by ${field}` });
+        return null;
+      }
+      return `${field} ${desc ? 'DESC' : 'ASC'}`;
+    })
+    .filter(Boolean);
+  if (spec.tiebreaker && !orderBy.some(o => o.startsWith(`${spec.tiebreaker} `))) {
+    orderBy.push(`${spec.tiebreaker} ASC`);
+  }
+
+  const page = query.page !== undefined ? parsePositiveInt(query.page) : 1;
+  const pageSize = query.pageSize !== undefined ? parsePositiveInt(query.pageSize) : DEFAULT_PAGE_SIZE;
+  if (!page) errors.push({ field: 'page', error: 'page must be a positive integer' });
+  if (!pageSize || pageSize > MAX_PAGE_SIZE) {
+    errors.push({ field: 'pageSize', error: `pageSize must be between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  const whereClause = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+  const orderClause = orderBy.length ? ` ORDER BY ${orderBy.join(', ')}` : '';
+
+  return {
+    errors,
+    page,
+    pageSize,
+    countSql: `SELECT COUNT(*) AS total FROM ${spec.table}${whereClause}`,
+    sql: `SELECT ${spec.select || '*'} FROM ${spec.table}${whereClause}${orderClause} OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`,
+    binds,
+    pageBinds: { offset: ((page || 1) - 1) * (pageSize || DEFAULT_PAGE_SIZE), limit: pageSize || DEFAULT_PAGE_SIZE },
+  };
+};
+
+// Runs a list query; throws BadRequestError with .details for bad parameters
+export const runListQuery = async (spec, query) => {
+  const built = buildListQuery(spec, query);
+
+  if (built.errors.length) {
+    throw new BadRequestError('Invalid list parameters', { details: built.errors });
+  }
+
+  const [count, result] = await Promise.all([
+    OracleService.executeQuery(built.countSql, built.binds),
+    OracleService.executeQuery(built.sql, { ...built.binds, ...built.pageBinds }),
+  ]);
+
+  const total = count.rows[0]?.TOTAL ?? 0;
+
+  return {
+    rows: result.rows,
+    pagination: {
+      page: built.page,
+      pageSize: built.pageSize,
+      total,
+      totalPages: Math.ceil(total / built.pageSize),
+    },
+  };
+};
@@ -0,0 +1,178 @@
+// Small declarative schema checker for request payloads.
+//
+// A field is { type, required, enum, min, max, exclusiveMin, minLength,
+// maxLength, pattern, format, items, minItems, maxItems, properties,
+// additionalProperties, check }. Types: string, number, integer, percent
+// ('18 %' -> 18), boolean, date, object, array. Values are coerced as they
+// are checked so handlers receive numbers, booleans and Date objects.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const FORMATS = {
+  email: { pattern: EMAIL_PATTERN, message: 'must be a valid email address' },
+  mobile: { pattern: /^\d{10}$/, message: 'must be a 10 digit mobile number' },
+};
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+const toNumber = (value, { percent = false } = {}) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value !== 'string') return undefined;
+  const text = percent ? value.replace(/%/g, '').trim() : value.trim();
+  if (!/^-?\d+(\.\d+)?$|^-?\.\d+$/.test(text)) return undefined;
+  return Number(text);
+};
+
+const toBoolean = value => {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 1 || value === '1') return true;
+  if (value === 'false' || value === 0 || value === '0') return false;
+  return undefined;
+};
+
+const toDate = value => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? undefined : value;
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value.trim())) return undefined;
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+const coercers = {
+  string: value => (typeof value === 'string' ? value.trim() : typeof value === 'number' ? String(value) : undefined),
+  number: value => toNumber(value),
+  integer: value => {
+    const number = toNumber(value);
+    return Number.isInteger(number) ? number : undefined;
+  },
+  percent: value => toNumber(value, { percent: true }),
+  boolean: toBoolean,
+  date: toDate,
+};
+
+const TYPE_MESSAGES = {
+  string: 'must be a string',
+  number: 'must be a number',
+  integer: 'must be a whole number',
+  percent: 'must be a percentage',
+  boolean: 'must be true or false',
+  date: 'must be a date (YYYY-MM-DD)',
+  object: 'must be an object',
+  array: 'must be an array',
+};
+
+const checkObject = (field, value, path, errors) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push({ field: path || 'body', error: TYPE_MESSAGES.object });
+    return undefined;
+  }
+
+  const result = {};
+  const properties = field.properties || {};
+
+  Object.entries(value).forEach(([key, item]) => {
+    if (properties[key]) return;
+    if (field.additionalProperties === false) {
+      errors.push({ field: joinPath(path, key), error: 'is not allowed' });
+    } else {
+      result[key] = item;
+    }
+  });
+
+  Object.entries(properties).forEach(([key, property]) => {
+    const checked = checkValue(property, value[key], joinPath(path, key), errors);
+    if (checked !== undefined) result[key] = checked;
+  });
+
+  return result;
+};
+
+const checkArray = (field, value, path, errors) => {
+  if (!Array.isArray(value)) {
+    errors.push({ field: path || 'body', error: TYPE_MESSAGES.array });
+    return undefined;
+  }
+  if (field.minItems != null && value.length < field.minItems) {
+    errors.push({ field: path || 'body', error: `must contain at least ${field.minItems} item(s)` });
+  }
+  if (field.maxItems != null && value.length > field.maxItems) {
+    errors.push({ field: path || 'body', error: `must contain at most ${field.maxItems} items` });
+  }
+  return field.items ? value.map((item, index) => checkValue(field.items, item, joinPath(path, index), errors)) : value;
+};
+
+const checkScalar = (field, value, path, errors) => {
+  const coerce = coercers[field.type];
+  const coerced = coerce ? coerce(value) : value;
+  if (coerced === undefined) {
+    errors.push({ field: path, error: TYPE_MESSAGES[field.type] || 'is invalid' });
+    return undefined;
+  }
+
+  const fail = error => {
+    errors.push({ field: path, error });
+    return coerced;
+  };
+
+  if (field.enum && !field.enum.includes(coerced)) return fail(`must be one of: ${field.enum.join(', ')}`);
+
+  if (typeof coerced === 'number') {
+    if (field.min != null && coerced < field.min) return fail(`must be at least ${field.min}`);
+    if (field.exclusiveMin != null && coerced <= field.exclusiveMin) return fail(`must be greater than ${field.exclusiveMin}`);
+    if (field.max != null && coerced > field.max) return fail(`must be at most ${field.max}`);
+  }
+
+  if (typeof coerced === 'string') {
+    if (field.required && coerced === '') return fail('is required');
+    if (field.minLength != null && coerced.length < field.minLength) {
+      return fail(`must be at least ${field.minLength} characters`);
+    }
+    if (field.maxLength != null && coerced.length > field.maxLength) {
+      return fail(`must be at most ${field.maxLength} characters`);
+    }
+    const format = FORMATS[field.format];
+    if (format && !format.pattern.test(coerced)) return fail(format.message);
+    if (field.pattern && !field.pattern.test(coerced)) return fail(field.patternMessage || 'has an invalid format');
+  }
+
+  return coerced;
+};
+
+// Returns the coerced value, pushing { field, error } entries for every problem
+export const checkValue = (field, value, path, errors) => {
+  if (isMissing(value)) {
+    if (field.required) {
+      errors.push({ field: path || 'body', error: 'is required' });
+      return undefined;
+    }
+    if (value === undefined) return undefined;
+    return field.type === 'string' && value === '' ? '' : null;
+  }
+
+  let result;
+  if (field.type === 'object') {
+    result = checkObject(field, value, path, errors);
+  } else if (field.type === 'array') {
+    result = checkArray(field, value, path, errors);
+  } else {
+    result = checkScalar(field, value, path, errors);
+  }
+
+  // Cross-field rules, e.g. "item_code is required for new lines"
+  if (result !== undefined && field.check) {
+    [].concat(field.check(result) || []).forEach(({ field: key, error }) =>
+      errors.push({ field: key ? joinPath(path, key) : path || 'body', error }),
+    );
+  }
+
+  return result;
+};
+
+// { value, errors } for a whole payload
+export const validate = (schema, value) => {
+  const errors = [];
+  const result = checkValue(schema, value, '', errors);
+  return { value: result, errors };
+};